@@ -1,58 +1,77 @@
-const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const dotenv = require('dotenv');
+const { createSqliteDriver } = require('./drivers/sqlite');
+const { createPostgresDriver } = require('./drivers/postgres');
 
-const dbPath = path.join(__dirname, 'database.sqlite');
+dotenv.config({ path: path.join(__dirname, '.env') });
 
-const db = new sqlite3.Database(dbPath, (err) => {
-  if (err) {
-    console.error('Failed to open SQLite database', err);
-  } else {
-    console.log('Connected to SQLite database at', dbPath);
+// DB_CLIENT picks the driver: sqlite (default), postgres or pg-mem.
+// pg-mem is an in-memory Postgres used to exercise the Postgres code path
+// without a server; its data is lost when the process exits.
+const createDriver = (client) => {
+  switch (client) {
+    case 'sqlite':
+      return createSqliteDriver({
+        filename: process.env.SQLITE_FILE || path.join(__dirname, 'database.sqlite'),
+      });
+    case 'postgres': {
+      const pg = require('pg');
+      // Counts and averages come back as strings by default
+      pg.types.setTypeParser(pg.types.builtins.INT8, (value) => parseInt(value, 10));
+      pg.types.setTypeParser(pg.types.builtins.NUMERIC, (value) => parseFloat(value));
+      return createPostgresDriver({
+        Pool: pg.Pool,
+        connectionString: process.env.DATABASE_URL,
+        label: 'PostgreSQL database',
+      });
+    }
+    case 'pg-mem': {
+      const { newDb } = require('pg-mem');
+      const { Pool } = newDb().adapters.createPg();
+      return createPostgresDriver({ Pool, label: 'in-memory PostgreSQL (pg-mem)' });
+    }
+    default:
+      throw new Error(`Unknown DB_CLIENT "${client}". Use sqlite, postgres or pg-mem.`);
   }
-});
+};
 
-function run(sql, params = []) {
-  return new Promise((resolve, reject) => {
-    db.run(sql, params, function (err) {
-      if (err) return reject(err);
-      resolve({ id: this.lastID, changes: this.changes });
-    });
-  });
-}
-
-function get(sql, params = []) {
-  return new Promise((resolve, reject) => {
-    db.get(sql, params, (err, row) => {
-      if (err) return reject(err);
-      resolve(row);
-    });
-  });
-}
-
-function all(sql, params = []) {
-  return new Promise((resolve, reject) => {
-    db.all(sql, params, (err, rows) => {
-      if (err) return reject(err);
-      resolve(rows);
-    });
-  });
-}
-
-function exec(sql) {
-  return new Promise((resolve, reject) => {
-    db.exec(sql, (err) => {
-      if (err) return reject(err);
-      resolve();
-    });
-  });
-}
+const client = process.env.DB_CLIENT || 'sqlite';
+const driver = createDriver(client);
 
-module.exports = {
-  db,
-  run,
-  get,
-  all,
+// run/get/all/exec keep the promise API the rest of the backend was written
+// against, whichever driver sits underneath
+const bind = (query, exec) => ({
+  run: async (sql, params) => {
+    const result = await query(sql, params);
+    return { id: result.lastId, changes: result.changes };
+  },
+  get: async (sql, params) => (await query(sql, params)).rows[0],
+  all: async (sql, params) => (await query(sql, params)).rows,
   exec,
-};
+});
 
+// Runs fn with its own run/get/all/exec bound to one transaction.
+// Statements inside fn must use those, not the top-level exports.
+const transaction = (fn) =>
+  driver.transaction(({ query, exec }) => fn(bind(query, exec)));
 
+// Constraint errors carry err.violation ('unique', 'foreign_key', 'check' or
+// 'not_null') so callers don't have to parse driver-specific messages
+const isUniqueViolation = (err) => err.violation === 'unique';
+
+// Timestamp columns come back as Date objects from Postgres and as
+// "YYYY-MM-DD HH:MM:SS" strings in UTC from SQLite's CURRENT_TIMESTAMP
+const toEpochMs = (value) =>
+  value instanceof Date ? value.getTime() : Date.parse(`${String(value).replace(' ', 'T')}Z`);
+
+module.exports = {
+  ...bind(driver.query, driver.exec),
+  transaction,
+  isUniqueViolation,
+  toEpochMs,
+  close: driver.close,
+  client,
+  dialect: driver.dialect,
+  types: driver.types,
+  ephemeral: client === 'pg-mem',
+};
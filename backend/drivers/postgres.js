@@ -0,0 +1,96 @@
+// Maps Postgres SQLSTATE codes to the driver-neutral violation names
+const VIOLATION_CODES = {
+  23505: 'unique',
+  23503: 'foreign_key',
+  23514: 'check',
+  23502: 'not_null',
+};
+
+// pg-mem leaves the code off some constraint errors, so fall back to the text
+const VIOLATION_MESSAGES = [
+  ['duplicate key value', 'unique'],
+  ['violates foreign key constraint', 'foreign_key'],
+  ['check constraint', 'check'],
+  ['violates not-null constraint', 'not_null'],
+];
+
+const normalizeError = (err) => {
+  const byCode = VIOLATION_CODES[err.code];
+  const byMessage = VIOLATION_MESSAGES.find(([text]) => err.message?.includes(text));
+  if (byCode || byMessage) err.violation = byCode || byMessage[1];
+  return err;
+};
+
+// Rewrites SQLite-flavoured SQL for Postgres, leaving string literals alone:
+// ? placeholders become $1..$n and LIKE becomes ILIKE (SQLite's LIKE ignores case)
+const translate = (sql) => {
+  let index = 0;
+  return sql
+    .split(/('(?:[^']|'')*')/)
+    .map((part, i) => {
+      if (i % 2 === 1) return part;
+      return part.replace(/\?/g, () => `$${++index}`).replace(/\bLIKE\b/gi, 'ILIKE');
+    })
+    .join('');
+};
+
+// INSERTs report the new row id like SQLite's lastID does
+const withReturning = (sql) =>
+  /^\s*INSERT\b/i.test(sql) && !/\bRETURNING\b/i.test(sql) ? `${sql} RETURNING *` : sql;
+
+const createPostgresDriver = ({ Pool, connectionString, label }) => {
+  const pool = new Pool(connectionString ? { connectionString } : undefined);
+  console.log('Connected to', label);
+
+  const queryWith = (client) => async (sql, params = []) => {
+    try {
+      const result = await client.query(withReturning(translate(sql)), params);
+      const rows = result.rows || [];
+      return {
+        rows,
+        lastId: rows.length ? rows[rows.length - 1].id : undefined,
+        changes: result.rowCount ?? rows.length,
+      };
+    } catch (err) {
+      throw normalizeError(err);
+    }
+  };
+
+  const execWith = (client) => async (sql) => {
+    try {
+      await client.query(sql);
+    } catch (err) {
+      throw normalizeError(err);
+    }
+  };
+
+  // Each transaction gets its own pooled connection
+  const transaction = async (fn) => {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const value = await fn({ query: queryWith(client), exec: execWith(client) });
+      await client.query('COMMIT');
+      return value;
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  };
+
+  return {
+    dialect: 'postgres',
+    types: {
+      id: 'SERIAL PRIMARY KEY',
+      timestamp: 'TIMESTAMP',
+    },
+    query: queryWith(pool),
+    exec: execWith(pool),
+    transaction,
+    close: () => pool.end(),
+  };
+};
+
+module.exports = { createPostgresDriver, translate };
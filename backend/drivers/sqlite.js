@@ -0,0 +1,97 @@
+const sqlite3 = require('sqlite3').verbose();
+
+// Maps SQLite constraint messages to the driver-neutral violation names
+const VIOLATIONS = [
+  ['UNIQUE constraint failed', 'unique'],
+  ['FOREIGN KEY constraint failed', 'foreign_key'],
+  ['CHECK constraint failed', 'check'],
+  ['NOT NULL constraint failed', 'not_null'],
+];
+
+const normalizeError = (err) => {
+  if (err.code === 'SQLITE_CONSTRAINT') {
+    const match = VIOLATIONS.find(([text]) => err.message.includes(text));
+    if (match) err.violation = match[1];
+  }
+  return err;
+};
+
+const createSqliteDriver = ({ filename }) => {
+  const db = new sqlite3.Database(filename, (err) => {
+    if (err) {
+      console.error('Failed to open SQLite database', err);
+    } else {
+      console.log('Connected to SQLite database at', filename);
+    }
+  });
+  // SQLite leaves foreign keys unenforced unless asked, per connection;
+  // turn them on so ON DELETE CASCADE / SET NULL behave as on Postgres
+  db.run('PRAGMA foreign_keys = ON');
+
+  const rawQuery = (sql, params = []) =>
+    new Promise((resolve, reject) => {
+      // Statements that return rows go through all(), everything else through run()
+      if (/^\s*(SELECT|WITH|PRAGMA)\b/i.test(sql) || /\bRETURNING\b/i.test(sql)) {
+        db.all(sql, params, (err, rows) => {
+          if (err) return reject(normalizeError(err));
+          resolve({ rows, lastId: undefined, changes: rows.length });
+        });
+      } else {
+        db.run(sql, params, function (err) {
+          if (err) return reject(normalizeError(err));
+          resolve({ rows: [], lastId: this.lastID, changes: this.changes });
+        });
+      }
+    });
+
+  const rawExec = (sql) =>
+    new Promise((resolve, reject) => {
+      db.exec(sql, (err) => {
+        if (err) return reject(normalizeError(err));
+        resolve();
+      });
+    });
+
+  // A single connection is shared by every request, so a transaction holds
+  // this queue and statements from outside it wait until it finishes.
+  let queue = Promise.resolve();
+
+  const transaction = (fn) => {
+    const result = queue.then(async () => {
+      await rawExec('BEGIN');
+      try {
+        const value = await fn({ query: rawQuery, exec: rawExec });
+        await rawExec('COMMIT');
+        return value;
+      } catch (err) {
+        await rawExec('ROLLBACK');
+        throw err;
+      }
+    });
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  return {
+    dialect: 'sqlite',
+    types: {
+      id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+      timestamp: 'DATETIME',
+    },
+    query: async (sql, params) => {
+      await queue;
+      return rawQuery(sql, params);
+    },
+    exec: async (sql) => {
+      await queue;
+      return rawExec(sql);
+    },
+    transaction,
+    close: () =>
+      new Promise((resolve, reject) => {
+        db.close((err) => (err ? reject(err) : resolve()));
+      }),
+  };
+};
+
+module.exports = { createSqliteDriver };
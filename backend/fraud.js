@@ -0,0 +1,152 @@
+const { transaction, toEpochMs, close } = require('./db');
+
+// Rating fraud detection. scanRatings scores every rating against the
+// signals below and records the ones at or above FRAUD_SCORE_THRESHOLD in
+// rating_suspicions for an admin to exclude or dismiss. Run it from cron
+// (npm run fraud:scan) or from the admin dashboard.
+const BURST_RATINGS = Number(process.env.FRAUD_BURST_RATINGS) || 5;
+const BURST_MINUTES = Number(process.env.FRAUD_BURST_MINUTES) || 60;
+const NEW_ACCOUNT_HOURS = Number(process.env.FRAUD_NEW_ACCOUNT_HOURS) || 24;
+const SHARED_IP_ACCOUNTS = Number(process.env.FRAUD_SHARED_IP_ACCOUNTS) || 3;
+const SCORE_THRESHOLD = Number(process.env.FRAUD_SCORE_THRESHOLD) || 2;
+
+// Signal weights. A rating's score is the sum of the signals it trips, so on
+// the default threshold a burst or a shared address is enough on its own and
+// the weaker signals only count together.
+const SIGNALS = {
+  // one of BURST_RATINGS or more ratings on a store within BURST_MINUTES
+  burst: 2,
+  // given less than NEW_ACCOUNT_HOURS after the account was created
+  new_account: 1,
+  // SHARED_IP_ACCOUNTS or more accounts rated the store from this address
+  shared_ip: 2,
+  // the account has several ratings, all for stores of the same owner
+  single_owner: 1,
+};
+
+const groupBy = (items, keyOf) => {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    if (key === null) continue;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return groups;
+};
+
+// Marks every rating inside a window of BURST_MINUTES that holds at least
+// BURST_RATINGS ratings for the same store
+const findBursts = (ratings, flag) => {
+  const windowMs = BURST_MINUTES * 60000;
+  for (const storeRatings of groupBy(ratings, (r) => r.store_id).values()) {
+    storeRatings.sort((a, b) => a.at - b.at);
+    let end = 0;
+    for (let start = 0; start < storeRatings.length; start++) {
+      while (end < storeRatings.length && storeRatings[end].at - storeRatings[start].at <= windowMs) end++;
+      if (end - start >= BURST_RATINGS) {
+        storeRatings.slice(start, end).forEach((r) => flag(r, 'burst'));
+      }
+    }
+  }
+};
+
+// Returns the ratings at or above the threshold as { rating_id, score, reasons }
+const scoreRatings = (ratings) => {
+  const reasons = new Map(ratings.map((r) => [r.id, new Set()]));
+  const flag = (rating, signal) => reasons.get(rating.id).add(signal);
+
+  findBursts(ratings, flag);
+  for (const r of ratings) {
+    if (r.at - r.account_at < NEW_ACCOUNT_HOURS * 3600000) flag(r, 'new_account');
+  }
+  for (const group of groupBy(ratings, (r) => (r.ip ? `${r.store_id} ${r.ip}` : null)).values()) {
+    if (group.length >= SHARED_IP_ACCOUNTS) group.forEach((r) => flag(r, 'shared_ip'));
+  }
+  for (const group of groupBy(ratings, (r) => r.user_id).values()) {
+    const owners = new Set(group.map((r) => r.owner_id));
+    if (group.length >= 2 && owners.size === 1 && group[0].owner_id !== null) {
+      group.forEach((r) => flag(r, 'single_owner'));
+    }
+  }
+
+  return ratings
+    .map((r) => {
+      const found = [...reasons.get(r.id)];
+      return { rating_id: r.id, score: found.reduce((n, s) => n + SIGNALS[s], 0), reasons: found };
+    })
+    .filter((s) => s.score >= SCORE_THRESHOLD);
+};
+
+// Scores every rating and brings rating_suspicions up to date. New suspects
+// open for review; reviewed ones keep their status with a fresh score; open
+// ones that no longer reach the threshold are dropped. The ratings are read
+// in the same transaction so the suspicions match what was scored.
+const scanRatings = () =>
+  transaction(async (tx) => {
+    const rows = await tx.all(
+      `SELECT r.id, r.user_id, r.store_id, r.ip, r.created_at, u.created_at AS account_created_at, s.owner_id
+       FROM ratings r
+       JOIN users u ON u.id = r.user_id
+       JOIN stores s ON s.id = r.store_id`
+    );
+    const ratings = rows.map((r) => ({
+      ...r,
+      at: toEpochMs(r.created_at),
+      account_at: toEpochMs(r.account_created_at),
+    }));
+    const suspects = scoreRatings(ratings);
+    const now = Date.now();
+
+    const existing = new Map(
+      (await tx.all(`SELECT rating_id, status FROM rating_suspicions`)).map((s) => [s.rating_id, s.status])
+    );
+    let opened = 0;
+    for (const s of suspects) {
+      if (existing.has(s.rating_id)) {
+        await tx.run(`UPDATE rating_suspicions SET score = ?, reasons = ? WHERE rating_id = ?`, [
+          s.score,
+          JSON.stringify(s.reasons),
+          s.rating_id,
+        ]);
+      } else {
+        await tx.run(
+          `INSERT INTO rating_suspicions (rating_id, score, reasons, detected_at) VALUES (?, ?, ?, ?)`,
+          [s.rating_id, s.score, JSON.stringify(s.reasons), now]
+        );
+        opened++;
+      }
+    }
+    const flagged = new Set(suspects.map((s) => s.rating_id));
+    let cleared = 0;
+    for (const [ratingId, status] of existing) {
+      if (status === 'open' && !flagged.has(ratingId)) {
+        await tx.run(`DELETE FROM rating_suspicions WHERE rating_id = ?`, [ratingId]);
+        cleared++;
+      }
+    }
+    return { scanned: ratings.length, suspects: suspects.length, opened, cleared };
+  });
+
+// CLI: node fraud.js scan
+if (require.main === module) {
+  const [command] = process.argv.slice(2);
+  if (command !== 'scan') {
+    console.error(`Unknown command "${command ?? ''}". Use scan.`);
+    process.exit(1);
+  }
+  scanRatings()
+    .then(({ scanned, suspects, opened, cleared }) => {
+      console.log(`Scanned ${scanned} ratings: ${suspects} suspects (${opened} new, ${cleared} cleared)`);
+      return close();
+    })
+    .catch((err) => {
+      console.error('Scan failed:', err.message);
+      close().finally(() => process.exit(1));
+    });
+}
+
+module.exports = {
+  SIGNALS,
+  scanRatings,
+};
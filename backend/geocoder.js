@@ -0,0 +1,39 @@
+const fs = require('fs');
+const path = require('path');
+
+// GEOCODER picks how a free-text address becomes coordinates. Nothing here
+// calls out to the network. The default "none" finds nothing, so stores only
+// get coordinates typed in by an admin or owner. "gazetteer" reads
+// GEOCODER_FILE, a JSON array of { "name", "latitude", "longitude" } places
+// (cities, postcodes, districts), and uses the longest place name that
+// appears in the address. Another geocoder is another entry with the same
+// geocode(address) shape.
+const geocoders = {
+  none: () => ({
+    geocode: async () => null,
+  }),
+  gazetteer: () => {
+    const file = process.env.GEOCODER_FILE || path.join(__dirname, 'gazetteer.json');
+    const places = JSON.parse(fs.readFileSync(file, 'utf8'))
+      .map((place) => ({ ...place, key: place.name.trim().toLowerCase() }))
+      .sort((a, b) => b.key.length - a.key.length);
+    return {
+      geocode: async (address) => {
+        const text = ` ${address.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ')} `;
+        const place = places.find((p) => text.includes(` ${p.key} `));
+        return place ? { latitude: place.latitude, longitude: place.longitude } : null;
+      },
+    };
+  },
+};
+
+const geocoderName = process.env.GEOCODER || 'none';
+if (!geocoders[geocoderName]) {
+  throw new Error(`Unknown GEOCODER "${geocoderName}". Use ${Object.keys(geocoders).join(' or ')}.`);
+}
+const geocoder = geocoders[geocoderName]();
+
+// Resolves to { latitude, longitude }, or null when the address isn't recognised
+const geocode = (address) => (address ? geocoder.geocode(address) : Promise.resolve(null));
+
+module.exports = { geocode };
@@ -0,0 +1,43 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// MAIL_TRANSPORT picks how messages leave the server. The default "outbox"
+// writes each message as a JSON file under MAIL_OUTBOX_DIR so local setups
+// and tests can read them; "console" logs them instead. A real transport
+// (SMTP, an email API) is another entry with the same send(message) shape.
+const transports = {
+  outbox: () => {
+    const dir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, 'outbox');
+    return {
+      send: async (message) => {
+        await fs.promises.mkdir(dir, { recursive: true });
+        const file = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+        await fs.promises.writeFile(
+          path.join(dir, file),
+          JSON.stringify({ ...message, sent_at: new Date().toISOString() }, null, 2)
+        );
+      },
+    };
+  },
+  console: () => ({
+    send: async (message) => {
+      console.log(`[mail] To: ${message.to}\nSubject: ${message.subject}\n\n${message.text}`);
+    },
+  }),
+};
+
+const transportName = process.env.MAIL_TRANSPORT || 'outbox';
+if (!transports[transportName]) {
+  throw new Error(
+    `Unknown MAIL_TRANSPORT "${transportName}". Use ${Object.keys(transports).join(' or ')}.`
+  );
+}
+const transport = transports[transportName]();
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Store Rating Platform <no-reply@localhost>';
+
+// message: { to, subject, text }
+const sendMail = (message) => transport.send({ from: MAIL_FROM, ...message });
+
+module.exports = { sendMail };
@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+const { all, exec, transaction, close, client, dialect, types } = require('./db');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Adds a column unless it is already there, so migrations can adopt
+// databases that picked the column up before they were versioned
+const addColumnWith = ({ all, exec }) => async (table, column, definition) => {
+  if (dialect === 'postgres') {
+    await exec(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS ${column} ${definition}`);
+    return;
+  }
+  const columns = await all(`PRAGMA table_info(${table})`);
+  if (!columns.some((c) => c.name === column)) {
+    await exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+};
+
+// Migrations get the transaction's statements plus the dialect, and
+// types.id / types.timestamp for column types that differ between databases.
+// client tells real Postgres from the pg-mem emulation, which lacks triggers.
+const helpersFor = (tx) => ({ ...tx, addColumn: addColumnWith(tx), client, dialect, types });
+
+// Migration files are named NNN_description.js and applied in version order
+const loadMigrations = () =>
+  fs
+    .readdirSync(MIGRATIONS_DIR)
+    .filter((file) => /^\d+_.+\.js$/.test(file))
+    .sort()
+    .map((file) => ({
+      version: file.split('_')[0],
+      name: path.basename(file, '.js'),
+      ...require(path.join(MIGRATIONS_DIR, file)),
+    }));
+
+const ensureMigrationsTable = () =>
+  exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at ${types.timestamp} DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+const appliedVersions = async () => {
+  await ensureMigrationsTable();
+  const rows = await all(`SELECT version FROM schema_migrations ORDER BY version ASC`);
+  return rows.map((r) => r.version);
+};
+
+const pendingMigrations = async () => {
+  const applied = new Set(await appliedVersions());
+  return loadMigrations().filter((m) => !applied.has(m.version));
+};
+
+const migrate = async () => {
+  const pending = await pendingMigrations();
+  for (const migration of pending) {
+    // Each migration runs in its own transaction together with its bookkeeping row
+    await transaction(async (tx) => {
+      await migration.up(helpersFor(tx));
+      await tx.run(`INSERT INTO schema_migrations (version, name) VALUES (?, ?)`, [
+        migration.version,
+        migration.name,
+      ]);
+    });
+    console.log(`Applied ${migration.name}`);
+  }
+  return pending;
+};
+
+const rollback = async (steps = 1) => {
+  const applied = (await appliedVersions()).reverse().slice(0, steps);
+  const byVersion = new Map(loadMigrations().map((m) => [m.version, m]));
+  const rolledBack = [];
+  for (const version of applied) {
+    const migration = byVersion.get(version);
+    if (!migration) {
+      throw new Error(`Migration ${version} is applied but its file is missing`);
+    }
+    if (!migration.down) {
+      throw new Error(`Migration ${migration.name} cannot be rolled back`);
+    }
+    await transaction(async (tx) => {
+      await migration.down(helpersFor(tx));
+      await tx.run(`DELETE FROM schema_migrations WHERE version = ?`, [version]);
+    });
+    console.log(`Rolled back ${migration.name}`);
+    rolledBack.push(migration);
+  }
+  return rolledBack;
+};
+
+const status = async () => {
+  const applied = new Set(await appliedVersions());
+  return loadMigrations().map((m) => ({ name: m.name, applied: applied.has(m.version) }));
+};
+
+// CLI: node migrate.js [up | down [steps] | status]
+if (require.main === module) {
+  const [command = 'up', arg] = process.argv.slice(2);
+  const commands = {
+    up: async () => {
+      const applied = await migrate();
+      if (applied.length === 0) console.log('Database is up to date');
+    },
+    down: async () => {
+      const steps = arg ? Number(arg) : 1;
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('Steps must be a positive integer');
+      }
+      const rolledBack = await rollback(steps);
+      if (rolledBack.length === 0) console.log('Nothing to roll back');
+    },
+    status: async () => {
+      for (const m of await status()) {
+        console.log(`${m.applied ? '[x]' : '[ ]'} ${m.name}`);
+      }
+    },
+  };
+
+  if (!commands[command]) {
+    console.error(`Unknown command "${command}". Use up, down [steps] or status.`);
+    process.exit(1);
+  }
+
+  commands[command]()
+    .then(() => close())
+    .catch((err) => {
+      console.error('Migration failed:', err.message);
+      close().finally(() => process.exit(1));
+    });
+}
+
+module.exports = {
+  migrate,
+  rollback,
+  status,
+  pendingMigrations,
+};
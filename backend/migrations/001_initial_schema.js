@@ -0,0 +1,59 @@
+// Tables as they were created by the original initDb(). IF NOT EXISTS lets
+// databases created before migrations existed adopt this baseline.
+module.exports = {
+  async up({ exec, types }) {
+    await exec(`
+      CREATE TABLE IF NOT EXISTS users (
+        id ${types.id},
+        name TEXT NOT NULL,
+        email TEXT NOT NULL UNIQUE,
+        address TEXT,
+        password_hash TEXT NOT NULL,
+        role TEXT NOT NULL CHECK (role IN ('admin','normal','owner')),
+        created_at ${types.timestamp} DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS stores (
+        id ${types.id},
+        name TEXT NOT NULL,
+        email TEXT,
+        address TEXT,
+        owner_id INTEGER,
+        created_at ${types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (owner_id) REFERENCES users(id) ON DELETE SET NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS ratings (
+        id ${types.id},
+        user_id INTEGER NOT NULL,
+        store_id INTEGER NOT NULL,
+        rating INTEGER NOT NULL CHECK (rating BETWEEN 1 AND 5),
+        created_at ${types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+        updated_at ${types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (user_id, store_id),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (store_id) REFERENCES stores(id) ON DELETE CASCADE
+      );
+
+      CREATE TABLE IF NOT EXISTS owner_requests (
+        id ${types.id},
+        user_id INTEGER NOT NULL,
+        status TEXT NOT NULL CHECK (status IN ('pending','approved','rejected')),
+        reason TEXT,
+        created_at ${types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+        updated_at ${types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (user_id),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      );
+    `);
+  },
+
+  async down({ exec }) {
+    await exec(`
+      DROP TABLE IF EXISTS owner_requests;
+      DROP TABLE IF EXISTS ratings;
+      DROP TABLE IF EXISTS stores;
+      DROP TABLE IF EXISTS users;
+    `);
+  },
+};
@@ -0,0 +1,14 @@
+// Optional written review alongside each star rating
+module.exports = {
+  async up({ addColumn }) {
+    await addColumn('ratings', 'review_title', 'TEXT');
+    await addColumn('ratings', 'review_body', 'TEXT');
+  },
+
+  async down({ exec }) {
+    await exec(`
+      ALTER TABLE ratings DROP COLUMN review_body;
+      ALTER TABLE ratings DROP COLUMN review_title;
+    `);
+  },
+};
@@ -0,0 +1,22 @@
+// One public owner reply per rating
+module.exports = {
+  async up({ exec, types }) {
+    await exec(`
+      CREATE TABLE IF NOT EXISTS review_replies (
+        id ${types.id},
+        rating_id INTEGER NOT NULL,
+        owner_id INTEGER NOT NULL,
+        body TEXT NOT NULL,
+        created_at ${types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+        updated_at ${types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (rating_id),
+        FOREIGN KEY (rating_id) REFERENCES ratings(id) ON DELETE CASCADE,
+        FOREIGN KEY (owner_id) REFERENCES users(id) ON DELETE CASCADE
+      );
+    `);
+  },
+
+  async down({ exec }) {
+    await exec(`DROP TABLE IF EXISTS review_replies;`);
+  },
+};
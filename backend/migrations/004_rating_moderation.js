@@ -0,0 +1,30 @@
+// Rating flags and the hidden switch used by the admin moderation queue.
+// Hidden ratings are kept but left out of every average.
+module.exports = {
+  async up({ exec, addColumn, types }) {
+    await addColumn('ratings', 'hidden', 'INTEGER NOT NULL DEFAULT 0');
+    await exec(`
+      CREATE TABLE IF NOT EXISTS rating_flags (
+        id ${types.id},
+        rating_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        reason TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open','resolved')),
+        resolved_by INTEGER,
+        created_at ${types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+        resolved_at ${types.timestamp},
+        UNIQUE (rating_id, user_id),
+        FOREIGN KEY (rating_id) REFERENCES ratings(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (resolved_by) REFERENCES users(id) ON DELETE SET NULL
+      );
+    `);
+  },
+
+  async down({ exec }) {
+    await exec(`
+      DROP TABLE IF EXISTS rating_flags;
+      ALTER TABLE ratings DROP COLUMN hidden;
+    `);
+  },
+};
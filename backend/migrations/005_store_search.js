@@ -0,0 +1,66 @@
+// FTS5 index over store name, address and visible review text.
+// One row per store (rowid = store id); triggers keep it in sync.
+// SQLite only: on Postgres, search runs straight against the tables.
+const reviewsText = (storeIdExpr) => `
+  COALESCE((SELECT group_concat(COALESCE(rv.review_title, '') || ' ' || rv.review_body, ' ')
+            FROM ratings rv
+            WHERE rv.store_id = ${storeIdExpr} AND rv.hidden = 0 AND rv.review_body IS NOT NULL), '')`;
+
+module.exports = {
+  async up({ exec, dialect }) {
+    if (dialect !== 'sqlite') return;
+    await exec(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS stores_fts USING fts5(
+        name, address, reviews,
+        tokenize = 'unicode61 remove_diacritics 2',
+        prefix = '2 3'
+      );
+      CREATE VIRTUAL TABLE IF NOT EXISTS stores_fts_vocab USING fts5vocab(stores_fts, 'row');
+
+      CREATE TRIGGER IF NOT EXISTS stores_fts_insert AFTER INSERT ON stores BEGIN
+        INSERT INTO stores_fts (rowid, name, address, reviews)
+        VALUES (new.id, new.name, COALESCE(new.address, ''), '');
+      END;
+      CREATE TRIGGER IF NOT EXISTS stores_fts_update AFTER UPDATE OF name, address ON stores BEGIN
+        UPDATE stores_fts SET name = new.name, address = COALESCE(new.address, '')
+        WHERE rowid = new.id;
+      END;
+      CREATE TRIGGER IF NOT EXISTS stores_fts_delete AFTER DELETE ON stores BEGIN
+        DELETE FROM stores_fts WHERE rowid = old.id;
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS ratings_fts_insert AFTER INSERT ON ratings BEGIN
+        UPDATE stores_fts SET reviews = ${reviewsText('new.store_id')}
+        WHERE rowid = new.store_id;
+      END;
+      CREATE TRIGGER IF NOT EXISTS ratings_fts_update
+      AFTER UPDATE OF review_title, review_body, hidden ON ratings BEGIN
+        UPDATE stores_fts SET reviews = ${reviewsText('new.store_id')}
+        WHERE rowid = new.store_id;
+      END;
+      CREATE TRIGGER IF NOT EXISTS ratings_fts_delete AFTER DELETE ON ratings BEGIN
+        UPDATE stores_fts SET reviews = ${reviewsText('old.store_id')}
+        WHERE rowid = old.store_id;
+      END;
+
+      DELETE FROM stores_fts;
+      INSERT INTO stores_fts (rowid, name, address, reviews)
+      SELECT s.id, s.name, COALESCE(s.address, ''), ${reviewsText('s.id')}
+      FROM stores s;
+    `);
+  },
+
+  async down({ exec, dialect }) {
+    if (dialect !== 'sqlite') return;
+    await exec(`
+      DROP TRIGGER IF EXISTS ratings_fts_delete;
+      DROP TRIGGER IF EXISTS ratings_fts_update;
+      DROP TRIGGER IF EXISTS ratings_fts_insert;
+      DROP TRIGGER IF EXISTS stores_fts_delete;
+      DROP TRIGGER IF EXISTS stores_fts_update;
+      DROP TRIGGER IF EXISTS stores_fts_insert;
+      DROP TABLE IF EXISTS stores_fts_vocab;
+      DROP TABLE IF EXISTS stores_fts;
+    `);
+  },
+};
@@ -0,0 +1,25 @@
+// Refresh tokens, stored as SHA-256 hashes. Tokens issued from one login
+// share a family_id so a replayed token can revoke the whole chain.
+// expires_at is epoch milliseconds so both databases compare it the same way.
+module.exports = {
+  async up({ exec, types }) {
+    await exec(`
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id ${types.id},
+        user_id INTEGER NOT NULL,
+        token_hash TEXT NOT NULL UNIQUE,
+        family_id TEXT NOT NULL,
+        expires_at BIGINT NOT NULL,
+        revoked_at ${types.timestamp},
+        replaced_by INTEGER,
+        created_at ${types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      );
+      CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family ON refresh_tokens (family_id);
+    `);
+  },
+
+  async down({ exec }) {
+    await exec(`DROP TABLE IF EXISTS refresh_tokens;`);
+  },
+};
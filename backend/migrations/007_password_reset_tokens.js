@@ -0,0 +1,21 @@
+// Single-use password reset tokens, stored as SHA-256 hashes.
+// expires_at is epoch milliseconds, as in refresh_tokens.
+module.exports = {
+  async up({ exec, types }) {
+    await exec(`
+      CREATE TABLE IF NOT EXISTS password_reset_tokens (
+        id ${types.id},
+        user_id INTEGER NOT NULL,
+        token_hash TEXT NOT NULL UNIQUE,
+        expires_at BIGINT NOT NULL,
+        used_at ${types.timestamp},
+        created_at ${types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      );
+    `);
+  },
+
+  async down({ exec }) {
+    await exec(`DROP TABLE IF EXISTS password_reset_tokens;`);
+  },
+};
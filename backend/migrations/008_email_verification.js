@@ -0,0 +1,25 @@
+// Accounts created by signup start unverified. Accounts that existed before
+// this migration are treated as verified.
+module.exports = {
+  async up({ exec, run, addColumn, types }) {
+    await addColumn('users', 'email_verified', 'INTEGER NOT NULL DEFAULT 0');
+    await run(`UPDATE users SET email_verified = 1`);
+    await exec(`
+      CREATE TABLE IF NOT EXISTS email_verification_tokens (
+        id ${types.id},
+        user_id INTEGER NOT NULL,
+        token_hash TEXT NOT NULL UNIQUE,
+        expires_at BIGINT NOT NULL,
+        created_at ${types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      );
+    `);
+  },
+
+  async down({ exec }) {
+    await exec(`
+      DROP TABLE IF EXISTS email_verification_tokens;
+      ALTER TABLE users DROP COLUMN email_verified;
+    `);
+  },
+};
@@ -0,0 +1,22 @@
+// Failed login bookkeeping, one row per client IP and per account email.
+// blocked_until and last_failed_at are epoch milliseconds.
+module.exports = {
+  async up({ exec, types }) {
+    await exec(`
+      CREATE TABLE IF NOT EXISTS login_throttles (
+        id ${types.id},
+        scope TEXT NOT NULL CHECK (scope IN ('ip','account')),
+        throttle_key TEXT NOT NULL,
+        failures INTEGER NOT NULL DEFAULT 0,
+        locked INTEGER NOT NULL DEFAULT 0,
+        blocked_until BIGINT NOT NULL DEFAULT 0,
+        last_failed_at BIGINT NOT NULL DEFAULT 0,
+        UNIQUE (scope, throttle_key)
+      );
+    `);
+  },
+
+  async down({ exec }) {
+    await exec(`DROP TABLE IF EXISTS login_throttles;`);
+  },
+};
@@ -0,0 +1,50 @@
+// Append-only record of admin mutations. before_data/after_data hold JSON
+// snapshots. actor_id has no foreign key so entries outlive deleted users.
+// Triggers reject UPDATE and DELETE where the database supports them.
+module.exports = {
+  async up({ exec, client, dialect, types }) {
+    await exec(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id ${types.id},
+        actor_id INTEGER,
+        action TEXT NOT NULL,
+        target_type TEXT NOT NULL,
+        target_id TEXT,
+        before_data TEXT,
+        after_data TEXT,
+        ip TEXT,
+        created_at ${types.timestamp} DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log (created_at);
+    `);
+
+    if (dialect === 'sqlite') {
+      await exec(`
+        CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log BEGIN
+          SELECT RAISE(ABORT, 'audit_log is append-only');
+        END;
+        CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log BEGIN
+          SELECT RAISE(ABORT, 'audit_log is append-only');
+        END;
+      `);
+    } else if (client === 'postgres') {
+      await exec(`
+        CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+        BEGIN
+          RAISE EXCEPTION 'audit_log is append-only';
+        END;
+        $$ LANGUAGE plpgsql;
+        DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log;
+        CREATE TRIGGER audit_log_append_only BEFORE UPDATE OR DELETE ON audit_log
+          FOR EACH ROW EXECUTE FUNCTION audit_log_append_only();
+      `);
+    }
+  },
+
+  async down({ exec, client }) {
+    await exec(`DROP TABLE IF EXISTS audit_log;`);
+    if (client === 'postgres') {
+      await exec(`DROP FUNCTION IF EXISTS audit_log_append_only();`);
+    }
+  },
+};
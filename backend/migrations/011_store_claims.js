@@ -0,0 +1,31 @@
+// Requests to own a store: either an existing store (store_id) or a new one
+// described by the store_* columns, which an admin creates on approval
+module.exports = {
+  async up({ exec, types }) {
+    await exec(`
+      CREATE TABLE IF NOT EXISTS store_claims (
+        id ${types.id},
+        user_id INTEGER NOT NULL,
+        store_id INTEGER,
+        store_name TEXT,
+        store_email TEXT,
+        store_address TEXT,
+        details TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending','approved','rejected')),
+        reason TEXT,
+        reviewed_by INTEGER,
+        created_at ${types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+        updated_at ${types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (store_id) REFERENCES stores(id) ON DELETE CASCADE,
+        FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_store_claims_status ON store_claims (status, created_at);
+    `);
+  },
+
+  async down({ exec }) {
+    await exec(`DROP TABLE IF EXISTS store_claims;`);
+  },
+};
@@ -0,0 +1,62 @@
+// Every star value a user has given a store, one row per change. changed_at
+// is epoch milliseconds. rating_id and user_id have no foreign key so the
+// history outlives deleted ratings and users; it goes away with the store.
+// Rows are never edited: triggers reject UPDATE where the database supports them.
+
+// SQLite returns CURRENT_TIMESTAMP values as "YYYY-MM-DD HH:MM:SS" in UTC
+const toEpochMs = (value) =>
+  value instanceof Date ? value.getTime() : Date.parse(`${String(value).replace(' ', 'T')}Z`);
+
+module.exports = {
+  async up({ exec, run, all, client, dialect, types }) {
+    await exec(`
+      CREATE TABLE IF NOT EXISTS rating_history (
+        id ${types.id},
+        rating_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        store_id INTEGER NOT NULL,
+        rating INTEGER NOT NULL CHECK (rating BETWEEN 1 AND 5),
+        previous_rating INTEGER,
+        changed_at BIGINT NOT NULL,
+        FOREIGN KEY (store_id) REFERENCES stores(id) ON DELETE CASCADE
+      );
+      CREATE INDEX IF NOT EXISTS idx_rating_history_store ON rating_history (store_id, changed_at);
+    `);
+
+    // Earlier changes were overwritten; each existing rating starts its history
+    const ratings = await all(`SELECT id, user_id, store_id, rating, updated_at FROM ratings`);
+    for (const r of ratings) {
+      await run(
+        `INSERT INTO rating_history (rating_id, user_id, store_id, rating, changed_at)
+         VALUES (?, ?, ?, ?, ?)`,
+        [r.id, r.user_id, r.store_id, r.rating, toEpochMs(r.updated_at)]
+      );
+    }
+
+    if (dialect === 'sqlite') {
+      await exec(`
+        CREATE TRIGGER IF NOT EXISTS rating_history_no_update BEFORE UPDATE ON rating_history BEGIN
+          SELECT RAISE(ABORT, 'rating_history is append-only');
+        END;
+      `);
+    } else if (client === 'postgres') {
+      await exec(`
+        CREATE OR REPLACE FUNCTION rating_history_append_only() RETURNS trigger AS $$
+        BEGIN
+          RAISE EXCEPTION 'rating_history is append-only';
+        END;
+        $$ LANGUAGE plpgsql;
+        DROP TRIGGER IF EXISTS rating_history_append_only ON rating_history;
+        CREATE TRIGGER rating_history_append_only BEFORE UPDATE ON rating_history
+          FOR EACH ROW EXECUTE FUNCTION rating_history_append_only();
+      `);
+    }
+  },
+
+  async down({ exec, client }) {
+    await exec(`DROP TABLE IF EXISTS rating_history;`);
+    if (client === 'postgres') {
+      await exec(`DROP FUNCTION IF EXISTS rating_history_append_only();`);
+    }
+  },
+};
@@ -0,0 +1,30 @@
+// Admin-managed categories (one per store) and free-form store tags.
+// Tags are stored lowercased; a store can't carry the same tag twice.
+module.exports = {
+  async up({ exec, addColumn, types }) {
+    await exec(`
+      CREATE TABLE IF NOT EXISTS categories (
+        id ${types.id},
+        name TEXT NOT NULL UNIQUE,
+        created_at ${types.timestamp} DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS store_tags (
+        store_id INTEGER NOT NULL,
+        tag TEXT NOT NULL,
+        PRIMARY KEY (store_id, tag),
+        FOREIGN KEY (store_id) REFERENCES stores(id) ON DELETE CASCADE
+      );
+      CREATE INDEX IF NOT EXISTS idx_store_tags_tag ON store_tags (tag);
+    `);
+    await addColumn('stores', 'category_id', 'INTEGER REFERENCES categories(id) ON DELETE SET NULL');
+  },
+
+  async down({ exec }) {
+    await exec(`
+      ALTER TABLE stores DROP COLUMN category_id;
+      DROP TABLE IF EXISTS store_tags;
+      DROP TABLE IF EXISTS categories;
+    `);
+  },
+};
@@ -0,0 +1,17 @@
+// Optional store coordinates in decimal degrees (WGS 84). Both are null
+// until an admin or owner enters them or the address is geocoded.
+module.exports = {
+  async up({ exec, addColumn }) {
+    await addColumn('stores', 'latitude', 'DOUBLE PRECISION');
+    await addColumn('stores', 'longitude', 'DOUBLE PRECISION');
+    await exec(`CREATE INDEX IF NOT EXISTS idx_stores_location ON stores (latitude, longitude);`);
+  },
+
+  async down({ exec }) {
+    await exec(`
+      DROP INDEX IF EXISTS idx_stores_location;
+      ALTER TABLE stores DROP COLUMN latitude;
+      ALTER TABLE stores DROP COLUMN longitude;
+    `);
+  },
+};
@@ -0,0 +1,29 @@
+// Store photos. The files themselves live in the storage backend (see
+// storage.js); rows keep their keys. position orders a store's gallery,
+// lowest first, and the first photo is the store's cover.
+module.exports = {
+  async up({ exec, types }) {
+    await exec(`
+      CREATE TABLE IF NOT EXISTS store_photos (
+        id ${types.id},
+        store_id INTEGER NOT NULL,
+        uploaded_by INTEGER,
+        storage_key TEXT NOT NULL,
+        thumbnail_key TEXT NOT NULL,
+        content_type TEXT NOT NULL,
+        width INTEGER NOT NULL,
+        height INTEGER NOT NULL,
+        size_bytes INTEGER NOT NULL,
+        position INTEGER NOT NULL,
+        created_at ${types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (store_id) REFERENCES stores(id) ON DELETE CASCADE,
+        FOREIGN KEY (uploaded_by) REFERENCES users(id) ON DELETE SET NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_store_photos_store ON store_photos (store_id, position);
+    `);
+  },
+
+  async down({ exec }) {
+    await exec(`DROP TABLE IF EXISTS store_photos;`);
+  },
+};
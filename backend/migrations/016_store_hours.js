@@ -0,0 +1,38 @@
+// Weekly opening hours and dated exceptions (holidays, special hours).
+// Times are local "HH:MM" strings in the store's IANA timezone; a closing
+// time at or before the opening time runs past midnight. An exception row
+// with no times means the store is closed all that day.
+module.exports = {
+  async up({ exec, addColumn }) {
+    await addColumn('stores', 'timezone', 'TEXT');
+    await exec(`
+      CREATE TABLE IF NOT EXISTS store_hours (
+        store_id INTEGER NOT NULL,
+        weekday INTEGER NOT NULL CHECK (weekday BETWEEN 0 AND 6),
+        opens TEXT NOT NULL,
+        closes TEXT NOT NULL,
+        PRIMARY KEY (store_id, weekday, opens),
+        FOREIGN KEY (store_id) REFERENCES stores(id) ON DELETE CASCADE
+      );
+
+      CREATE TABLE IF NOT EXISTS store_hour_exceptions (
+        store_id INTEGER NOT NULL,
+        date TEXT NOT NULL,
+        opens TEXT,
+        closes TEXT,
+        note TEXT,
+        PRIMARY KEY (store_id, date),
+        FOREIGN KEY (store_id) REFERENCES stores(id) ON DELETE CASCADE
+      );
+      CREATE INDEX IF NOT EXISTS idx_store_hour_exceptions_date ON store_hour_exceptions (date);
+    `);
+  },
+
+  async down({ exec }) {
+    await exec(`
+      DROP TABLE IF EXISTS store_hour_exceptions;
+      DROP TABLE IF EXISTS store_hours;
+      ALTER TABLE stores DROP COLUMN timezone;
+    `);
+  },
+};
@@ -0,0 +1,38 @@
+// Running totals of each store's visible ratings, kept in step with ratings by
+// the server in the same transaction as every rating write (see
+// rating-stats.js). stars_1..stars_5 is the per-star histogram, so
+// rating_count is their sum and rating_sum their weighted sum.
+module.exports = {
+  async up({ exec }) {
+    await exec(`
+      CREATE TABLE IF NOT EXISTS store_rating_stats (
+        store_id INTEGER PRIMARY KEY,
+        rating_count INTEGER NOT NULL DEFAULT 0,
+        rating_sum INTEGER NOT NULL DEFAULT 0,
+        review_count INTEGER NOT NULL DEFAULT 0,
+        stars_1 INTEGER NOT NULL DEFAULT 0,
+        stars_2 INTEGER NOT NULL DEFAULT 0,
+        stars_3 INTEGER NOT NULL DEFAULT 0,
+        stars_4 INTEGER NOT NULL DEFAULT 0,
+        stars_5 INTEGER NOT NULL DEFAULT 0,
+        FOREIGN KEY (store_id) REFERENCES stores(id) ON DELETE CASCADE
+      );
+
+      INSERT INTO store_rating_stats
+        (store_id, rating_count, rating_sum, review_count, stars_1, stars_2, stars_3, stars_4, stars_5)
+      SELECT store_id, COUNT(*), SUM(rating), COUNT(review_body),
+             SUM(CASE WHEN rating = 1 THEN 1 ELSE 0 END),
+             SUM(CASE WHEN rating = 2 THEN 1 ELSE 0 END),
+             SUM(CASE WHEN rating = 3 THEN 1 ELSE 0 END),
+             SUM(CASE WHEN rating = 4 THEN 1 ELSE 0 END),
+             SUM(CASE WHEN rating = 5 THEN 1 ELSE 0 END)
+      FROM ratings
+      WHERE hidden = 0
+      GROUP BY store_id;
+    `);
+  },
+
+  async down({ exec }) {
+    await exec(`DROP TABLE IF EXISTS store_rating_stats;`);
+  },
+};
@@ -0,0 +1,35 @@
+// Rating fraud review. ratings.ip is the address a rating was last saved
+// from; excluded ratings stay visible as reviews but count toward no
+// average. rating_suspicions holds what the detection job (fraud.js) found,
+// one row per rating: reasons is a JSON array of signal names, detected_at
+// epoch milliseconds, and status moves from open to excluded or dismissed
+// when an admin reviews it.
+module.exports = {
+  async up({ exec, addColumn, types }) {
+    await addColumn('ratings', 'ip', 'TEXT');
+    await addColumn('ratings', 'excluded', 'INTEGER NOT NULL DEFAULT 0');
+    await exec(`
+      CREATE TABLE IF NOT EXISTS rating_suspicions (
+        rating_id INTEGER PRIMARY KEY,
+        score INTEGER NOT NULL,
+        reasons TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open','excluded','dismissed')),
+        detected_at BIGINT NOT NULL,
+        reviewed_by INTEGER,
+        reviewed_at ${types.timestamp},
+        FOREIGN KEY (rating_id) REFERENCES ratings(id) ON DELETE CASCADE,
+        FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_rating_suspicions_status ON rating_suspicions (status, score);
+    `);
+  },
+
+  // Excluded ratings count again afterwards: run npm run stats:rebuild
+  async down({ exec }) {
+    await exec(`
+      DROP TABLE IF EXISTS rating_suspicions;
+      ALTER TABLE ratings DROP COLUMN excluded;
+      ALTER TABLE ratings DROP COLUMN ip;
+    `);
+  },
+};
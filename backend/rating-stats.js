@@ -0,0 +1,100 @@
+const { get, transaction, close } = require('./db');
+
+// store_rating_stats holds each store's visible-rating totals so listings
+// don't re-aggregate the ratings table. Every statement that writes a rating
+// calls updateRatingStats in its transaction; rebuildRatingStats recomputes
+// the table from scratch if it ever drifts.
+
+const STARS = [1, 2, 3, 4, 5];
+const COUNTERS = ['rating_count', 'rating_sum', 'review_count', ...STARS.map((n) => `stars_${n}`)];
+
+// What one rating adds to its store's row: nothing while it is hidden or
+// excluded as suspected fraud
+const contribution = (rating) => {
+  const counts = Object.fromEntries(COUNTERS.map((c) => [c, 0]));
+  if (rating && !rating.hidden && !rating.excluded) {
+    counts.rating_count = 1;
+    counts.rating_sum = Number(rating.rating);
+    counts.review_count = rating.review_body ? 1 : 0;
+    counts[`stars_${rating.rating}`] = 1;
+  }
+  return counts;
+};
+
+const upsertStats = `
+  INSERT INTO store_rating_stats (store_id, ${COUNTERS.join(', ')})
+  VALUES (?, ${COUNTERS.map(() => '?').join(', ')})
+  ON CONFLICT (store_id) DO UPDATE SET
+    ${COUNTERS.map((c) => `${c} = store_rating_stats.${c} + excluded.${c}`).join(',\n    ')}`;
+
+// Moves a store's totals from one version of a rating to another. before is
+// null for a new rating and after is null for a deleted one; both carry
+// store_id, rating, review_body, hidden and excluded. Must run inside tx's
+// transaction.
+const updateRatingStats = async (tx, before, after) => {
+  const storeId = (after || before).store_id;
+  const from = contribution(before);
+  const to = contribution(after);
+  const delta = COUNTERS.map((c) => to[c] - from[c]);
+  if (delta.every((d) => d === 0)) return;
+  await tx.run(upsertStats, [storeId, ...delta]);
+};
+
+const aggregateRatings = `
+  SELECT store_id, COUNT(*) AS rating_count, SUM(rating) AS rating_sum,
+         COUNT(review_body) AS review_count,
+         ${STARS.map((n) => `SUM(CASE WHEN rating = ${n} THEN 1 ELSE 0 END) AS stars_${n}`).join(',\n         ')}
+  FROM ratings
+  WHERE hidden = 0 AND excluded = 0
+  GROUP BY store_id`;
+
+// Recomputes every row from the ratings table. Resolves to the number of
+// stores with ratings and how many of them had wrong totals.
+const rebuildRatingStats = () =>
+  transaction(async (tx) => {
+    const key = (row) => COUNTERS.map((c) => Number(row[c])).join();
+    const current = new Map(
+      (await tx.all(`SELECT store_id, ${COUNTERS.join(', ')} FROM store_rating_stats WHERE rating_count > 0`))
+        .map((row) => [row.store_id, key(row)])
+    );
+    const fresh = await tx.all(aggregateRatings);
+    const freshIds = new Set(fresh.map((row) => row.store_id));
+    const repaired =
+      fresh.filter((row) => current.get(row.store_id) !== key(row)).length +
+      [...current.keys()].filter((id) => !freshIds.has(id)).length;
+
+    await tx.run(`DELETE FROM store_rating_stats`);
+    await tx.run(
+      `INSERT INTO store_rating_stats (store_id, ${COUNTERS.join(', ')}) ${aggregateRatings}`
+    );
+    return { stores: fresh.length, repaired };
+  });
+
+// Platform-wide totals, for averages and histograms across every store
+const platformRatingStats = () =>
+  get(`SELECT ${COUNTERS.map((c) => `COALESCE(SUM(${c}), 0) AS ${c}`).join(', ')} FROM store_rating_stats`);
+
+// CLI: node rating-stats.js rebuild
+if (require.main === module) {
+  const [command] = process.argv.slice(2);
+  if (command !== 'rebuild') {
+    console.error(`Unknown command "${command ?? ''}". Use rebuild.`);
+    process.exit(1);
+  }
+  rebuildRatingStats()
+    .then(({ stores, repaired }) => {
+      console.log(`Rebuilt rating stats for ${stores} stores (${repaired} were out of date)`);
+      return close();
+    })
+    .catch((err) => {
+      console.error('Rebuild failed:', err.message);
+      close().finally(() => process.exit(1));
+    });
+}
+
+module.exports = {
+  STARS,
+  updateRatingStats,
+  rebuildRatingStats,
+  platformRatingStats,
+};
@@ -0,0 +1,68 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+
+// Runs test-api.js against a server started just for it. pg-mem (the
+// default) is migrated on startup and thrown away afterwards, so a run leaves
+// nothing behind; sqlite and postgres use the configured database, which must
+// be migrated and is written to. Uploads and mail go to a temporary
+// directory. test-api.js expects the server on port 4000.
+const PORT = 4000;
+const STARTUP_TIMEOUT_MS = 30000;
+
+const waitForServer = async (server) => {
+  const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    if (server.exitCode !== null) throw new Error(`Server exited with code ${server.exitCode}`);
+    try {
+      const res = await axios.get(`http://localhost:${PORT}/api/health`, { validateStatus: () => true });
+      if (res.status === 200) return;
+    } catch {
+      // not listening yet
+    }
+    await new Promise((resolve) => setTimeout(resolve, 500));
+  }
+  throw new Error(`Server did not answer on port ${PORT} within ${STARTUP_TIMEOUT_MS / 1000}s`);
+};
+
+const run = (script, env) =>
+  new Promise((resolve) => {
+    const child = spawn(process.execPath, [path.join(__dirname, script)], { env, stdio: 'inherit' });
+    child.on('exit', (code) => resolve(code ?? 1));
+  });
+
+// CLI: node run-tests.js [sqlite|postgres|pg-mem]
+const main = async () => {
+  const [client = process.env.DB_CLIENT || 'pg-mem'] = process.argv.slice(2);
+  const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'store-rating-tests-'));
+  const env = {
+    ...process.env,
+    DB_CLIENT: client,
+    PORT: String(PORT),
+    MAIL_TRANSPORT: 'outbox',
+    MAIL_OUTBOX_DIR: path.join(scratch, 'outbox'),
+    UPLOAD_DIR: path.join(scratch, 'uploads'),
+  };
+
+  const server = spawn(process.execPath, [path.join(__dirname, 'server.js')], {
+    env,
+    stdio: ['ignore', 'ignore', 'inherit'],
+  });
+  try {
+    await waitForServer(server);
+    console.log(`Server up on ${client}, running test-api.js`);
+    return await run('test-api.js', env);
+  } finally {
+    server.kill();
+    fs.rmSync(scratch, { recursive: true, force: true });
+  }
+};
+
+main()
+  .then((code) => process.exit(code))
+  .catch((err) => {
+    console.error('Test run failed:', err.message);
+    process.exit(1);
+  });
@@ -3,16 +3,53 @@ const cors = require('cors');
 const dotenv = require('dotenv');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
-const { run, get, all, exec } = require('./db');
+const crypto = require('crypto');
+const { once } = require('events');
+const { run, get, all, transaction, dialect, ephemeral, isUniqueViolation } = require('./db');
+const { migrate, pendingMigrations } = require('./migrate');
+const { sendMail } = require('./mailer');
+const { geocode } = require('./geocoder');
+const { putFile, removeFile, fileUrl, mountStorage } = require('./storage');
+const { STARS, updateRatingStats, platformRatingStats } = require('./rating-stats');
+const { SIGNALS, scanRatings } = require('./fraud');
+const multer = require('multer');
+const sharp = require('sharp');
 
 dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 4000;
 
+// req.ip keys the login throttle and is stored with ratings for fraud
+// detection. Behind a reverse proxy every request would otherwise share the
+// proxy's address, so TRUST_PROXY takes Express's trust proxy value: true, a
+// hop count, or a comma-separated list of addresses or subnets.
+const TRUST_PROXY = process.env.TRUST_PROXY;
+if (TRUST_PROXY) {
+  app.set(
+    'trust proxy',
+    TRUST_PROXY === 'true' ? true : /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY
+  );
+}
+
+// The fallback secret is only acceptable outside production
+if (!process.env.JWT_SECRET && process.env.NODE_ENV === 'production') {
+  console.error('JWT_SECRET must be set in production');
+  process.exit(1);
+}
+const JWT_SECRET = process.env.JWT_SECRET || 'dev_secret';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+const EMAIL_VERIFICATION_TTL_HOURS = Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+// Frontend address used in emailed links
+const APP_URL = process.env.APP_URL || 'http://localhost:5173';
+
 // Middleware
-app.use(cors());
+// Exposed so the browser can name downloaded exports
+app.use(cors({ exposedHeaders: ['Content-Disposition'] }));
 app.use(express.json());
+mountStorage(app);
 
 // Auth middleware
 const authenticate = (req, res, next) => {
@@ -22,7 +59,7 @@ const authenticate = (req, res, next) => {
   }
   const token = authHeader.split(' ')[1];
   try {
-    const payload = jwt.verify(token, process.env.JWT_SECRET || 'dev_secret');
+    const payload = jwt.verify(token, JWT_SECRET);
     req.user = payload;
     next();
   } catch (err) {
@@ -37,6 +74,21 @@ const requireRole = (...roles) => (req, res, next) => {
   next();
 };
 
+// Checked against the database rather than the token, so verifying takes
+// effect without logging in again
+const requireVerifiedEmail = async (req, res, next) => {
+  try {
+    const user = await get(`SELECT email_verified FROM users WHERE id = ?`, [req.user.id]);
+    if (!user?.email_verified) {
+      return res.status(403).json({ message: 'Please verify your email address first', code: 'email_unverified' });
+    }
+    next();
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
 // ---- VALIDATION FUNCTIONS ----
 const validateEmail = (email) => {
   const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -85,72 +137,719 @@ const validateFormData = (name, email, password, address) => {
   return errors;
 };
 
-// ---- DB SCHEMA INIT (for convenience) ----
-const initDb = async () => {
-  await exec(`
-    CREATE TABLE IF NOT EXISTS users (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      name TEXT NOT NULL,
-      email TEXT NOT NULL UNIQUE,
-      address TEXT,
-      password_hash TEXT NOT NULL,
-      role TEXT NOT NULL CHECK (role IN ('admin','normal','owner')),
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    );
-  `);
-
-  await exec(`
-    CREATE TABLE IF NOT EXISTS stores (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      name TEXT NOT NULL,
-      email TEXT,
-      address TEXT,
-      owner_id INTEGER,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (owner_id) REFERENCES users(id) ON DELETE SET NULL
-    );
-  `);
-
-  await exec(`
-    CREATE TABLE IF NOT EXISTS ratings (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      user_id INTEGER NOT NULL,
-      store_id INTEGER NOT NULL,
-      rating INTEGER NOT NULL CHECK (rating BETWEEN 1 AND 5),
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      UNIQUE (user_id, store_id),
-      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
-      FOREIGN KEY (store_id) REFERENCES stores(id) ON DELETE CASCADE
-    );
-  `);
-
-  await exec(`
-    CREATE TABLE IF NOT EXISTS owner_requests (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      user_id INTEGER NOT NULL,
-      status TEXT NOT NULL CHECK (status IN ('pending','approved','rejected')),
-      reason TEXT,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      UNIQUE (user_id),
-      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-    );
-  `);
+const ROLES = ['admin', 'normal', 'owner'];
+
+// validateFormData's rules for a partial update: only the fields present are
+// checked, and password may be left out to keep the current one
+const validateUserPatch = (patch) => {
+  const errors = [];
+
+  if ('name' in patch && !validateName(patch.name)) {
+    errors.push('Name must be between 20 and 60 characters');
+  }
+  if ('email' in patch && !validateEmail(patch.email)) {
+    errors.push('Email must be valid');
+  }
+  if ('password' in patch && !validatePassword(patch.password)) {
+    errors.push('Password must be 8-16 characters, include at least one uppercase letter and one special character');
+  }
+  if ('address' in patch && !validateAddress(patch.address)) {
+    errors.push('Address must not exceed 400 characters');
+  }
+  if ('role' in patch && !ROLES.includes(patch.role)) {
+    errors.push(`Role must be one of: ${ROLES.join(', ')}`);
+  }
+
+  return errors;
+};
+
+const STORE_NAME_MAX = 60;
+const TAG_MAX = 30;
+const MAX_TAGS = 10;
+
+// Tags are trimmed, lowercased and de-duplicated
+const normalizeTags = (tags) => [...new Set(tags.map((t) => t.trim().toLowerCase()).filter(Boolean))];
+
+const validateStorePatch = (patch) => {
+  const errors = [];
+
+  if ('name' in patch && (typeof patch.name !== 'string' || !patch.name.trim())) {
+    errors.push('Store name is required');
+  } else if ('name' in patch && patch.name.length > STORE_NAME_MAX) {
+    errors.push(`Store name must not exceed ${STORE_NAME_MAX} characters`);
+  }
+  if ('email' in patch && patch.email && !validateEmail(patch.email)) {
+    errors.push('Email must be valid');
+  }
+  if ('address' in patch && !validateAddress(patch.address)) {
+    errors.push('Address must not exceed 400 characters');
+  }
+  if ('owner_id' in patch && patch.owner_id !== null && !Number.isInteger(patch.owner_id)) {
+    errors.push('Owner must be a user id or null');
+  }
+  if ('category_id' in patch && patch.category_id !== null && !Number.isInteger(patch.category_id)) {
+    errors.push('Category must be a category id or null');
+  }
+  if ('tags' in patch) {
+    if (!Array.isArray(patch.tags) || patch.tags.some((t) => typeof t !== 'string')) {
+      errors.push('Tags must be a list of text');
+    } else if (patch.tags.some((t) => t.trim().length > TAG_MAX)) {
+      errors.push(`Tags must not exceed ${TAG_MAX} characters`);
+    } else if (normalizeTags(patch.tags).length > MAX_TAGS) {
+      errors.push(`A store can have at most ${MAX_TAGS} tags`);
+    }
+  }
+  errors.push(...validateLocation(patch));
+
+  return errors;
+};
+
+// latitude/longitude travel together: both in range, or both null to clear them
+const validateLocation = (patch) => {
+  if (!('latitude' in patch) && !('longitude' in patch)) return [];
+  if (!('latitude' in patch) || !('longitude' in patch)) {
+    return ['Latitude and longitude must be set together'];
+  }
+  const { latitude, longitude } = patch;
+  if (latitude === null && longitude === null) return [];
+  const errors = [];
+  if (typeof latitude !== 'number' || !(Math.abs(latitude) <= 90)) {
+    errors.push('Latitude must be a number between -90 and 90');
+  }
+  if (typeof longitude !== 'number' || !(Math.abs(longitude) <= 180)) {
+    errors.push('Longitude must be a number between -180 and 180');
+  }
+  return errors;
+};
+
+const CATEGORY_NAME_MAX = 40;
+
+const validateCategoryName = (name) => {
+  if (typeof name !== 'string' || !name.trim()) return ['Category name is required'];
+  if (name.trim().length > CATEGORY_NAME_MAX) {
+    return [`Category name must not exceed ${CATEGORY_NAME_MAX} characters`];
+  }
+  return [];
+};
+
+const CLAIM_DETAILS_MAX = 1000;
+
+// A claim names an existing store_id, or proposes a new store by name
+const validateStoreClaim = ({ store_id, name, email, address, details }) => {
+  const errors = [];
+
+  if (store_id != null) {
+    if (!Number.isInteger(store_id)) errors.push('Store must be a store id');
+  } else {
+    errors.push(...validateStorePatch({ name: name ?? '', email, address }));
+  }
+  if (typeof details !== 'string' || !details.trim()) {
+    errors.push('Supporting details are required');
+  } else if (details.length > CLAIM_DETAILS_MAX) {
+    errors.push(`Supporting details must not exceed ${CLAIM_DETAILS_MAX} characters`);
+  }
+
+  return errors;
+};
+
+// Picks the allowed keys that are present in body
+const pickFields = (body, fields) =>
+  Object.fromEntries(fields.filter((f) => body[f] !== undefined).map((f) => [f, body[f]]));
+
+const REVIEW_TITLE_MAX = 100;
+const REVIEW_BODY_MAX = 2000;
+
+const validateReview = (title, body) => {
+  const errors = [];
+
+  if (title != null && typeof title !== 'string') {
+    errors.push('Review title must be text');
+  } else if (title && title.length > REVIEW_TITLE_MAX) {
+    errors.push(`Review title must not exceed ${REVIEW_TITLE_MAX} characters`);
+  }
+
+  if (body != null && typeof body !== 'string') {
+    errors.push('Review body must be text');
+  } else if (body && body.length > REVIEW_BODY_MAX) {
+    errors.push(`Review body must not exceed ${REVIEW_BODY_MAX} characters`);
+  }
+
+  if (title && title.trim() && !(body && body.trim())) {
+    errors.push('Review body is required when a title is given');
+  }
+
+  return errors;
+};
+
+const REPLY_BODY_MAX = 1000;
+
+const validateReply = (body) => {
+  const errors = [];
+
+  if (body == null || typeof body !== 'string' || !body.trim()) {
+    errors.push('Reply text is required');
+  } else if (body.length > REPLY_BODY_MAX) {
+    errors.push(`Reply must not exceed ${REPLY_BODY_MAX} characters`);
+  }
+
+  return errors;
+};
+
+const FLAG_REASON_MAX = 500;
+
+const validateFlagReason = (reason) => {
+  const errors = [];
+
+  if (reason == null || typeof reason !== 'string' || !reason.trim()) {
+    errors.push('A reason is required');
+  } else if (reason.length > FLAG_REASON_MAX) {
+    errors.push(`Reason must not exceed ${FLAG_REASON_MAX} characters`);
+  }
+
+  return errors;
+};
+
+// ---- LIST QUERY HELPERS ----
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Reads sort/order/limit/offset from the query string. sortColumns maps the
+// public sort names to SQL expressions, so only whitelisted columns reach ORDER BY.
+const parseListQuery = (query, sortColumns, defaultSort, defaultOrder = 'asc') => {
+  const sort = query.sort || defaultSort;
+  const order = String(query.order || defaultOrder).toLowerCase();
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+  const errors = [];
+
+  if (!Object.prototype.hasOwnProperty.call(sortColumns, sort)) {
+    errors.push(`Sort must be one of: ${Object.keys(sortColumns).join(', ')}`);
+  }
+  if (!['asc', 'desc'].includes(order)) {
+    errors.push('Order must be asc or desc');
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    errors.push(`Limit must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    errors.push('Offset must be a non-negative integer');
+  }
+
+  return {
+    errors,
+    sort,
+    order,
+    limit,
+    offset,
+    orderBy: `${sortColumns[sort]} ${order.toUpperCase()}`,
+  };
+};
+
+const listResponse = (items, total, list) => ({
+  items,
+  total,
+  limit: list.limit,
+  offset: list.offset,
+  sort: list.sort,
+  order: list.order,
+});
+
+// ---- EXPORT HELPERS ----
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' },
+};
+const EXPORT_BATCH_SIZE = 500;
+
+// Exports take a list's filters and sort but always return every row
+const parseExportQuery = (query, sortColumns, defaultSort, defaultOrder) => {
+  const list = parseListQuery(
+    { ...query, limit: undefined, offset: undefined },
+    sortColumns,
+    defaultSort,
+    defaultOrder
+  );
+  const format = query.format || 'csv';
+  if (!Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format)) {
+    list.errors.push(`Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+  return { ...list, format };
+};
+
+// RFC 4180 quoting. Text starting with = + - @ or a tab/CR is prefixed with
+// an apostrophe so spreadsheets don't evaluate it as a formula.
+const csvField = (value) => {
+  if (value == null) return '';
+  let text;
+  if (value instanceof Date) text = value.toISOString();
+  else if (Array.isArray(value)) text = value.join('; ');
+  else text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvLine = (values) => `${values.map(csvField).join(',')}\r\n`;
+
+// Streams `sql` (which must end in a deterministic ORDER BY) in batches, so
+// large tables never sit in memory. Rows written while the export runs may
+// be missed or repeated across batch boundaries.
+// decorate(rows) may add columns the SQL can't produce, e.g. tag lists.
+const streamExport = async (res, { format, filename, columns, sql, params, decorate }) => {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${extension}"`);
+  if (format === 'csv') res.write(csvLine(columns));
+
+  for (let offset = 0; !res.destroyed; offset += EXPORT_BATCH_SIZE) {
+    const batch = await all(`${sql} LIMIT ? OFFSET ?`, [...params, EXPORT_BATCH_SIZE, offset]);
+    const rows = decorate ? await decorate(batch) : batch;
+    const chunk = rows
+      .map((row) =>
+        format === 'csv'
+          ? csvLine(columns.map((c) => row[c]))
+          : `${JSON.stringify(Object.fromEntries(columns.map((c) => [c, row[c]])))}\n`
+      )
+      .join('');
+    if (chunk && !res.write(chunk)) await once(res, 'drain');
+    if (rows.length < EXPORT_BATCH_SIZE) break;
+  }
+  res.end();
+};
+
+// Once the export has started streaming, a failure can only cut the download short
+const exportFailed = (res, err) => {
+  console.error(err);
+  if (res.headersSent) return res.destroy(err);
+  res.status(500).json({ message: 'Server error' });
+};
+
+const exportFilename = (name) => `${name}-${new Date().toISOString().slice(0, 10)}`;
+
+// ---- STORE SEARCH ----
+// On SQLite, stores_fts holds one row per store (rowid = store id) with its
+// name, address and visible review text; see migrations/005_store_search.js.
+// Other databases fall back to substring matching on the tables themselves.
+const MAX_SEARCH_TERMS = 8;
+
+const tokenizeSearch = (q) =>
+  (String(q).toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).slice(0, MAX_SEARCH_TERMS);
+
+// Each term is quoted (so user input can't inject FTS syntax) and
+// prefix-matched; alternatives for one term are OR-ed together.
+const buildMatchExpression = (termGroups) =>
+  termGroups
+    .map((group) => `(${group.map((t) => `"${t.replace(/"/g, '""')}"*`).join(' OR ')})`)
+    .join(' AND ');
+
+const editDistance = (a, b) => {
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      curr[j] = Math.min(
+        prev[j] + 1,
+        curr[j - 1] + 1,
+        prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    prev = curr;
+  }
+  return prev[b.length];
+};
+
+// Swaps each term with no exact/prefix hit for indexed terms within a small
+// edit distance, so "cofee" still finds "coffee".
+const correctSearchTerms = async (terms) => {
+  const groups = [];
+  for (const term of terms) {
+    const hit = await get(
+      `SELECT 1 AS found FROM stores_fts_vocab WHERE term >= ? AND term < ? LIMIT 1`,
+      [term, `${term}\uffff`]
+    );
+    if (hit) {
+      groups.push([term]);
+      continue;
+    }
+    const maxDistance = term.length <= 4 ? 1 : 2;
+    const candidates = await all(
+      `SELECT term FROM stores_fts_vocab WHERE length(term) BETWEEN ? AND ?`,
+      [term.length - maxDistance, term.length + maxDistance]
+    );
+    const close = candidates
+      .map((c) => c.term)
+      .filter((t) => editDistance(term, t) <= maxDistance)
+      .slice(0, 5);
+    groups.push(close.length ? close : [term]);
+  }
+  return groups;
+};
+
+// Name matches weigh more than address, address more than review text.
+// bm25 is lower-is-better, so it is negated into a higher-is-better relevance.
+const FTS_SEARCH_JOIN = `
+  JOIN (SELECT rowid AS store_id, -bm25(stores_fts, 10.0, 4.0, 1.0) AS relevance
+        FROM stores_fts
+        WHERE stores_fts MATCH ?) fts ON fts.store_id = s.id`;
+
+// Same weights without an index: every term must appear somewhere, and each
+// term scores 10/4/1 for a name/address/review hit
+const buildLikeSearch = (terms) => {
+  const reviewHit = `s2.id IN (SELECT store_id FROM ratings
+                               WHERE hidden = 0 AND (review_title LIKE ? OR review_body LIKE ?))`;
+  const scores = terms.map(
+    () => `(CASE WHEN s2.name LIKE ? THEN 10 ELSE 0 END)
+           + (CASE WHEN s2.address LIKE ? THEN 4 ELSE 0 END)
+           + (CASE WHEN ${reviewHit} THEN 1 ELSE 0 END)`
+  );
+  const filters = terms.map(() => `(s2.name LIKE ? OR s2.address LIKE ? OR ${reviewHit})`);
+  const patterns = terms.flatMap((t) => Array(4).fill(`%${t}%`));
+  return {
+    join: `
+      JOIN (SELECT s2.id AS store_id, ${scores.join(' + ')} AS relevance
+            FROM stores s2
+            WHERE ${filters.join(' AND ')}) fts ON fts.store_id = s.id`,
+    params: [...patterns, ...patterns],
+  };
+};
+
+// Resolves ?q= to a join that keeps matching stores and exposes
+// fts.relevance, or null when there is nothing to search
+const buildStoreSearch = async (q) => {
+  const terms = tokenizeSearch(q || '');
+  if (terms.length === 0) return null;
+  if (dialect !== 'sqlite') return buildLikeSearch(terms);
+
+  const exact = buildMatchExpression(terms.map((t) => [t]));
+  const hit = await get(`SELECT 1 AS found FROM stores_fts WHERE stores_fts MATCH ? LIMIT 1`, [exact]);
+  const match = hit ? exact : buildMatchExpression(await correctSearchTerms(terms));
+  return { join: FTS_SEARCH_JOIN, params: [match] };
+};
+
+// ---- RATING AGGREGATES ----
+// Per-store totals over visible ratings, joined as rs. They are read from
+// store_rating_stats (see rating-stats.js) rather than aggregated per request.
+const STORE_STATS_JOIN = `
+  LEFT JOIN (SELECT store_id, rating_count, rating_sum, review_count,
+                    CASE WHEN rating_count > 0 THEN rating_sum * 1.0 / rating_count END AS avg_rating
+             FROM store_rating_stats) rs ON rs.store_id = s.id`;
+
+// Ranking score: a Bayesian average that treats every store as if it also had
+// RATING_PRIOR_WEIGHT ratings at the prior mean. A store with one 5-star rating
+// stays near the mean, while hundreds of ratings outweigh the prior. The mean
+// is RATING_PRIOR_MEAN, or the platform-wide average of visible ratings.
+const RATING_PRIOR_WEIGHT = Number(process.env.RATING_PRIOR_WEIGHT ?? 5);
+const RATING_PRIOR_MEAN = process.env.RATING_PRIOR_MEAN ? Number(process.env.RATING_PRIOR_MEAN) : null;
+// Used until the platform has any ratings at all
+const FALLBACK_PRIOR_MEAN = 3;
+if (!(RATING_PRIOR_WEIGHT > 0)) {
+  console.error('RATING_PRIOR_WEIGHT must be a positive number');
+  process.exit(1);
+}
+if (RATING_PRIOR_MEAN !== null && !(RATING_PRIOR_MEAN >= 1 && RATING_PRIOR_MEAN <= 5)) {
+  console.error('RATING_PRIOR_MEAN must be between 1 and 5');
+  process.exit(1);
+}
+
+const ratingPriorMean = async () => {
+  if (RATING_PRIOR_MEAN !== null) return RATING_PRIOR_MEAN;
+  const platform = await platformRatingStats();
+  return platform.rating_count > 0 ? platform.rating_sum / platform.rating_count : FALLBACK_PRIOR_MEAN;
+};
+
+// SQL expression for the score over the rs join. Both numbers come from
+// configuration or the database, and are written as decimals so neither
+// dialect falls back to integer division.
+const ratingScoreSql = async () => {
+  const weight = RATING_PRIOR_WEIGHT.toFixed(6);
+  const mean = (await ratingPriorMean()).toFixed(6);
+  return `(${weight} * ${mean} + COALESCE(rs.rating_sum, 0)) / (${weight} + COALESCE(rs.rating_count, 0))`;
+};
+
+// ---- STORE CATEGORIES & TAGS ----
+const CATEGORY_JOIN = `LEFT JOIN categories cat ON cat.id = s.category_id`;
+
+// tag=a,b or tag=a&tag=b: stores must carry every listed tag
+const parseTagFilter = (value) =>
+  normalizeTags([].concat(value || []).flatMap((v) => String(v).split(',')));
+
+const taxonomyFilterErrors = (query) =>
+  query.category_id && !/^[1-9]\d*$/.test(query.category_id) ? ['category_id must be a category id'] : [];
+
+// Adds the category_id and tag filters shared by the store lists
+const addTaxonomyFilters = (query, conditions, params) => {
+  if (query.category_id) {
+    conditions.push(`s.category_id = ?`);
+    params.push(Number(query.category_id));
+  }
+  for (const tag of parseTagFilter(query.tag)) {
+    conditions.push(`s.id IN (SELECT store_id FROM store_tags WHERE tag = ?)`);
+    params.push(tag);
+  }
+};
+
+// Adds each store's tags (alphabetical) with one query for the whole page
+const attachTags = async (stores, db = { all }) => {
+  if (stores.length === 0) return stores;
+  const rows = await db.all(
+    `SELECT store_id, tag FROM store_tags
+     WHERE store_id IN (${stores.map(() => '?').join(', ')})
+     ORDER BY tag ASC`,
+    stores.map((store) => store.id)
+  );
+  return stores.map((store) => ({
+    ...store,
+    tags: rows.filter((r) => r.store_id === store.id).map((r) => r.tag),
+  }));
+};
+
+const setStoreTags = async (tx, storeId, tags) => {
+  await tx.run(`DELETE FROM store_tags WHERE store_id = ?`, [storeId]);
+  for (const tag of normalizeTags(tags)) {
+    await tx.run(`INSERT INTO store_tags (store_id, tag) VALUES (?, ?)`, [storeId, tag]);
+  }
+};
+
+// Returns an error message unless categoryId is null or an existing category
+const checkCategory = async (categoryId) => {
+  if (categoryId == null) return null;
+  const category = await get(`SELECT id FROM categories WHERE id = ?`, [categoryId]);
+  return category ? null : 'Category not found';
+};
+
+// ---- STORE LOCATIONS ----
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE_LAT = 111.32;
+const NEAR_DEFAULT_RADIUS_KM = 5;
+const NEAR_MAX_RADIUS_KM = 100;
 
+// Coordinates given explicitly win; otherwise the address is geocoded.
+// Resolves to {} when neither gives a location.
+const locateStore = async (fields) => {
+  if ('latitude' in fields) return { latitude: fields.latitude, longitude: fields.longitude };
+  if (!fields.address) return {};
+  return (await geocode(fields.address)) || {};
+};
+
+// near=lat,lng plus radius (km). point is null when near is absent.
+const parseNearQuery = (query) => {
+  if (query.near === undefined) return { point: null, errors: [] };
+  const [latitude, longitude, ...rest] = String(query.near).split(',').map(Number);
+  const radius = query.radius === undefined ? NEAR_DEFAULT_RADIUS_KM : Number(query.radius);
+  const errors = validateLocation({ latitude, longitude });
+  if (rest.length > 0 || errors.length > 0) {
+    return { point: null, errors: ['near must be latitude,longitude'] };
+  }
+  if (!(radius > 0 && radius <= NEAR_MAX_RADIUS_KM)) {
+    return { point: null, errors: [`radius must be between 0 and ${NEAR_MAX_RADIUS_KM} km`] };
+  }
+  return { point: { latitude, longitude, radius }, errors: [] };
+};
+
+// Great-circle distance in km
+const haversineKm = (a, b) => {
+  const rad = (deg) => (deg * Math.PI) / 180;
+  const dLat = rad(b.latitude - a.latitude);
+  const dLng = rad(b.longitude - a.longitude);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(rad(a.latitude)) * Math.cos(rad(b.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+// Index-friendly prefilter: the lat/lng box around the circle. Near the poles
+// or the antimeridian the box would wrap, so only latitude is bounded there.
+const addBoundingBox = ({ latitude, longitude, radius }, conditions, params) => {
+  const dLat = radius / KM_PER_DEGREE_LAT;
+  conditions.push(`s.latitude BETWEEN ? AND ?`);
+  params.push(latitude - dLat, latitude + dLat);
+  const cosLat = Math.cos((latitude * Math.PI) / 180);
+  const dLng = cosLat > 0.01 ? radius / (KM_PER_DEGREE_LAT * cosLat) : 180;
+  if (Math.abs(longitude) + dLng < 180) {
+    conditions.push(`s.longitude BETWEEN ? AND ?`);
+    params.push(longitude - dLng, longitude + dLng);
+  } else {
+    conditions.push(`s.longitude IS NOT NULL`);
+  }
+};
+
+// Keeps the stores inside the circle, adding distance_km (rounded to metres)
+const withinRadius = (stores, point) =>
+  stores
+    .map((store) => ({ ...store, distance_km: Math.round(haversineKm(point, store) * 1000) / 1000 }))
+    .filter((store) => store.distance_km <= point.radius);
+
+// ---- DB STARTUP ----
+// Schema changes live in migrations/; refuse to serve an outdated database
+const checkMigrations = async () => {
+  const pending = await pendingMigrations();
+  if (pending.length > 0) {
+    throw new Error(
+      `Database has ${pending.length} pending migration(s): ${pending.map((m) => m.name).join(', ')}. ` +
+        'Run "npm run migrate" first.'
+    );
+  }
+};
+
+const seedAdmin = async () => {
   // Seed an admin if none exists
   const admin = await get(`SELECT id FROM users WHERE role = 'admin' LIMIT 1`);
   if (!admin) {
     const passwordHash = await bcrypt.hash('Admin@123', 10);
     await run(
-      `INSERT INTO users (name, email, address, password_hash, role)
-       VALUES (?, ?, ?, ?, ?)`,
+      `INSERT INTO users (name, email, address, password_hash, role, email_verified)
+       VALUES (?, ?, ?, ?, ?, 1)`,
       ['Default System Admin', 'admin@example.com', 'Admin Address', passwordHash, 'admin']
     );
     console.log('Seeded default admin: admin@example.com / Admin@123');
   }
 };
 
+// ---- SESSION TOKENS ----
+// Access tokens are short-lived JWTs. Refresh tokens are random strings kept
+// only as hashes; each use swaps the token for a new one in the same family.
+const signAccessToken = (user) =>
+  jwt.sign({ id: user.id, role: user.role, name: user.name }, JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const issueRefreshToken = async (userId, familyId, db = { run }) => {
+  const token = crypto.randomBytes(48).toString('base64url');
+  const insert = await db.run(
+    `INSERT INTO refresh_tokens (user_id, token_hash, family_id, expires_at)
+     VALUES (?, ?, ?, ?)`,
+    [userId, hashToken(token), familyId, Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000]
+  );
+  return { token, id: insert.id };
+};
+
+const revokeUserTokens = (userId, db = { run }) =>
+  db.run(
+    `UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+     WHERE user_id = ? AND revoked_at IS NULL`,
+    [userId]
+  );
+
+const revokeTokenFamily = (familyId) =>
+  run(
+    `UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+     WHERE family_id = ? AND revoked_at IS NULL`,
+    [familyId]
+  );
+
+const sessionResponse = (user, refreshToken) => ({
+  token: signAccessToken(user),
+  refreshToken,
+  user: {
+    id: user.id,
+    name: user.name,
+    email: user.email,
+    address: user.address,
+    role: user.role,
+    email_verified: Boolean(user.email_verified),
+  },
+});
+
+// Replaces any earlier verification link for the user with a new one
+const sendVerificationEmail = async (user) => {
+  await run(`DELETE FROM email_verification_tokens WHERE user_id = ?`, [user.id]);
+  const token = crypto.randomBytes(32).toString('base64url');
+  await run(
+    `INSERT INTO email_verification_tokens (user_id, token_hash, expires_at) VALUES (?, ?, ?)`,
+    [user.id, hashToken(token), Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000]
+  );
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text:
+      `Hi ${user.name},\n\n` +
+      `Confirm your email address to start rating stores:\n\n` +
+      `${APP_URL}/?verify_token=${token}\n\n` +
+      `This link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.`,
+  });
+};
+
+// ---- LOGIN THROTTLING ----
+// Failed logins are counted per client IP and per account email. Past the
+// free allowance each failure doubles the wait before the next attempt, and
+// enough failures on one account lock it for a while. A successful login
+// clears the account's counter; failures older than the window are forgotten.
+const LOGIN_THROTTLE = {
+  freeFailures: { ip: 20, account: 3 },
+  baseDelayMs: 1000,
+  maxDelayMs: 15 * 60 * 1000,
+  windowMs: 15 * 60 * 1000,
+  lockoutFailures: Number(process.env.LOGIN_LOCKOUT_FAILURES) || 10,
+  lockoutMs: (Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000,
+};
+
+const throttleKeys = (req, email) => [
+  { scope: 'ip', key: req.ip },
+  { scope: 'account', key: String(email || '').trim().toLowerCase() },
+];
+
+// The throttle row that blocks this attempt, if any
+const findLoginBlock = async (keys) => {
+  const now = Date.now();
+  for (const { scope, key } of keys) {
+    const row = await get(
+      `SELECT * FROM login_throttles WHERE scope = ? AND throttle_key = ?`,
+      [scope, key]
+    );
+    if (row && Number(row.blocked_until) > now) return row;
+  }
+  return null;
+};
+
+const recordLoginFailure = async (keys) => {
+  const now = Date.now();
+  for (const { scope, key } of keys) {
+    const row = await get(
+      `SELECT * FROM login_throttles WHERE scope = ? AND throttle_key = ?`,
+      [scope, key]
+    );
+    const stale = row && now - Number(row.last_failed_at) > LOGIN_THROTTLE.windowMs;
+    const failures = row && !stale ? row.failures + 1 : 1;
+    const extra = failures - LOGIN_THROTTLE.freeFailures[scope];
+    const locked = scope === 'account' && failures >= LOGIN_THROTTLE.lockoutFailures;
+    const delay = locked
+      ? LOGIN_THROTTLE.lockoutMs
+      : extra > 0
+      ? Math.min(LOGIN_THROTTLE.baseDelayMs * 2 ** (extra - 1), LOGIN_THROTTLE.maxDelayMs)
+      : 0;
+    const blockedUntil = delay ? now + delay : 0;
+
+    if (row) {
+      await run(
+        `UPDATE login_throttles
+         SET failures = ?, locked = ?, blocked_until = ?, last_failed_at = ?
+         WHERE id = ?`,
+        [failures, locked ? 1 : 0, blockedUntil, now, row.id]
+      );
+    } else {
+      await run(
+        `INSERT INTO login_throttles (scope, throttle_key, failures, locked, blocked_until, last_failed_at)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [scope, key, failures, locked ? 1 : 0, blockedUntil, now]
+      );
+    }
+  }
+};
+
+const loginBlockedResponse = (res, block) => {
+  const retryAfter = Math.ceil((Number(block.blocked_until) - Date.now()) / 1000);
+  const wait = retryAfter >= 120 ? `${Math.ceil(retryAfter / 60)} minutes` : `${retryAfter} seconds`;
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    message: block.locked
+      ? `Account temporarily locked after too many failed login attempts. Try again in ${wait}.`
+      : `Too many failed login attempts. Try again in ${wait}.`,
+    locked: Boolean(block.locked),
+    retry_after: retryAfter,
+  });
+};
+
 // ---- AUTH ROUTES ----
 app.post('/api/auth/signup', async (req, res) => {
   try {
@@ -169,96 +868,318 @@ app.post('/api/auth/signup', async (req, res) => {
       [name, email, address || '', hash]
     );
     const created = await get(
-      `SELECT id, name, email, address, role FROM users WHERE id = ?`,
+      `SELECT id, name, email, address, role, email_verified FROM users WHERE id = ?`,
       [insert.id]
     );
+    await sendVerificationEmail(created);
     res.status(201).json(created);
   } catch (err) {
     console.error(err);
-    if (err.message.includes('UNIQUE constraint failed')) {
+    if (isUniqueViolation(err)) {
       return res.status(400).json({ message: 'Email already registered' });
     }
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-app.post('/api/auth/login', async (req, res) => {
+// Confirm an address with the token from the verification email
+app.post('/api/auth/verify-email', async (req, res) => {
   try {
-    const { email, password } = req.body;
-    const user = await get(`SELECT * FROM users WHERE email = ?`, [email]);
-    if (!user) return res.status(401).json({ message: 'Invalid credentials' });
-
-    const ok = await bcrypt.compare(password, user.password_hash);
-    if (!ok) return res.status(401).json({ message: 'Invalid credentials' });
-
-    const token = jwt.sign(
-      { id: user.id, role: user.role, name: user.name },
-      process.env.JWT_SECRET || 'dev_secret',
-      { expiresIn: '8h' }
-    );
-    res.json({
-      token,
-      user: { id: user.id, name: user.name, email: user.email, address: user.address, role: user.role },
+    const { token } = req.body;
+    if (!token) {
+      return res.status(400).json({ message: 'Missing verification token' });
+    }
+    const stored = await get(`SELECT * FROM email_verification_tokens WHERE token_hash = ?`, [
+      hashToken(token),
+    ]);
+    if (!stored || Number(stored.expires_at) < Date.now()) {
+      return res.status(400).json({ message: 'Invalid or expired verification link' });
+    }
+    await transaction(async (tx) => {
+      await tx.run(`UPDATE users SET email_verified = 1 WHERE id = ?`, [stored.user_id]);
+      await tx.run(`DELETE FROM email_verification_tokens WHERE user_id = ?`, [stored.user_id]);
     });
+    res.json({ message: 'Email verified' });
   } catch (err) {
     console.error(err);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-app.post('/api/auth/change-password', authenticate, async (req, res) => {
+app.post('/api/auth/resend-verification', authenticate, async (req, res) => {
   try {
-    const { oldPassword, newPassword } = req.body;
-    
-    if (!oldPassword || !newPassword) {
-      return res.status(400).json({ message: 'Missing required fields' });
-    }
-    
-    // Validate new password
-    if (!validatePassword(newPassword)) {
-      return res.status(400).json({ 
-        message: 'Password validation failed',
-        errors: ['Password must be 8-16 characters, include at least one uppercase letter and one special character']
-      });
-    }
-    
-    const user = await get(`SELECT * FROM users WHERE id = ?`, [req.user.id]);
+    const user = await get(`SELECT id, name, email, email_verified FROM users WHERE id = ?`, [
+      req.user.id,
+    ]);
     if (!user) return res.status(404).json({ message: 'User not found' });
-    const ok = await bcrypt.compare(oldPassword, user.password_hash);
-    if (!ok) return res.status(400).json({ message: 'Old password incorrect' });
-    const hash = await bcrypt.hash(newPassword, 10);
-    await run(`UPDATE users SET password_hash = ? WHERE id = ?`, [hash, req.user.id]);
-    res.json({ message: 'Password updated' });
+    if (user.email_verified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+    await sendVerificationEmail(user);
+    res.json({ message: 'Verification email sent' });
   } catch (err) {
     console.error(err);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// ---- ADMIN ROUTES ----
-// dashboard counts
-app.get('/api/admin/summary', authenticate, requireRole('admin'), async (req, res) => {
+app.post('/api/auth/login', async (req, res) => {
   try {
-    const userCountRow = await get(`SELECT COUNT(*) AS count FROM users`);
-    const storeCountRow = await get(`SELECT COUNT(*) AS count FROM stores`);
-    const ratingCountRow = await get(`SELECT COUNT(*) AS count FROM ratings`);
-    const user_count = userCountRow ? userCountRow.count : 0;
-    const store_count = storeCountRow ? storeCountRow.count : 0;
-    const rating_count = ratingCountRow ? ratingCountRow.count : 0;
-    res.json({ user_count, store_count, rating_count });
+    const { email, password } = req.body;
+    const keys = throttleKeys(req, email);
+    const block = await findLoginBlock(keys);
+    if (block) return loginBlockedResponse(res, block);
+
+    const user = await get(`SELECT * FROM users WHERE email = ?`, [email]);
+    const ok = user && (await bcrypt.compare(password, user.password_hash));
+    if (!ok) {
+      await recordLoginFailure(keys);
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+
+    await run(`DELETE FROM login_throttles WHERE scope = 'account' AND throttle_key = ?`, [
+      keys[1].key,
+    ]);
+    const refresh = await issueRefreshToken(user.id, crypto.randomUUID());
+    res.json(sessionResponse(user, refresh.token));
   } catch (err) {
     console.error(err);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// add user (admin)
-app.post('/api/admin/users', authenticate, requireRole('admin'), async (req, res) => {
+// Trade a refresh token for a new access/refresh pair. A token that was
+// already used means it leaked, so its whole family is revoked.
+app.post('/api/auth/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Missing refresh token' });
+    }
+
+    const stored = await get(`SELECT * FROM refresh_tokens WHERE token_hash = ?`, [
+      hashToken(refreshToken),
+    ]);
+    if (!stored) {
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+    if (stored.revoked_at) {
+      await revokeTokenFamily(stored.family_id);
+      return res.status(401).json({ message: 'Refresh token reuse detected' });
+    }
+    if (Number(stored.expires_at) < Date.now()) {
+      return res.status(401).json({ message: 'Refresh token expired' });
+    }
+
+    // Roles may have changed since login, so the new access token is built
+    // from the current user row
+    const user = await get(`SELECT * FROM users WHERE id = ?`, [stored.user_id]);
+    if (!user) {
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+
+    const next = await transaction(async (tx) => {
+      const revoked = await tx.run(
+        `UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND revoked_at IS NULL`,
+        [stored.id]
+      );
+      // Lost a race with another request using the same token
+      if (revoked.changes === 0) return null;
+      const issued = await issueRefreshToken(user.id, stored.family_id, tx);
+      await tx.run(`UPDATE refresh_tokens SET replaced_by = ? WHERE id = ?`, [issued.id, stored.id]);
+      return issued;
+    });
+    if (!next) {
+      await revokeTokenFamily(stored.family_id);
+      return res.status(401).json({ message: 'Refresh token reuse detected' });
+    }
+
+    res.json(sessionResponse(user, next.token));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Revoke the session behind a refresh token. Unknown tokens are ignored so
+// logging out twice is harmless.
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Missing refresh token' });
+    }
+    const stored = await get(`SELECT family_id FROM refresh_tokens WHERE token_hash = ?`, [
+      hashToken(refreshToken),
+    ]);
+    if (stored) {
+      await revokeTokenFamily(stored.family_id);
+    }
+    res.json({ message: 'Logged out' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Email a password reset link. The response is the same whether or not the
+// address is registered, so it can't be used to discover accounts.
+app.post('/api/auth/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email || !validateEmail(email)) {
+      return res.status(400).json({ message: 'Invalid email format' });
+    }
+
+    const user = await get(`SELECT id, name, email FROM users WHERE email = ?`, [email]);
+    if (user) {
+      // Only the newest link works
+      await run(`DELETE FROM password_reset_tokens WHERE user_id = ? AND used_at IS NULL`, [user.id]);
+      const token = crypto.randomBytes(32).toString('base64url');
+      await run(
+        `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at) VALUES (?, ?, ?)`,
+        [user.id, hashToken(token), Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000]
+      );
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your password',
+        text:
+          `Hi ${user.name},\n\n` +
+          `Use this link to choose a new password. It expires in ${PASSWORD_RESET_TTL_MINUTES} minutes ` +
+          `and works once:\n\n${APP_URL}/?reset_token=${token}\n\n` +
+          `If you didn't ask for this, you can ignore this email.`,
+      });
+    }
+
+    res.json({ message: 'If that email is registered, a reset link has been sent' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Set a new password with a token from the reset email. Every existing
+// session is signed out.
+app.post('/api/auth/reset-password', async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+    if (!token || !newPassword) {
+      return res.status(400).json({ message: 'Missing required fields' });
+    }
+    if (!validatePassword(newPassword)) {
+      return res.status(400).json({
+        message: 'Password validation failed',
+        errors: ['Password must be 8-16 characters, include at least one uppercase letter and one special character']
+      });
+    }
+
+    const stored = await get(`SELECT * FROM password_reset_tokens WHERE token_hash = ?`, [
+      hashToken(token),
+    ]);
+    if (!stored || stored.used_at || Number(stored.expires_at) < Date.now()) {
+      return res.status(400).json({ message: 'Invalid or expired reset link' });
+    }
+
+    const hash = await bcrypt.hash(newPassword, 10);
+    const reset = await transaction(async (tx) => {
+      const used = await tx.run(
+        `UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND used_at IS NULL`,
+        [stored.id]
+      );
+      if (used.changes === 0) return false;
+      await tx.run(`UPDATE users SET password_hash = ? WHERE id = ?`, [hash, stored.user_id]);
+      await revokeUserTokens(stored.user_id, tx);
+      return true;
+    });
+    if (!reset) {
+      return res.status(400).json({ message: 'Invalid or expired reset link' });
+    }
+
+    res.json({ message: 'Password has been reset' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.post('/api/auth/change-password', authenticate, async (req, res) => {
+  try {
+    const { oldPassword, newPassword } = req.body;
+    
+    if (!oldPassword || !newPassword) {
+      return res.status(400).json({ message: 'Missing required fields' });
+    }
+    
+    // Validate new password
+    if (!validatePassword(newPassword)) {
+      return res.status(400).json({ 
+        message: 'Password validation failed',
+        errors: ['Password must be 8-16 characters, include at least one uppercase letter and one special character']
+      });
+    }
+    
+    const user = await get(`SELECT * FROM users WHERE id = ?`, [req.user.id]);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    const ok = await bcrypt.compare(oldPassword, user.password_hash);
+    if (!ok) return res.status(400).json({ message: 'Old password incorrect' });
+    const hash = await bcrypt.hash(newPassword, 10);
+    // Every session ends as after a reset; the caller gets a fresh one back
+    const refresh = await transaction(async (tx) => {
+      await tx.run(`UPDATE users SET password_hash = ? WHERE id = ?`, [hash, req.user.id]);
+      await revokeUserTokens(req.user.id, tx);
+      return issueRefreshToken(user.id, crypto.randomUUID(), tx);
+    });
+    res.json({ message: 'Password updated', ...sessionResponse(user, refresh.token) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ---- AUDIT LOG ----
+// Every admin mutation writes one audit_log row through the same transaction
+// as the change itself. before/after are JSON snapshots of the affected row.
+const recordAudit = (db, req, { action, targetType, targetId, before = null, after = null }) =>
+  db.run(
+    `INSERT INTO audit_log (actor_id, action, target_type, target_id, before_data, after_data, ip)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      req.user.id,
+      action,
+      targetType,
+      targetId == null ? null : String(targetId),
+      before && JSON.stringify(before),
+      after && JSON.stringify(after),
+      req.ip,
+    ]
+  );
+
+// ---- ADMIN ROUTES ----
+// dashboard counts
+app.get('/api/admin/summary', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const userCountRow = await get(`SELECT COUNT(*) AS count FROM users`);
+    const storeCountRow = await get(`SELECT COUNT(*) AS count FROM stores`);
+    const ratingCountRow = await get(`SELECT COUNT(*) AS count FROM ratings`);
+    const user_count = userCountRow ? userCountRow.count : 0;
+    const store_count = storeCountRow ? storeCountRow.count : 0;
+    const rating_count = ratingCountRow ? ratingCountRow.count : 0;
+    res.json({ user_count, store_count, rating_count });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// add user (admin)
+app.post('/api/admin/users', authenticate, requireRole('admin'), async (req, res) => {
   try {
     const { name, email, address, password, role } = req.body;
     
     // Validate role
-    if (!['admin', 'normal', 'owner'].includes(role)) {
+    if (!ROLES.includes(role)) {
       return res.status(400).json({ message: 'Invalid role' });
     }
     
@@ -269,19 +1190,24 @@ app.post('/api/admin/users', authenticate, requireRole('admin'), async (req, res
     }
     
     const hash = await bcrypt.hash(password, 10);
-    const insert = await run(
-      `INSERT INTO users (name, email, address, password_hash, role)
-       VALUES (?, ?, ?, ?, ?)`,
-      [name, email, address || '', hash, role]
-    );
-    const created = await get(
-      `SELECT id, name, email, address, role FROM users WHERE id = ?`,
-      [insert.id]
-    );
+    const created = await transaction(async (tx) => {
+      // Accounts an admin creates don't need to confirm their address
+      const insert = await tx.run(
+        `INSERT INTO users (name, email, address, password_hash, role, email_verified)
+         VALUES (?, ?, ?, ?, ?, 1)`,
+        [name, email, address || '', hash, role]
+      );
+      const user = await tx.get(
+        `SELECT id, name, email, address, role FROM users WHERE id = ?`,
+        [insert.id]
+      );
+      await recordAudit(tx, req, { action: 'user.create', targetType: 'user', targetId: user.id, after: user });
+      return user;
+    });
     res.status(201).json(created);
   } catch (err) {
     console.error(err);
-    if (err.message.includes('UNIQUE constraint failed')) {
+    if (isUniqueViolation(err)) {
       return res.status(400).json({ message: 'Email already registered' });
     }
     res.status(500).json({ message: 'Server error' });
@@ -289,62 +1215,247 @@ app.post('/api/admin/users', authenticate, requireRole('admin'), async (req, res
 });
 
 // list users with filters
+const USER_SORT_COLUMNS = {
+  name: 'u.name',
+  email: 'u.email',
+  address: 'u.address',
+  role: 'u.role',
+};
+
+// Filters: name, email, address (substring) and role. Shared by the list and its export.
+const adminUserQuery = (query, list) => {
+  const { name, email, address, role } = query;
+  const conditions = [];
+  const params = [];
+  if (name) {
+    conditions.push(`u.name LIKE ?`);
+    params.push(`%${name}%`);
+  }
+  if (email) {
+    conditions.push(`u.email LIKE ?`);
+    params.push(`%${email}%`);
+  }
+  if (address) {
+    conditions.push(`u.address LIKE ?`);
+    params.push(`%${address}%`);
+  }
+  if (role) {
+    conditions.push(`u.role = ?`);
+    params.push(role);
+  }
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+  return {
+    countSql: `SELECT COUNT(*) AS count FROM users u ${where}`,
+    sql: `SELECT u.id, u.name, u.email, u.address, u.role,
+                 CASE WHEN u.role = 'owner' THEN COALESCE(orr.avg_rating, 0) END AS owner_rating,
+                 CASE WHEN u.role = 'owner' THEN COALESCE(orr.rating_count, 0) END AS owner_rating_count
+          FROM users u
+          LEFT JOIN (SELECT s.owner_id, SUM(st.rating_sum) * 1.0 / SUM(st.rating_count) AS avg_rating,
+                            SUM(st.rating_count) AS rating_count
+                     FROM stores s
+                     JOIN store_rating_stats st ON st.store_id = s.id AND st.rating_count > 0
+                     GROUP BY s.owner_id) orr ON orr.owner_id = u.id
+          ${where}
+          ORDER BY ${list.orderBy}, u.id ASC`,
+    params,
+  };
+};
+
 app.get('/api/admin/users', authenticate, requireRole('admin'), async (req, res) => {
   try {
-    const { name, email, address, role } = req.query;
-    const conditions = [];
-    const params = [];
-    if (name) {
-      conditions.push(`u.name LIKE ?`);
-      params.push(`%${name}%`);
+    const list = parseListQuery(req.query, USER_SORT_COLUMNS, 'name');
+    if (list.errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid list parameters', errors: list.errors });
     }
-    if (email) {
-      conditions.push(`u.email LIKE ?`);
-      params.push(`%${email}%`);
+    const { countSql, sql, params } = adminUserQuery(req.query, list);
+    const totalRow = await get(countSql, params);
+    const users = await all(`${sql} LIMIT ? OFFSET ?`, [...params, list.limit, list.offset]);
+    res.json(listResponse(users, totalRow.count, list));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Every user matching the list filters, as CSV or JSON Lines (format=csv|jsonl)
+app.get('/api/admin/users/export', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const list = parseExportQuery(req.query, USER_SORT_COLUMNS, 'name');
+    if (list.errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid export parameters', errors: list.errors });
     }
-    if (address) {
-      conditions.push(`u.address LIKE ?`);
-      params.push(`%${address}%`);
+    const { sql, params } = adminUserQuery(req.query, list);
+    await streamExport(res, {
+      format: list.format,
+      filename: exportFilename('users'),
+      columns: ['id', 'name', 'email', 'address', 'role', 'owner_rating'],
+      sql,
+      params,
+    });
+  } catch (err) {
+    exportFailed(res, err);
+  }
+});
+
+const USER_FIELDS = ['name', 'email', 'address', 'password', 'role'];
+const selectAdminUser = `SELECT id, name, email, address, role FROM users WHERE id = ?`;
+
+// Ids of every admin, read inside the transaction that may demote or delete
+// one. On Postgres FOR UPDATE makes a concurrent change wait and then see the
+// result; SQLite runs one transaction at a time anyway.
+const lockAdmins = async (tx) =>
+  (await tx.all(`SELECT id FROM users WHERE role = 'admin'${dialect === 'sqlite' ? '' : ' FOR UPDATE'}`)).map(
+    (u) => u.id
+  );
+
+// edit user (admin); only the fields sent are changed
+app.patch('/api/admin/users/:id', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const patch = pickFields(req.body, USER_FIELDS);
+    if (Object.keys(patch).length === 0) {
+      return res.status(400).json({ message: 'No changes provided' });
+    }
+    const validationErrors = validateUserPatch(patch);
+    if (validationErrors.length > 0) {
+      return res.status(400).json({ message: 'Validation failed', errors: validationErrors });
     }
-    if (role) {
-      conditions.push(`u.role = ?`);
-      params.push(role);
+
+    const user = await get(selectAdminUser, [req.params.id]);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
     }
-    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
-    const users = await all(
-      `SELECT u.id, u.name, u.email, u.address, u.role,
-              CASE WHEN u.role = 'owner'
-                   THEN COALESCE(
-                     (SELECT AVG(r.rating)
-                      FROM stores s
-                      JOIN ratings r ON r.store_id = s.id
-                      WHERE s.owner_id = u.id), 0)
-              END AS owner_rating
-       FROM users u
-       ${where}
-       ORDER BY u.name ASC`,
-      params
-    );
-    res.json(users);
+    const { password, ...fields } = patch;
+    const assignments = Object.keys(fields).map((f) => `${f} = ?`);
+    const params = Object.values(fields);
+    if (password) {
+      assignments.push('password_hash = ?');
+      params.push(await bcrypt.hash(password, 10));
+    }
+
+    const updated = await transaction(async (tx) => {
+      if (patch.role && patch.role !== 'admin') {
+        const admins = await lockAdmins(tx);
+        if (admins.length === 1 && admins[0] === user.id) return null;
+      }
+      await tx.run(`UPDATE users SET ${assignments.join(', ')} WHERE id = ?`, [...params, user.id]);
+      // A new password signs the account out everywhere
+      if (password) await revokeUserTokens(user.id, tx);
+      // Stores of an owner who is one no longer are left without an owner,
+      // as when the user is deleted
+      const released =
+        patch.role && patch.role !== 'owner'
+          ? (await tx.all(`SELECT id FROM stores WHERE owner_id = ?`, [user.id])).map((s) => s.id)
+          : [];
+      if (released.length > 0) {
+        await tx.run(`UPDATE stores SET owner_id = NULL WHERE owner_id = ?`, [user.id]);
+      }
+      const after = await tx.get(selectAdminUser, [user.id]);
+      await recordAudit(tx, req, {
+        action: 'user.update',
+        targetType: 'user',
+        targetId: user.id,
+        before: user,
+        after: {
+          ...after,
+          ...(password ? { password: 'changed' } : {}),
+          ...(released.length > 0 ? { released_store_ids: released } : {}),
+        },
+      });
+      return after;
+    });
+    if (!updated) {
+      return res.status(400).json({ message: 'Cannot change the role of the last admin' });
+    }
+    res.json(updated);
+  } catch (err) {
+    console.error(err);
+    if (isUniqueViolation(err)) {
+      return res.status(400).json({ message: 'Email already registered' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// delete user (admin); their ratings and requests go with them, their stores
+// are left without an owner
+app.delete('/api/admin/users/:id', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const user = await get(selectAdminUser, [req.params.id]);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (user.id === req.user.id) {
+      return res.status(400).json({ message: 'You cannot delete your own account' });
+    }
+    const deleted = await transaction(async (tx) => {
+      const admins = await lockAdmins(tx);
+      if (admins.length === 1 && admins[0] === user.id) return false;
+      // the ratings themselves go by cascade; their totals have to be taken out
+      const ratings = await tx.all(
+        `SELECT store_id, rating, review_body, hidden, excluded FROM ratings WHERE user_id = ?`,
+        [user.id]
+      );
+      for (const rating of ratings) {
+        await updateRatingStats(tx, rating, null);
+      }
+      await tx.run(`DELETE FROM users WHERE id = ?`, [user.id]);
+      await recordAudit(tx, req, { action: 'user.delete', targetType: 'user', targetId: user.id, before: user });
+      return true;
+    });
+    if (!deleted) {
+      return res.status(400).json({ message: 'Cannot delete the last admin' });
+    }
+    res.json({ message: 'User deleted' });
   } catch (err) {
     console.error(err);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// add store
+// Returns an error message unless ownerId is null or a user with the owner role
+const checkOwner = async (ownerId) => {
+  if (ownerId == null) return null;
+  const owner = await get(`SELECT role FROM users WHERE id = ?`, [ownerId]);
+  return owner?.role === 'owner' ? null : 'Owner must be an existing user with the owner role';
+};
+
+// add store; the same rules as an edit, with a name required
 app.post('/api/admin/stores', authenticate, requireRole('admin'), async (req, res) => {
   try {
-    const { name, email, address, owner_id } = req.body;
-    const insert = await run(
-      `INSERT INTO stores (name, email, address, owner_id)
-       VALUES (?, ?, ?, ?)`,
-      [name, email || null, address || '', owner_id || null]
-    );
-    const created = await get(
-      `SELECT id, name, email, address, owner_id FROM stores WHERE id = ?`,
-      [insert.id]
-    );
+    const fields = {
+      name: req.body.name,
+      ...pickFields(req.body, ['email', 'address', 'owner_id', 'category_id', 'tags', 'latitude', 'longitude']),
+    };
+    const errors = validateStorePatch(fields);
+    if (errors.length === 0) {
+      const referenceErrors = [await checkOwner(fields.owner_id), await checkCategory(fields.category_id)];
+      errors.push(...referenceErrors.filter(Boolean));
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Validation failed', errors });
+    }
+    const { name, email, address, owner_id, ...extras } = fields;
+    const location = { latitude: null, longitude: null, ...(await locateStore({ ...extras, address })) };
+
+    const created = await transaction(async (tx) => {
+      const insert = await tx.run(
+        `INSERT INTO stores (name, email, address, owner_id, category_id, latitude, longitude)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          name.trim(),
+          email || null,
+          address || '',
+          owner_id ?? null,
+          extras.category_id ?? null,
+          location.latitude,
+          location.longitude,
+        ]
+      );
+      await setStoreTags(tx, insert.id, extras.tags || []);
+      const store = await loadAdminStore(tx, insert.id);
+      await recordAudit(tx, req, { action: 'store.create', targetType: 'store', targetId: store.id, after: store });
+      return store;
+    });
     res.status(201).json(created);
   } catch (err) {
     console.error(err);
@@ -353,332 +1464,2585 @@ app.post('/api/admin/stores', authenticate, requireRole('admin'), async (req, re
 });
 
 // list stores with rating
+const ADMIN_STORE_SORT_COLUMNS = {
+  name: 's.name',
+  email: 's.email',
+  address: 's.address',
+  avg_rating: 'avg_rating',
+  rating_count: 'rating_count',
+  score: 'score',
+};
+
+// q (ranked search), name, email and address filters. Shared by the list and its export.
+const adminStoreQuery = (query, search, list, scoreSql) => {
+  const { name, email, address } = query;
+  const searchJoin = search ? search.join : '';
+  const conditions = [];
+  const params = search ? [...search.params] : [];
+  if (name) {
+    conditions.push(`s.name LIKE ?`);
+    params.push(`%${name}%`);
+  }
+  if (email) {
+    conditions.push(`s.email LIKE ?`);
+    params.push(`%${email}%`);
+  }
+  if (address) {
+    conditions.push(`s.address LIKE ?`);
+    params.push(`%${address}%`);
+  }
+  addTaxonomyFilters(query, conditions, params);
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+  return {
+    countSql: `SELECT COUNT(*) AS count FROM stores s ${searchJoin} ${where}`,
+    sql: `SELECT s.id, s.name, s.email, s.address, s.owner_id,
+                 s.category_id, cat.name AS category_name, s.latitude, s.longitude,
+                 COALESCE(rs.avg_rating, 0) AS avg_rating,
+                 COALESCE(rs.rating_count, 0) AS rating_count,
+                 ${scoreSql} AS score
+          FROM stores s
+          ${searchJoin}
+          ${STORE_STATS_JOIN}
+          ${CATEGORY_JOIN}
+          ${where}
+          ORDER BY ${list.orderBy}, s.id ASC`,
+    params,
+  };
+};
+
 app.get('/api/admin/stores', authenticate, requireRole('admin'), async (req, res) => {
   try {
-    const { name, email, address } = req.query;
-    const conditions = [];
-    const params = [];
-    if (name) {
-      conditions.push(`s.name LIKE ?`);
-      params.push(`%${name}%`);
+    const search = await buildStoreSearch(req.query.q);
+    const list = search
+      ? parseListQuery(req.query, { ...ADMIN_STORE_SORT_COLUMNS, relevance: 'fts.relevance' }, 'relevance', 'desc')
+      : parseListQuery(req.query, ADMIN_STORE_SORT_COLUMNS, 'name');
+    list.errors.push(...taxonomyFilterErrors(req.query));
+    if (list.errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid list parameters', errors: list.errors });
     }
-    if (email) {
-      conditions.push(`s.email LIKE ?`);
-      params.push(`%${email}%`);
+    const { countSql, sql, params } = adminStoreQuery(req.query, search, list, await ratingScoreSql());
+    const totalRow = await get(countSql, params);
+    const stores = await all(`${sql} LIMIT ? OFFSET ?`, [...params, list.limit, list.offset]);
+    res.json(listResponse(await attachTags(stores), totalRow.count, list));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.get('/api/admin/stores/export', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const search = await buildStoreSearch(req.query.q);
+    const list = search
+      ? parseExportQuery(req.query, { ...ADMIN_STORE_SORT_COLUMNS, relevance: 'fts.relevance' }, 'relevance', 'desc')
+      : parseExportQuery(req.query, ADMIN_STORE_SORT_COLUMNS, 'name');
+    list.errors.push(...taxonomyFilterErrors(req.query));
+    if (list.errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid export parameters', errors: list.errors });
     }
-    if (address) {
-      conditions.push(`s.address LIKE ?`);
-      params.push(`%${address}%`);
+    const { sql, params } = adminStoreQuery(req.query, search, list, await ratingScoreSql());
+    await streamExport(res, {
+      format: list.format,
+      filename: exportFilename('stores'),
+      columns: [
+        'id', 'name', 'email', 'address', 'owner_id', 'category_name', 'tags',
+        'latitude', 'longitude', 'avg_rating', 'rating_count', 'score',
+      ],
+      sql,
+      params,
+      decorate: attachTags,
+    });
+  } catch (err) {
+    exportFailed(res, err);
+  }
+});
+
+const STORE_FIELDS = ['name', 'email', 'address', 'owner_id', 'category_id', 'tags', 'latitude', 'longitude'];
+
+// Store row plus its tags, as shown to admins and kept in audit snapshots
+const loadAdminStore = async (db, id) => {
+  const store = await db.get(
+    `SELECT id, name, email, address, owner_id, category_id, latitude, longitude FROM stores WHERE id = ?`,
+    [id]
+  );
+  return store ? (await attachTags([store], db))[0] : null;
+};
+
+// edit store (admin); owner_id may be reassigned to another owner or null
+app.patch('/api/admin/stores/:id', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const patch = pickFields(req.body, STORE_FIELDS);
+    if (Object.keys(patch).length === 0) {
+      return res.status(400).json({ message: 'No changes provided' });
     }
-    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
-    const stores = await all(
-      `SELECT s.id, s.name, s.email, s.address,
-              COALESCE(AVG(r.rating), 0) AS avg_rating
-       FROM stores s
-       LEFT JOIN ratings r ON r.store_id = s.id
-       ${where}
-       GROUP BY s.id
-       ORDER BY s.name ASC`,
-      params
-    );
-    res.json(stores);
+    const validationErrors = validateStorePatch(patch);
+    if (validationErrors.length > 0) {
+      return res.status(400).json({ message: 'Validation failed', errors: validationErrors });
+    }
+
+    const store = await loadAdminStore({ get, all }, req.params.id);
+    if (!store) {
+      return res.status(404).json({ message: 'Store not found' });
+    }
+    const categoryError = await checkCategory(patch.category_id);
+    if (categoryError) {
+      return res.status(400).json({ message: 'Validation failed', errors: [categoryError] });
+    }
+    const ownerError = await checkOwner(patch.owner_id);
+    if (ownerError) {
+      return res.status(400).json({ message: 'Validation failed', errors: [ownerError] });
+    }
+    if ('name' in patch) patch.name = patch.name.trim();
+    if ('email' in patch) patch.email = patch.email || null;
+    if ('address' in patch) patch.address = patch.address || '';
+    // A new address the geocoder can't place drops the old coordinates
+    if ('address' in patch && patch.address !== store.address) {
+      Object.assign(patch, { latitude: null, longitude: null, ...(await locateStore(patch)) });
+    }
+
+    const { tags, ...columns } = patch;
+    const updated = await transaction(async (tx) => {
+      if (Object.keys(columns).length > 0) {
+        await tx.run(
+          `UPDATE stores SET ${Object.keys(columns).map((f) => `${f} = ?`).join(', ')} WHERE id = ?`,
+          [...Object.values(columns), store.id]
+        );
+      }
+      if (tags) await setStoreTags(tx, store.id, tags);
+      const after = await loadAdminStore(tx, store.id);
+      await recordAudit(tx, req, { action: 'store.update', targetType: 'store', targetId: store.id, before: store, after });
+      return after;
+    });
+    res.json(updated);
   } catch (err) {
     console.error(err);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// ---- ADMIN OWNER REQUEST ROUTES ----
-// View all pending owner requests
-app.get('/api/admin/owner-requests', authenticate, requireRole('admin'), async (req, res) => {
+// delete store (admin) together with its ratings
+app.delete('/api/admin/stores/:id', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const store = await loadAdminStore({ get, all }, req.params.id);
+    if (!store) {
+      return res.status(404).json({ message: 'Store not found' });
+    }
+    const photos = await all(`SELECT storage_key, thumbnail_key FROM store_photos WHERE store_id = ?`, [store.id]);
+    await transaction(async (tx) => {
+      await tx.run(`DELETE FROM stores WHERE id = ?`, [store.id]);
+      await recordAudit(tx, req, { action: 'store.delete', targetType: 'store', targetId: store.id, before: store });
+    });
+    await removePhotoFiles(photos);
+    res.json({ message: 'Store deleted' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ---- ADMIN CATEGORY ROUTES ----
+// Deleting a category leaves its stores uncategorised (ON DELETE SET NULL)
+app.post('/api/admin/categories', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const errors = validateCategoryName(req.body.name);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Validation failed', errors });
+    }
+    const created = await transaction(async (tx) => {
+      const insert = await tx.run(`INSERT INTO categories (name) VALUES (?)`, [req.body.name.trim()]);
+      const category = await tx.get(`SELECT id, name FROM categories WHERE id = ?`, [insert.id]);
+      await recordAudit(tx, req, {
+        action: 'category.create',
+        targetType: 'category',
+        targetId: category.id,
+        after: category,
+      });
+      return category;
+    });
+    res.status(201).json(created);
+  } catch (err) {
+    console.error(err);
+    if (isUniqueViolation(err)) {
+      return res.status(400).json({ message: 'Category already exists' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.patch('/api/admin/categories/:id', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const errors = validateCategoryName(req.body.name);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Validation failed', errors });
+    }
+    const category = await get(`SELECT id, name FROM categories WHERE id = ?`, [req.params.id]);
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+    const updated = await transaction(async (tx) => {
+      await tx.run(`UPDATE categories SET name = ? WHERE id = ?`, [req.body.name.trim(), category.id]);
+      const after = await tx.get(`SELECT id, name FROM categories WHERE id = ?`, [category.id]);
+      await recordAudit(tx, req, {
+        action: 'category.update',
+        targetType: 'category',
+        targetId: category.id,
+        before: category,
+        after,
+      });
+      return after;
+    });
+    res.json(updated);
+  } catch (err) {
+    console.error(err);
+    if (isUniqueViolation(err)) {
+      return res.status(400).json({ message: 'Category already exists' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.delete('/api/admin/categories/:id', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const category = await get(`SELECT id, name FROM categories WHERE id = ?`, [req.params.id]);
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+    await transaction(async (tx) => {
+      await tx.run(`DELETE FROM categories WHERE id = ?`, [category.id]);
+      await recordAudit(tx, req, {
+        action: 'category.delete',
+        targetType: 'category',
+        targetId: category.id,
+        before: category,
+      });
+    });
+    res.json({ message: 'Category deleted' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ---- ADMIN BULK IMPORT ROUTES ----
+// Uploads are the raw CSV text (Content-Type: text/csv) with a header row.
+// ?dry_run=1 validates every row and reports errors without writing;
+// otherwise the valid rows are inserted in one transaction and invalid rows
+// are skipped. Rows are numbered like spreadsheet lines, the header being row 1.
+const MAX_IMPORT_ROWS = 1000;
+const csvBody = express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' });
+
+// RFC 4180: quoted fields may hold commas, newlines and doubled quotes.
+// Returns the records as arrays of strings, or throws on an unclosed quote.
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      record.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (quoted) throw new Error('Unclosed quote in CSV');
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+  return records;
+};
+
+// Maps each data row to an object keyed by the (lowercased) header, skipping
+// blank lines. Returns { error } when the header doesn't fit `columns`.
+const readImportCsv = (text, { required, optional }) => {
+  let records;
+  try {
+    records = parseCsv(String(text || ''));
+  } catch (err) {
+    return { error: err.message };
+  }
+  if (records.length === 0) return { error: 'CSV is empty' };
+
+  const header = records[0].map((h) => h.trim().toLowerCase());
+  const missing = required.filter((c) => !header.includes(c));
+  const unknown = header.filter((c) => ![...required, ...optional].includes(c));
+  if (missing.length > 0) return { error: `Missing column(s): ${missing.join(', ')}` };
+  if (unknown.length > 0) return { error: `Unknown column(s): ${unknown.join(', ')}` };
+
+  const rows = records
+    .map((values, index) => ({
+      row: index + 1,
+      values: Object.fromEntries(header.map((c, i) => [c, (values[i] ?? '').trim()])),
+      blank: values.every((v) => v.trim() === ''),
+    }))
+    .slice(1)
+    .filter((r) => !r.blank)
+    .map(({ row, values }) => ({ row, values, errors: [] }));
+  if (rows.length === 0) return { error: 'CSV has no data rows' };
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return { error: `CSV must not have more than ${MAX_IMPORT_ROWS} rows` };
+  }
+  return { rows };
+};
+
+const importResponse = (rows, dryRun) => ({
+  dry_run: dryRun,
+  total: rows.length,
+  valid: rows.filter((r) => r.errors.length === 0).length,
+  invalid: rows.filter((r) => r.errors.length > 0).length,
+  created: rows.filter((r) => r.id != null).length,
+  rows,
+});
+
+const isDryRun = (query) => ['1', 'true'].includes(String(query.dry_run));
+
+// Columns: name, email, password, address (optional), role (optional, default normal)
+app.post('/api/admin/import/users', authenticate, requireRole('admin'), csvBody, async (req, res) => {
+  try {
+    const parsed = readImportCsv(req.body, {
+      required: ['name', 'email', 'password'],
+      optional: ['address', 'role'],
+    });
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
+    }
+    const { rows } = parsed;
+
+    const seen = new Set();
+    for (const r of rows) {
+      const { name, email, password, address } = r.values;
+      const role = r.values.role || 'normal';
+      r.errors.push(...validateFormData(name, email, password, address));
+      if (!ROLES.includes(role)) r.errors.push(`Role must be one of: ${ROLES.join(', ')}`);
+      // Stored as given, but a duplicate in another case is still a duplicate
+      const emailKey = email && email.toLowerCase();
+      if (email && seen.has(emailKey)) {
+        r.errors.push('Email appears more than once in the file');
+      } else if (email && (await get(`SELECT id FROM users WHERE LOWER(email) = LOWER(?)`, [email]))) {
+        r.errors.push('Email already registered');
+      }
+      seen.add(emailKey);
+      // Passwords are never echoed back
+      r.values = { name, email, address, role };
+      r.password = password;
+    }
+
+    const dryRun = isDryRun(req.query);
+    const valid = rows.filter((r) => r.errors.length === 0);
+    if (!dryRun && valid.length > 0) {
+      for (const r of valid) r.hash = await bcrypt.hash(r.password, 10);
+      await transaction(async (tx) => {
+        for (const r of valid) {
+          const { name, email, address, role } = r.values;
+          const insert = await tx.run(
+            `INSERT INTO users (name, email, address, password_hash, role, email_verified)
+             VALUES (?, ?, ?, ?, ?, 1)`,
+            [name, email, address || '', r.hash, role]
+          );
+          const user = await tx.get(`SELECT id, name, email, address, role FROM users WHERE id = ?`, [insert.id]);
+          await recordAudit(tx, req, { action: 'user.create', targetType: 'user', targetId: user.id, after: user });
+          r.id = user.id;
+        }
+      });
+    }
+    res.json(importResponse(rows.map(({ password, hash, ...r }) => r), dryRun));
+  } catch (err) {
+    console.error(err);
+    if (isUniqueViolation(err)) {
+      return res.status(400).json({ message: 'Email already registered' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Columns: name, email, address, owner_email (all but name optional). Owners
+// are looked up by email and must already have the owner role.
+app.post('/api/admin/import/stores', authenticate, requireRole('admin'), csvBody, async (req, res) => {
+  try {
+    const parsed = readImportCsv(req.body, {
+      required: ['name'],
+      optional: ['email', 'address', 'owner_email'],
+    });
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
+    }
+    const { rows } = parsed;
+
+    for (const r of rows) {
+      const { name, email = '', address = '', owner_email: ownerEmail = '' } = r.values;
+      r.errors.push(...validateStorePatch({ name, email, address }));
+      r.owner_id = null;
+      if (ownerEmail) {
+        const owner = await get(`SELECT id, role FROM users WHERE LOWER(email) = LOWER(?)`, [ownerEmail]);
+        if (!owner) {
+          r.errors.push(`No user with email ${ownerEmail}`);
+        } else if (owner.role !== 'owner') {
+          r.errors.push(`${ownerEmail} does not have the owner role`);
+        } else {
+          r.owner_id = owner.id;
+        }
+      }
+    }
+
+    const dryRun = isDryRun(req.query);
+    const valid = rows.filter((r) => r.errors.length === 0);
+    if (!dryRun && valid.length > 0) {
+      await transaction(async (tx) => {
+        for (const r of valid) {
+          const { name, email, address } = r.values;
+          const insert = await tx.run(
+            `INSERT INTO stores (name, email, address, owner_id) VALUES (?, ?, ?, ?)`,
+            [name, email || null, address || '', r.owner_id]
+          );
+          const store = await tx.get(
+            `SELECT id, name, email, address, owner_id FROM stores WHERE id = ?`,
+            [insert.id]
+          );
+          await recordAudit(tx, req, { action: 'store.create', targetType: 'store', targetId: store.id, after: store });
+          r.id = store.id;
+        }
+      });
+    }
+    res.json(importResponse(rows, dryRun));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ---- ADMIN MODERATION ROUTES ----
+// Flagged ratings, one row per rating. status: open (default) | hidden | all
+app.get('/api/admin/moderation', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const { status = 'open' } = req.query;
+    if (!['open', 'hidden', 'all'].includes(status)) {
+      return res.status(400).json({ message: 'Invalid status' });
+    }
+    const where = {
+      open: 'WHERE fc.open_flag_count > 0',
+      hidden: 'WHERE r.hidden = 1',
+      all: '',
+    }[status];
+
+    const flagged = await all(
+      `SELECT r.id, r.rating, r.review_title, r.review_body, r.hidden, r.updated_at,
+              s.id AS store_id, s.name AS store_name,
+              u.id AS user_id, u.name AS user_name, u.email AS user_email,
+              fc.flag_count, fc.open_flag_count, fc.last_flagged_at
+       FROM ratings r
+       JOIN (SELECT rating_id, COUNT(*) AS flag_count,
+                    SUM(CASE WHEN status = 'open' THEN 1 ELSE 0 END) AS open_flag_count,
+                    MAX(created_at) AS last_flagged_at
+             FROM rating_flags
+             GROUP BY rating_id) fc ON fc.rating_id = r.id
+       JOIN stores s ON s.id = r.store_id
+       JOIN users u ON u.id = r.user_id
+       ${where}
+       ORDER BY fc.last_flagged_at DESC`,
+      []
+    );
+
+    // Reasons are collected separately; string aggregation differs per database
+    const ids = flagged.map((r) => r.id);
+    const flags = ids.length
+      ? await all(
+          `SELECT rating_id, reason FROM rating_flags
+           WHERE rating_id IN (${ids.map(() => '?').join(', ')})
+           ORDER BY id ASC`,
+          ids
+        )
+      : [];
+    res.json(
+      flagged.map((r) => ({
+        ...r,
+        reasons: flags
+          .filter((f) => f.rating_id === r.id)
+          .map((f) => f.reason)
+          .join(' | '),
+      }))
+    );
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Hide or restore a rating; either way its open flags are resolved
+const moderateRating = (hidden) => async (req, res) => {
+  try {
+    const { ratingId } = req.params;
+
+    const selectRating = `SELECT id, user_id, store_id, rating, review_title, review_body, hidden, excluded
+                          FROM ratings WHERE id = ?`;
+    const rating = await get(selectRating, [ratingId]);
+    if (!rating) {
+      return res.status(404).json({ message: 'Rating not found' });
+    }
+
+    const updated = await transaction(async (tx) => {
+      await tx.run(`UPDATE ratings SET hidden = ? WHERE id = ?`, [hidden ? 1 : 0, ratingId]);
+      await updateRatingStats(tx, rating, { ...rating, hidden: hidden ? 1 : 0 });
+      await tx.run(
+        `UPDATE rating_flags
+         SET status = 'resolved', resolved_by = ?, resolved_at = CURRENT_TIMESTAMP
+         WHERE rating_id = ? AND status = 'open'`,
+        [req.user.id, ratingId]
+      );
+      const after = await tx.get(selectRating, [ratingId]);
+      await recordAudit(tx, req, {
+        action: hidden ? 'rating.hide' : 'rating.restore',
+        targetType: 'rating',
+        targetId: rating.id,
+        before: rating,
+        after,
+      });
+      return after;
+    });
+    res.json({ message: hidden ? 'Rating hidden' : 'Rating restored', rating: updated });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+app.post('/api/admin/moderation/:ratingId/hide', authenticate, requireRole('admin'), moderateRating(true));
+
+app.post('/api/admin/moderation/:ratingId/restore', authenticate, requireRole('admin'), moderateRating(false));
+
+// Permanently delete a rating along with its flags and reply
+app.delete('/api/admin/moderation/:ratingId', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const { ratingId } = req.params;
+
+    const rating = await get(
+      `SELECT id, user_id, store_id, rating, review_title, review_body, hidden, excluded FROM ratings WHERE id = ?`,
+      [ratingId]
+    );
+    if (!rating) {
+      return res.status(404).json({ message: 'Rating not found' });
+    }
+
+    await transaction(async (tx) => {
+      await tx.run(`DELETE FROM rating_flags WHERE rating_id = ?`, [ratingId]);
+      await tx.run(`DELETE FROM review_replies WHERE rating_id = ?`, [ratingId]);
+      await tx.run(`DELETE FROM ratings WHERE id = ?`, [ratingId]);
+      await updateRatingStats(tx, rating, null);
+      await recordAudit(tx, req, { action: 'rating.delete', targetType: 'rating', targetId: rating.id, before: rating });
+    });
+
+    res.json({ message: 'Rating deleted' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ---- ADMIN FRAUD REVIEW ROUTES ----
+// The detection job (fraud.js) also runs every FRAUD_SCAN_INTERVAL_MINUTES
+// while the server is up; 0 leaves it to cron or the admin dashboard.
+const FRAUD_SCAN_INTERVAL_MINUTES = Number(process.env.FRAUD_SCAN_INTERVAL_MINUTES ?? 60);
+const scheduleFraudScans = () => {
+  if (!(FRAUD_SCAN_INTERVAL_MINUTES > 0)) return;
+  setInterval(() => {
+    scanRatings().catch((err) => console.error('Fraud scan failed', err));
+  }, FRAUD_SCAN_INTERVAL_MINUTES * 60000);
+};
+
+const SUSPECT_STATUSES = ['open', 'excluded', 'dismissed', 'all'];
+const SUSPECT_SORT_COLUMNS = {
+  score: 'fs.score',
+  detected_at: 'fs.detected_at',
+  created_at: 'r.created_at',
+  store: 's.name',
+};
+
+// Suspected fraudulent ratings, highest score first. Filters: status (open by
+// default, excluded, dismissed or all), store_id and reason (one signal name).
+app.get('/api/admin/fraud', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const { status = 'open', store_id: storeId, reason } = req.query;
+    const list = parseListQuery(req.query, SUSPECT_SORT_COLUMNS, 'score', 'desc');
+    if (!SUSPECT_STATUSES.includes(status)) {
+      list.errors.push(`Status must be one of: ${SUSPECT_STATUSES.join(', ')}`);
+    }
+    if (storeId !== undefined && !/^[1-9]\d*$/.test(storeId)) {
+      list.errors.push('store_id must be a positive integer');
+    }
+    if (reason !== undefined && !Object.prototype.hasOwnProperty.call(SIGNALS, reason)) {
+      list.errors.push(`Reason must be one of: ${Object.keys(SIGNALS).join(', ')}`);
+    }
+    if (list.errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid list parameters', errors: list.errors });
+    }
+
+    const conditions = [];
+    const params = [];
+    if (status !== 'all') {
+      conditions.push(`fs.status = ?`);
+      params.push(status);
+    }
+    if (storeId) {
+      conditions.push(`r.store_id = ?`);
+      params.push(Number(storeId));
+    }
+    if (reason) {
+      // reasons is a JSON array of signal names, each quoted
+      conditions.push(`fs.reasons LIKE ?`);
+      params.push(`%"${reason}"%`);
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const from = `FROM rating_suspicions fs
+                  JOIN ratings r ON r.id = fs.rating_id
+                  JOIN stores s ON s.id = r.store_id
+                  JOIN users u ON u.id = r.user_id`;
+
+    const totalRow = await get(`SELECT COUNT(*) AS count ${from} ${where}`, params);
+    const suspects = await all(
+      `SELECT r.id, r.rating, r.review_title, r.review_body, r.ip, r.hidden, r.excluded, r.created_at,
+              s.id AS store_id, s.name AS store_name,
+              u.id AS user_id, u.name AS user_name, u.email AS user_email, u.created_at AS user_created_at,
+              fs.score, fs.reasons, fs.status, fs.detected_at, fs.reviewed_at
+       ${from}
+       ${where}
+       ORDER BY ${list.orderBy}, r.id ASC
+       LIMIT ? OFFSET ?`,
+      [...params, list.limit, list.offset]
+    );
+    const items = suspects.map((r) => ({ ...r, reasons: JSON.parse(r.reasons) }));
+    res.json(listResponse(items, totalRow.count, list));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Runs the detection job now instead of waiting for the next scheduled scan
+app.post('/api/admin/fraud/scan', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    res.json(await scanRatings());
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Exclude a suspect from every aggregate, or dismiss it and count it again.
+// The rating itself is kept either way.
+const reviewSuspect = (exclude) => async (req, res) => {
+  try {
+    const { ratingId } = req.params;
+
+    const selectRating = `SELECT id, user_id, store_id, rating, review_title, review_body, hidden, excluded
+                          FROM ratings WHERE id = ?`;
+    const rating = await get(selectRating, [ratingId]);
+    const suspect = rating && (await get(`SELECT status FROM rating_suspicions WHERE rating_id = ?`, [rating.id]));
+    if (!suspect) {
+      return res.status(404).json({ message: 'Suspect rating not found' });
+    }
+
+    const updated = await transaction(async (tx) => {
+      await tx.run(`UPDATE ratings SET excluded = ? WHERE id = ?`, [exclude ? 1 : 0, rating.id]);
+      await updateRatingStats(tx, rating, { ...rating, excluded: exclude ? 1 : 0 });
+      await tx.run(
+        `UPDATE rating_suspicions
+         SET status = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP
+         WHERE rating_id = ?`,
+        [exclude ? 'excluded' : 'dismissed', req.user.id, rating.id]
+      );
+      const after = await tx.get(selectRating, [rating.id]);
+      await recordAudit(tx, req, {
+        action: exclude ? 'rating.exclude' : 'rating.include',
+        targetType: 'rating',
+        targetId: rating.id,
+        before: rating,
+        after,
+      });
+      return after;
+    });
+    res.json({ message: exclude ? 'Rating excluded' : 'Rating dismissed as genuine', rating: updated });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+app.post('/api/admin/fraud/:ratingId/exclude', authenticate, requireRole('admin'), reviewSuspect(true));
+
+app.post('/api/admin/fraud/:ratingId/dismiss', authenticate, requireRole('admin'), reviewSuspect(false));
+
+// ---- ADMIN LOGIN LOCKOUT ROUTES ----
+// IPs and accounts that are currently blocked from logging in
+app.get('/api/admin/lockouts', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const lockouts = await all(
+      `SELECT id, scope, throttle_key, failures, locked, blocked_until, last_failed_at
+       FROM login_throttles
+       WHERE blocked_until > ?
+       ORDER BY blocked_until DESC`,
+      [Date.now()]
+    );
+    res.json(lockouts);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Clear a block and its failure count
+app.delete('/api/admin/lockouts/:id', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const lockout = await get(`SELECT * FROM login_throttles WHERE id = ?`, [req.params.id]);
+    if (!lockout) {
+      return res.status(404).json({ message: 'Lockout not found' });
+    }
+    await transaction(async (tx) => {
+      await tx.run(`DELETE FROM login_throttles WHERE id = ?`, [lockout.id]);
+      await recordAudit(tx, req, { action: 'lockout.clear', targetType: 'lockout', targetId: lockout.id, before: lockout });
+    });
+    res.json({ message: 'Lockout cleared' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ---- ADMIN AUDIT LOG ROUTES ----
+const AUDIT_SORT_COLUMNS = {
+  created_at: 'a.created_at',
+  action: 'a.action',
+  actor: 'u.name',
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// A real day in YYYY-MM-DD form; 2026-02-30 and 2026-13-45 fit the pattern only
+const isCalendarDate = (date) => {
+  if (typeof date !== 'string' || !DATE_PATTERN.test(date)) return false;
+  const time = Date.parse(`${date}T00:00:00Z`);
+  return !Number.isNaN(time) && new Date(time).toISOString().startsWith(date);
+};
+
+// Filters: actor_id, action, target_type, target_id, from/to (YYYY-MM-DD, inclusive)
+app.get('/api/admin/audit-log', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const { actor_id, action, target_type, target_id, from, to } = req.query;
+    const list = parseListQuery(req.query, AUDIT_SORT_COLUMNS, 'created_at', 'desc');
+    if (from && !isCalendarDate(from)) list.errors.push('From must be a date (YYYY-MM-DD)');
+    if (to && !isCalendarDate(to)) list.errors.push('To must be a date (YYYY-MM-DD)');
+    if (actor_id && !/^[1-9]\d*$/.test(actor_id)) list.errors.push('actor_id must be a positive integer');
+    if (list.errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid list parameters', errors: list.errors });
+    }
+
+    const conditions = [];
+    const params = [];
+    if (actor_id) {
+      conditions.push(`a.actor_id = ?`);
+      params.push(Number(actor_id));
+    }
+    if (action) {
+      conditions.push(`a.action = ?`);
+      params.push(action);
+    }
+    if (target_type) {
+      conditions.push(`a.target_type = ?`);
+      params.push(target_type);
+    }
+    if (target_id) {
+      conditions.push(`a.target_id = ?`);
+      params.push(String(target_id));
+    }
+    if (from) {
+      conditions.push(`a.created_at >= ?`);
+      params.push(from);
+    }
+    if (to) {
+      // Everything up to the end of the "to" day
+      const next = new Date(`${to}T00:00:00Z`);
+      next.setUTCDate(next.getUTCDate() + 1);
+      conditions.push(`a.created_at < ?`);
+      params.push(next.toISOString().slice(0, 10));
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const totalRow = await get(`SELECT COUNT(*) AS count FROM audit_log a ${where}`, params);
+    const entries = await all(
+      `SELECT a.id, a.actor_id, u.name AS actor_name, u.email AS actor_email, a.action,
+              a.target_type, a.target_id, a.before_data, a.after_data, a.ip, a.created_at
+       FROM audit_log a
+       LEFT JOIN users u ON u.id = a.actor_id
+       ${where}
+       ORDER BY ${list.orderBy}, a.id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, list.limit, list.offset]
+    );
+    const items = entries.map(({ before_data, after_data, ...entry }) => ({
+      ...entry,
+      before: before_data ? JSON.parse(before_data) : null,
+      after: after_data ? JSON.parse(after_data) : null,
+    }));
+    res.json(listResponse(items, totalRow.count, list));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ---- ADMIN OWNER REQUEST ROUTES ----
+// View all pending owner requests
+app.get('/api/admin/owner-requests', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const requests = await all(
+      `SELECT r.id, r.user_id, u.name, u.email, u.address, r.status, r.reason, r.created_at, r.updated_at
+       FROM owner_requests r
+       JOIN users u ON u.id = r.user_id
+       WHERE r.status = 'pending'
+       ORDER BY r.created_at ASC`,
+      []
+    );
+    res.json(requests);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get all owner requests with filter by status
+app.get('/api/admin/owner-requests/all', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const { status } = req.query;
+    const where = status ? 'WHERE r.status = ?' : '';
+    const params = status ? [status] : [];
+    
+    const requests = await all(
+      `SELECT r.id, r.user_id, u.name, u.email, u.address, r.status, r.reason, r.created_at, r.updated_at
+       FROM owner_requests r
+       JOIN users u ON u.id = r.user_id
+       ${where}
+       ORDER BY r.created_at DESC`,
+      params
+    );
+    res.json(requests);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Approve owner request
+app.post('/api/admin/owner-requests/:requestId/approve', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const { requestId } = req.params;
+    
+    // Get the request
+    const request = await get(
+      `SELECT * FROM owner_requests WHERE id = ?`,
+      [requestId]
+    );
+    
+    if (!request) {
+      return res.status(404).json({ message: 'Request not found' });
+    }
+    
+    if (request.status !== 'pending') {
+      return res.status(400).json({ message: 'Request is not pending' });
+    }
+    
+    const updatedRequest = await transaction(async (tx) => {
+      const user = await tx.get(`SELECT role FROM users WHERE id = ?`, [request.user_id]);
+
+      // Update user role to owner
+      await tx.run(
+        `UPDATE users SET role = 'owner' WHERE id = ?`,
+        [request.user_id]
+      );
+
+      // Update request status to approved
+      await tx.run(
+        `UPDATE owner_requests SET status = 'approved', updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [requestId]
+      );
+
+      const updated = await tx.get(
+        `SELECT * FROM owner_requests WHERE id = ?`,
+        [requestId]
+      );
+      await recordAudit(tx, req, {
+        action: 'owner_request.approve',
+        targetType: 'owner_request',
+        targetId: request.id,
+        before: { ...request, user_role: user?.role },
+        after: { ...updated, user_role: 'owner' },
+      });
+      return updated;
+    });
+    
+    res.json({ message: 'Owner request approved', request: updatedRequest });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reject owner request
+app.post('/api/admin/owner-requests/:requestId/reject', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const { requestId } = req.params;
+    const { reason } = req.body;
+    
+    // Get the request
+    const request = await get(
+      `SELECT * FROM owner_requests WHERE id = ?`,
+      [requestId]
+    );
+    
+    if (!request) {
+      return res.status(404).json({ message: 'Request not found' });
+    }
+    
+    if (request.status !== 'pending') {
+      return res.status(400).json({ message: 'Request is not pending' });
+    }
+    
+    const updatedRequest = await transaction(async (tx) => {
+      // Update request status to rejected with reason
+      await tx.run(
+        `UPDATE owner_requests SET status = 'rejected', reason = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [reason || 'Request rejected by admin', requestId]
+      );
+
+      const updated = await tx.get(
+        `SELECT * FROM owner_requests WHERE id = ?`,
+        [requestId]
+      );
+      await recordAudit(tx, req, {
+        action: 'owner_request.reject',
+        targetType: 'owner_request',
+        targetId: request.id,
+        before: request,
+        after: updated,
+      });
+      return updated;
+    });
+    
+    res.json({ message: 'Owner request rejected', request: updatedRequest });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ---- ADMIN STORE CLAIM ROUTES ----
+const STORE_CLAIM_SELECT = `
+  SELECT c.id, c.user_id, u.name AS user_name, u.email AS user_email, u.role AS user_role,
+         c.store_id, s.name AS current_store_name, s.address AS current_store_address,
+         s.owner_id AS current_owner_id,
+         c.store_name, c.store_email, c.store_address, c.details,
+         c.status, c.reason, c.reviewed_by, c.created_at, c.updated_at
+  FROM store_claims c
+  JOIN users u ON u.id = c.user_id
+  LEFT JOIN stores s ON s.id = c.store_id`;
+
+// Claims to review, oldest first; status=all includes decided claims
+app.get('/api/admin/store-claims', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+    const where = status === 'all' ? '' : 'WHERE c.status = ?';
+    const params = status === 'all' ? [] : [status];
+
+    const claims = await all(`${STORE_CLAIM_SELECT} ${where} ORDER BY c.created_at ASC, c.id ASC`, params);
+    res.json(claims);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Approving links the store to the claimant (creating it for a proposal),
+// promotes a normal user to owner and rejects rival claims on the same store
+app.post('/api/admin/store-claims/:claimId/approve', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const claim = await get(`SELECT * FROM store_claims WHERE id = ?`, [req.params.claimId]);
+    if (!claim) {
+      return res.status(404).json({ message: 'Claim not found' });
+    }
+    if (claim.status !== 'pending') {
+      return res.status(400).json({ message: 'Claim is not pending' });
+    }
+
+    const result = await transaction(async (tx) => {
+      let storeId = claim.store_id;
+      if (storeId != null) {
+        const store = await tx.get(`SELECT id, owner_id FROM stores WHERE id = ?`, [storeId]);
+        if (store.owner_id != null && store.owner_id !== claim.user_id) {
+          return { error: 'Store already has an owner' };
+        }
+        await tx.run(`UPDATE stores SET owner_id = ? WHERE id = ?`, [claim.user_id, storeId]);
+      } else {
+        const insert = await tx.run(
+          `INSERT INTO stores (name, email, address, owner_id) VALUES (?, ?, ?, ?)`,
+          [claim.store_name, claim.store_email, claim.store_address || '', claim.user_id]
+        );
+        storeId = insert.id;
+      }
+
+      const user = await tx.get(`SELECT role FROM users WHERE id = ?`, [claim.user_id]);
+      if (user.role === 'normal') {
+        await tx.run(`UPDATE users SET role = 'owner' WHERE id = ?`, [claim.user_id]);
+        await tx.run(
+          `UPDATE owner_requests SET status = 'approved', updated_at = CURRENT_TIMESTAMP
+           WHERE user_id = ? AND status = 'pending'`,
+          [claim.user_id]
+        );
+      }
+
+      await tx.run(
+        `UPDATE store_claims
+         SET status = 'approved', store_id = ?, reviewed_by = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [storeId, req.user.id, claim.id]
+      );
+      await tx.run(
+        `UPDATE store_claims
+         SET status = 'rejected', reason = 'Store was claimed by another user',
+             reviewed_by = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE store_id = ? AND status = 'pending' AND id <> ?`,
+        [req.user.id, storeId, claim.id]
+      );
+
+      const updated = await tx.get(`SELECT * FROM store_claims WHERE id = ?`, [claim.id]);
+      await recordAudit(tx, req, {
+        action: 'store_claim.approve',
+        targetType: 'store_claim',
+        targetId: claim.id,
+        before: { ...claim, user_role: user.role },
+        after: { ...updated, user_role: user.role === 'normal' ? 'owner' : user.role },
+      });
+      return { claim: updated };
+    });
+
+    if (result.error) {
+      return res.status(400).json({ message: result.error });
+    }
+    res.json({ message: 'Store claim approved', claim: result.claim });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.post('/api/admin/store-claims/:claimId/reject', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const claim = await get(`SELECT * FROM store_claims WHERE id = ?`, [req.params.claimId]);
+    if (!claim) {
+      return res.status(404).json({ message: 'Claim not found' });
+    }
+    if (claim.status !== 'pending') {
+      return res.status(400).json({ message: 'Claim is not pending' });
+    }
+
+    const updated = await transaction(async (tx) => {
+      await tx.run(
+        `UPDATE store_claims
+         SET status = 'rejected', reason = ?, reviewed_by = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [req.body.reason || 'Claim rejected by admin', req.user.id, claim.id]
+      );
+      const row = await tx.get(`SELECT * FROM store_claims WHERE id = ?`, [claim.id]);
+      await recordAudit(tx, req, {
+        action: 'store_claim.reject',
+        targetType: 'store_claim',
+        targetId: claim.id,
+        before: claim,
+        after: row,
+      });
+      return row;
+    });
+
+    res.json({ message: 'Store claim rejected', claim: updated });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ---- NORMAL USER OWNER REQUEST ROUTES ----
+// Request to become owner
+app.post('/api/user/request-owner', authenticate, requireRole('normal'), requireVerifiedEmail, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    
+    // Check if user already has a pending or approved request
+    const existingRequest = await get(
+      `SELECT * FROM owner_requests WHERE user_id = ? AND status IN ('pending', 'approved')`,
+      [userId]
+    );
+    
+    if (existingRequest) {
+      return res.status(400).json({ message: 'You already have a pending or approved owner request' });
+    }
+    
+    // Create new owner request
+    const insert = await run(
+      `INSERT INTO owner_requests (user_id, status) VALUES (?, 'pending')`,
+      [userId]
+    );
+    
+    const request = await get(
+      `SELECT * FROM owner_requests WHERE id = ?`,
+      [insert.id]
+    );
+    
+    res.status(201).json({ message: 'Owner request submitted', request });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get user's owner request status
+app.get('/api/user/owner-request-status', authenticate, requireRole('normal'), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    
+    const request = await get(
+      `SELECT * FROM owner_requests WHERE user_id = ?`,
+      [userId]
+    );
+    
+    if (!request) {
+      return res.json({ request: null, message: 'No request found' });
+    }
+    
+    res.json({ request });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ---- STORE CLAIM ROUTES ----
+// Applicants and existing owners claim a listed store or propose a new one
+app.post('/api/user/store-claims', authenticate, requireRole('normal', 'owner'), requireVerifiedEmail, async (req, res) => {
+  try {
+    const { store_id, name, email, address, details } = req.body;
+    const errors = validateStoreClaim({ store_id, name, email, address, details });
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Validation failed', errors });
+    }
+
+    if (store_id != null) {
+      const store = await get(`SELECT id, owner_id FROM stores WHERE id = ?`, [store_id]);
+      if (!store) {
+        return res.status(404).json({ message: 'Store not found' });
+      }
+      if (store.owner_id === req.user.id) {
+        return res.status(400).json({ message: 'You already own this store' });
+      }
+      if (store.owner_id != null) {
+        return res.status(400).json({ message: 'Store already has an owner' });
+      }
+      const existing = await get(
+        `SELECT id FROM store_claims WHERE user_id = ? AND store_id = ? AND status = 'pending'`,
+        [req.user.id, store_id]
+      );
+      if (existing) {
+        return res.status(400).json({ message: 'You already have a pending claim for this store' });
+      }
+    }
+
+    const insert = await run(
+      `INSERT INTO store_claims (user_id, store_id, store_name, store_email, store_address, details)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      store_id != null
+        ? [req.user.id, store_id, null, null, null, details.trim()]
+        : [req.user.id, null, name.trim(), email ? email.toLowerCase() : null, address || '', details.trim()]
+    );
+    const claim = await get(`SELECT * FROM store_claims WHERE id = ?`, [insert.id]);
+
+    res.status(201).json({ message: 'Store claim submitted', claim });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// The signed-in user's own claims, newest first
+app.get('/api/user/store-claims', authenticate, requireRole('normal', 'owner'), async (req, res) => {
+  try {
+    const claims = await all(
+      `SELECT c.id, c.store_id, COALESCE(s.name, c.store_name) AS store_name,
+              c.details, c.status, c.reason, c.created_at, c.updated_at
+       FROM store_claims c
+       LEFT JOIN stores s ON s.id = c.store_id
+       WHERE c.user_id = ?
+       ORDER BY c.created_at DESC, c.id DESC`,
+      [req.user.id]
+    );
+    res.json(claims);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ---- NORMAL USER STORE & RATING ROUTES ----
+const STORE_SORT_COLUMNS = {
+  name: 's.name',
+  address: 's.address',
+  avg_rating: 'avg_rating',
+  rating_count: 'rating_count',
+  score: 'score',
+};
+
+// Categories with their store count and the average of their stores' visible ratings
+app.get('/api/categories', authenticate, async (req, res) => {
+  try {
+    const categories = await all(
+      `SELECT cat.id, cat.name,
+              COALESCE(cs.store_count, 0) AS store_count,
+              COALESCE(cr.avg_rating, 0) AS avg_rating,
+              COALESCE(cr.rating_count, 0) AS rating_count
+       FROM categories cat
+       LEFT JOIN (SELECT category_id, COUNT(*) AS store_count
+                  FROM stores
+                  GROUP BY category_id) cs ON cs.category_id = cat.id
+       LEFT JOIN (SELECT s.category_id, SUM(st.rating_sum) * 1.0 / SUM(st.rating_count) AS avg_rating,
+                         SUM(st.rating_count) AS rating_count
+                  FROM store_rating_stats st
+                  JOIN stores s ON s.id = st.store_id
+                  WHERE st.rating_count > 0
+                  GROUP BY s.category_id) cr ON cr.category_id = cat.id
+       ORDER BY cat.name ASC`
+    );
+    res.json(categories);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Most used tags first
+app.get('/api/tags', authenticate, async (req, res) => {
+  try {
+    const tags = await all(
+      `SELECT tag, COUNT(*) AS store_count
+       FROM store_tags
+       GROUP BY tag
+       ORDER BY store_count DESC, tag ASC
+       LIMIT 50`
+    );
+    res.json(tags);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.get('/api/stores', authenticate, async (req, res) => {
+  try {
+    const { q, name, address } = req.query;
+    const search = await buildStoreSearch(q);
+    const near = parseNearQuery(req.query);
+    // distance is sorted in JS below; the SQL order only breaks ties
+    let list;
+    if (near.point) {
+      const sortColumns = { ...STORE_SORT_COLUMNS, distance: 's.id' };
+      if (search) sortColumns.relevance = 'fts.relevance';
+      list = parseListQuery(req.query, sortColumns, 'distance');
+    } else if (search) {
+      list = parseListQuery(req.query, { ...STORE_SORT_COLUMNS, relevance: 'fts.relevance' }, 'relevance', 'desc');
+    } else {
+      list = parseListQuery(req.query, STORE_SORT_COLUMNS, 'name');
+    }
+    list.errors.push(...taxonomyFilterErrors(req.query), ...near.errors);
+    if (
+      req.query.open_now !== undefined &&
+      !Object.prototype.hasOwnProperty.call(OPEN_NOW_VALUES, req.query.open_now)
+    ) {
+      list.errors.push('open_now must be true or false');
+    }
+    if (list.errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid list parameters', errors: list.errors });
+    }
+    const searchJoin = search ? search.join : '';
+    const searchParams = search ? search.params : [];
+    const conditions = [];
+    const params = [];
+    if (name) {
+      conditions.push(`s.name LIKE ?`);
+      params.push(`%${name}%`);
+    }
+    if (address) {
+      conditions.push(`s.address LIKE ?`);
+      params.push(`%${address}%`);
+    }
+    addTaxonomyFilters(req.query, conditions, params);
+    if (near.point) addBoundingBox(near.point, conditions, params);
+    await addOpenNowFilter(req.query, conditions, params);
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const scoreSql = await ratingScoreSql();
+    // join parameters (search, "your rating") precede the WHERE clause ones
+    const sql = `SELECT s.id, s.name, s.address,
+              CASE WHEN s.owner_id IS NULL THEN 0 ELSE 1 END AS has_owner,
+              s.category_id, cat.name AS category_name, s.latitude, s.longitude,
+              COALESCE(rs.avg_rating, 0) AS avg_rating,
+              COALESCE(rs.rating_count, 0) AS rating_count,
+              COALESCE(rs.review_count, 0) AS review_count,
+              ${scoreSql} AS score,
+              COALESCE(ph.photo_count, 0) AS photo_count,
+              ur.rating AS user_rating,
+              ur.review_title AS user_review_title,
+              ur.review_body AS user_review_body
+       FROM stores s
+       ${searchJoin}
+       ${STORE_STATS_JOIN}
+       ${CATEGORY_JOIN}
+       LEFT JOIN (SELECT store_id, COUNT(*) AS photo_count
+                  FROM store_photos
+                  GROUP BY store_id) ph ON ph.store_id = s.id
+       LEFT JOIN ratings ur ON ur.store_id = s.id AND ur.user_id = ?
+       ${where}
+       ORDER BY ${list.orderBy}, s.id ASC`;
+    const sqlParams = [...searchParams, req.user.id, ...params];
+
+    let stores;
+    let total;
+    if (near.point) {
+      // The box only narrows the candidates; the exact radius and distance
+      // ordering are applied here before paging.
+      const nearby = withinRadius(await all(sql, sqlParams), near.point);
+      if (list.sort === 'distance') {
+        const direction = list.order === 'asc' ? 1 : -1;
+        nearby.sort((a, b) => direction * (a.distance_km - b.distance_km));
+      }
+      total = nearby.length;
+      stores = nearby.slice(list.offset, list.offset + list.limit);
+    } else {
+      const totalRow = await get(
+        `SELECT COUNT(*) AS count FROM stores s ${searchJoin} ${where}`,
+        [...searchParams, ...params]
+      );
+      total = totalRow.count;
+      stores = await all(`${sql} LIMIT ? OFFSET ?`, [...sqlParams, list.limit, list.offset]);
+    }
+    const items = await attachHours(await attachTags(stores));
+    res.json(listResponse(items, total, list));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.post('/api/stores/:storeId/rating', authenticate, requireVerifiedEmail, async (req, res) => {
+  try {
+    const { storeId } = req.params;
+    const { rating, review_title, review_body } = req.body;
+    // whole stars only: anything else would miss the star histogram
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      return res.status(400).json({ message: 'Rating must be a whole number between 1 and 5' });
+    }
+
+    // Validate optional review text
+    const reviewErrors = validateReview(review_title, review_body);
+    if (reviewErrors.length > 0) {
+      return res.status(400).json({ message: 'Validation failed', errors: reviewErrors });
+    }
+    const title = review_title?.trim() || null;
+    const body = review_body?.trim() || null;
+
+    const store = await get(`SELECT id FROM stores WHERE id = ?`, [storeId]);
+    if (!store) {
+      return res.status(404).json({ message: 'Store not found' });
+    }
+
+    // Upsert manually for SQLite; star changes are appended to rating_history
+    const { saved, created } = await transaction(async (tx) => {
+      const existing = await tx.get(
+        `SELECT id, store_id, rating, review_body, hidden, excluded FROM ratings WHERE user_id = ? AND store_id = ?`,
+        [req.user.id, storeId]
+      );
+      let ratingId;
+      if (existing) {
+        ratingId = existing.id;
+        await tx.run(
+          `UPDATE ratings
+           SET rating = ?, review_title = ?, review_body = ?, ip = ?, updated_at = CURRENT_TIMESTAMP
+           WHERE id = ?`,
+          [rating, title, body, req.ip, ratingId]
+        );
+      } else {
+        const insert = await tx.run(
+          `INSERT INTO ratings (user_id, store_id, rating, review_title, review_body, ip)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [req.user.id, storeId, rating, title, body, req.ip]
+        );
+        ratingId = insert.id;
+      }
+      // an edited rating keeps its hidden and excluded flags
+      await updateRatingStats(tx, existing || null, {
+        store_id: store.id,
+        rating: Number(rating),
+        review_body: body,
+        hidden: existing ? existing.hidden : 0,
+        excluded: existing ? existing.excluded : 0,
+      });
+      if (!existing || existing.rating !== Number(rating)) {
+        await tx.run(
+          `INSERT INTO rating_history (rating_id, user_id, store_id, rating, previous_rating, changed_at)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [ratingId, req.user.id, store.id, rating, existing ? existing.rating : null, Date.now()]
+        );
+      }
+      const row = await tx.get(
+        `SELECT id, user_id, store_id, rating, review_title, review_body FROM ratings WHERE id = ?`,
+        [ratingId]
+      );
+      return { saved: row, created: !existing };
+    });
+    res.status(created ? 201 : 200).json(saved);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Public reviews for a store, with the owner's reply when there is one
+app.get('/api/stores/:storeId/reviews', authenticate, async (req, res) => {
+  try {
+    const { storeId } = req.params;
+    const store = await get(`SELECT id FROM stores WHERE id = ?`, [storeId]);
+    if (!store) {
+      return res.status(404).json({ message: 'Store not found' });
+    }
+    const reviews = await all(
+      `SELECT r.id, u.name AS user_name, r.rating, r.review_title, r.review_body,
+              r.updated_at, rr.body AS reply_body, rr.updated_at AS reply_updated_at
+       FROM ratings r
+       JOIN users u ON u.id = r.user_id
+       LEFT JOIN review_replies rr ON rr.rating_id = r.id
+       WHERE r.store_id = ? AND r.review_body IS NOT NULL AND r.hidden = 0
+       ORDER BY r.updated_at DESC`,
+      [storeId]
+    );
+    res.json(reviews);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Flag a rating for admin review
+app.post('/api/ratings/:ratingId/flag', authenticate, async (req, res) => {
+  try {
+    const { ratingId } = req.params;
+    const { reason } = req.body;
+
+    const validationErrors = validateFlagReason(reason);
+    if (validationErrors.length > 0) {
+      return res.status(400).json({ message: 'Validation failed', errors: validationErrors });
+    }
+
+    const rating = await get(`SELECT id, user_id FROM ratings WHERE id = ?`, [ratingId]);
+    if (!rating) {
+      return res.status(404).json({ message: 'Rating not found' });
+    }
+    if (rating.user_id === req.user.id) {
+      return res.status(400).json({ message: 'You cannot flag your own rating' });
+    }
+
+    const existing = await get(
+      `SELECT id FROM rating_flags WHERE rating_id = ? AND user_id = ?`,
+      [ratingId, req.user.id]
+    );
+    if (existing) {
+      return res.status(400).json({ message: 'You have already flagged this rating' });
+    }
+
+    const insert = await run(
+      `INSERT INTO rating_flags (rating_id, user_id, reason) VALUES (?, ?, ?)`,
+      [ratingId, req.user.id, reason.trim()]
+    );
+    const flag = await get(`SELECT * FROM rating_flags WHERE id = ?`, [insert.id]);
+    res.status(201).json({ message: 'Rating flagged for review', flag });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ---- STORE OWNER ROUTES ----
+app.get('/api/owner/summary', authenticate, requireRole('owner'), async (req, res) => {
+  try {
+    const ownerId = req.user.id;
+    const storeRows = await all(
+      `SELECT s.id, s.name, s.address, s.latitude, s.longitude,
+              COALESCE(rs.avg_rating, 0) AS avg_rating,
+              COALESCE(rs.rating_count, 0) AS rating_count
+       FROM stores s
+       ${STORE_STATS_JOIN}
+       WHERE s.owner_id = ?`,
+      [ownerId]
+    );
+    res.json(storeRows);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Set the store's coordinates, clear them with nulls, or { geocode: true }
+// to look them up from the store's address
+app.put('/api/owner/stores/:storeId/location', authenticate, requireRole('owner'), async (req, res) => {
+  try {
+    const store = await get(
+      `SELECT id, address FROM stores WHERE id = ? AND owner_id = ?`,
+      [req.params.storeId, req.user.id]
+    );
+    if (!store) {
+      return res.status(403).json({ message: 'Not your store' });
+    }
+    let location;
+    if (req.body.geocode === true) {
+      location = await geocode(store.address);
+      if (!location) {
+        return res.status(400).json({ message: 'Address could not be located' });
+      }
+    } else {
+      location = { latitude: req.body.latitude, longitude: req.body.longitude };
+      const errors = validateLocation(location);
+      if (errors.length > 0) {
+        return res.status(400).json({ message: 'Validation failed', errors });
+      }
+    }
+    await run(`UPDATE stores SET latitude = ?, longitude = ? WHERE id = ?`, [
+      location.latitude,
+      location.longitude,
+      store.id,
+    ]);
+    res.json({ id: store.id, ...location });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+const RATER_SORT_COLUMNS = {
+  name: 'u.name',
+  email: 'u.email',
+  address: 'u.address',
+  rating: 'r.rating',
+  updated_at: 'r.updated_at',
+};
+
+const raterQuery = (storeId, list) => ({
+  countSql: `SELECT COUNT(*) AS count FROM ratings WHERE store_id = ?`,
+  sql: `SELECT u.id, u.name, u.email, u.address, r.id AS rating_id, r.rating,
+               r.review_title, r.review_body, r.hidden, r.created_at, r.updated_at,
+               rr.body AS reply_body, rr.updated_at AS reply_updated_at
+        FROM ratings r
+        JOIN users u ON u.id = r.user_id
+        LEFT JOIN review_replies rr ON rr.rating_id = r.id
+        WHERE r.store_id = ?
+        ORDER BY ${list.orderBy}, r.id ASC`,
+  params: [storeId],
+});
+
+app.get('/api/owner/store-raters/:storeId', authenticate, requireRole('owner'), async (req, res) => {
+  try {
+    const { storeId } = req.params;
+    const list = parseListQuery(req.query, RATER_SORT_COLUMNS, 'updated_at', 'desc');
+    if (list.errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid list parameters', errors: list.errors });
+    }
+    const ownerCheck = await get(
+      `SELECT id FROM stores WHERE id = ? AND owner_id = ?`,
+      [storeId, req.user.id]
+    );
+    if (!ownerCheck) {
+      return res.status(403).json({ message: 'Not your store' });
+    }
+    const { countSql, sql, params } = raterQuery(ownerCheck.id, list);
+    const totalRow = await get(countSql, params);
+    const raters = await all(`${sql} LIMIT ? OFFSET ?`, [...params, list.limit, list.offset]);
+    res.json(listResponse(raters, totalRow.count, list));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.get('/api/owner/store-raters/:storeId/export', authenticate, requireRole('owner'), async (req, res) => {
+  try {
+    const list = parseExportQuery(req.query, RATER_SORT_COLUMNS, 'updated_at', 'desc');
+    if (list.errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid export parameters', errors: list.errors });
+    }
+    const ownerCheck = await get(
+      `SELECT id FROM stores WHERE id = ? AND owner_id = ?`,
+      [req.params.storeId, req.user.id]
+    );
+    if (!ownerCheck) {
+      return res.status(403).json({ message: 'Not your store' });
+    }
+    const { sql, params } = raterQuery(ownerCheck.id, list);
+    await streamExport(res, {
+      format: list.format,
+      filename: exportFilename(`store-${ownerCheck.id}-raters`),
+      columns: [
+        'name', 'email', 'address', 'rating', 'review_title', 'review_body',
+        'hidden', 'created_at', 'updated_at', 'reply_body',
+      ],
+      sql,
+      params,
+    });
+  } catch (err) {
+    exportFailed(res, err);
+  }
+});
+
+// ---- RATING HISTORY ROUTES ----
+// Owners may read and manage their own stores, admins every store. Sends
+// the 404/403 itself and resolves to null when the request can't go on.
+const findManagedStore = async (req, res) => {
+  const store = await get(`SELECT id, owner_id FROM stores WHERE id = ?`, [req.params.storeId]);
+  if (!store) {
+    res.status(404).json({ message: 'Store not found' });
+    return null;
+  }
+  if (req.user.role === 'owner' && store.owner_id !== req.user.id) {
+    res.status(403).json({ message: 'Not your store' });
+    return null;
+  }
+  return store;
+};
+
+const HISTORY_SORT_COLUMNS = {
+  changed_at: 'h.changed_at',
+  rating: 'h.rating',
+  name: 'u.name',
+};
+
+// Every star change for a store, newest first; user_id narrows it to one rater
+app.get('/api/stores/:storeId/rating-history', authenticate, requireRole('owner', 'admin'), async (req, res) => {
+  try {
+    const list = parseListQuery(req.query, HISTORY_SORT_COLUMNS, 'changed_at', 'desc');
+    if (req.query.user_id && !/^[1-9]\d*$/.test(req.query.user_id)) {
+      list.errors.push('user_id must be a positive integer');
+    }
+    if (list.errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid list parameters', errors: list.errors });
+    }
+    const store = await findManagedStore(req, res);
+    if (!store) return;
+
+    const conditions = ['h.store_id = ?'];
+    const params = [store.id];
+    if (req.query.user_id) {
+      conditions.push('h.user_id = ?');
+      params.push(Number(req.query.user_id));
+    }
+    const where = `WHERE ${conditions.join(' AND ')}`;
+
+    const totalRow = await get(`SELECT COUNT(*) AS count FROM rating_history h ${where}`, params);
+    const changes = await all(
+      `SELECT h.id, h.rating_id, h.user_id, u.name, h.rating, h.previous_rating, h.changed_at,
+              r.hidden, CASE WHEN r.id IS NULL THEN 1 ELSE 0 END AS rating_deleted
+       FROM rating_history h
+       LEFT JOIN users u ON u.id = h.user_id
+       LEFT JOIN ratings r ON r.id = h.rating_id
+       ${where}
+       ORDER BY ${list.orderBy}, h.id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, list.limit, list.offset]
+    );
+    res.json(listResponse(changes, totalRow.count, list));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+const TREND_INTERVALS = ['day', 'week', 'month'];
+const TREND_MAX_POINTS = 366;
+const TREND_DEFAULT_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Steps a YYYY-MM-DD date back by `steps` intervals, clamping to month ends
+const stepBack = (date, interval, steps) => {
+  const [y, m, d] = date.split('-').map(Number);
+  if (interval === 'month') {
+    const lastDay = new Date(Date.UTC(y, m - 1 - steps + 1, 0)).getUTCDate();
+    return new Date(Date.UTC(y, m - 1 - steps, Math.min(d, lastDay))).toISOString().slice(0, 10);
+  }
+  const days = interval === 'week' ? 7 * steps : steps;
+  return new Date(Date.UTC(y, m - 1, d - days)).toISOString().slice(0, 10);
+};
+
+// Trend dates end at `to` and step back one interval at a time to `from`.
+// Defaults to daily points over the last TREND_DEFAULT_DAYS days.
+const parseTrendQuery = (query) => {
+  const interval = query.interval || 'day';
+  const to = query.to || new Date().toISOString().slice(0, 10);
+  // the default start is only computed from a real end date
+  const from = query.from || (isCalendarDate(to) ? stepBack(to, 'day', TREND_DEFAULT_DAYS - 1) : to);
+  const errors = [];
+  if (!TREND_INTERVALS.includes(interval)) {
+    errors.push(`Interval must be one of: ${TREND_INTERVALS.join(', ')}`);
+  }
+  if (!isCalendarDate(from)) errors.push('From must be a date (YYYY-MM-DD)');
+  if (!isCalendarDate(to)) errors.push('To must be a date (YYYY-MM-DD)');
+  if (errors.length === 0 && from > to) errors.push('From must not be after To');
+
+  const dates = [];
+  if (errors.length === 0) {
+    for (let date = to; date >= from; date = stepBack(to, interval, dates.length)) {
+      if (dates.length === TREND_MAX_POINTS) {
+        errors.push(`Range must not exceed ${TREND_MAX_POINTS} points`);
+        break;
+      }
+      dates.unshift(date);
+    }
+  }
+  return { interval, from, to, dates, errors };
+};
+
+// A store's star changes up to the end of `to`, oldest first, leaving out
+// hidden, excluded and deleted ratings
+const loadRatingChanges = (storeId, to) =>
+  all(
+    `SELECT h.rating_id, h.rating, h.changed_at
+     FROM rating_history h
+     JOIN ratings r ON r.id = h.rating_id
+     WHERE h.store_id = ? AND r.hidden = 0 AND r.excluded = 0 AND h.changed_at < ?
+     ORDER BY h.changed_at ASC, h.id ASC`,
+    [storeId, Date.parse(`${to}T00:00:00Z`) + DAY_MS]
+  );
+
+// Replays changes (oldest first) and reports, for each date, the average as of
+// the end of that date (each rating at its latest value by then) and the
+// number of changes made since the previous date. A leading baseline date
+// absorbs everything before the first interval.
+const replayRatings = (changes, dates, interval) => {
+  const current = new Map();
+  let sum = 0;
+  let next = 0;
+  const points = [stepBack(dates[0], interval, 1), ...dates].map((date) => {
+    const cutoff = Date.parse(`${date}T00:00:00Z`) + DAY_MS;
+    let volume = 0;
+    while (next < changes.length && Number(changes[next].changed_at) < cutoff) {
+      const change = changes[next++];
+      sum += change.rating - (current.get(change.rating_id) ?? 0);
+      current.set(change.rating_id, change.rating);
+      volume += 1;
+    }
+    const count = current.size;
+    return { date, volume, avg_rating: count ? sum / count : 0, rating_count: count };
+  });
+  return points.slice(1);
+};
+
+// replayRatings for the whole platform, summed per interval in the database
+// instead of replayed row by row. A change moves the running sum by its new
+// value less previous_rating, and a rating's first change adds it to the count.
+const platformRatingPoints = async (dates, interval) => {
+  const withBaseline = [stepBack(dates[0], interval, 1), ...dates];
+  const cutoffs = withBaseline.map((date) => Date.parse(`${date}T00:00:00Z`) + DAY_MS);
+  const buckets = await all(
+    `SELECT bucket, COUNT(*) AS volume, SUM(delta) AS delta, SUM(added) AS added
+     FROM (
+       SELECT CASE ${cutoffs.map((_, i) => `WHEN h.changed_at < ? THEN ${i}`).join(' ')} END AS bucket,
+              h.rating - COALESCE(h.previous_rating, 0) AS delta,
+              CASE WHEN h.previous_rating IS NULL THEN 1 ELSE 0 END AS added
+       FROM rating_history h
+       JOIN ratings r ON r.id = h.rating_id
+       WHERE r.hidden = 0 AND r.excluded = 0 AND h.changed_at < ?
+     ) changes
+     GROUP BY bucket`,
+    [...cutoffs, cutoffs[cutoffs.length - 1]]
+  );
+  const byBucket = new Map(buckets.map((b) => [Number(b.bucket), b]));
+  let sum = 0;
+  let count = 0;
+  const points = withBaseline.map((date, i) => {
+    const bucket = byBucket.get(i);
+    sum += Number(bucket?.delta ?? 0);
+    count += Number(bucket?.added ?? 0);
+    return { date, volume: Number(bucket?.volume ?? 0), avg_rating: count ? sum / count : 0, rating_count: count };
+  });
+  return points.slice(1);
+};
+
+// Average rating at the end of each interval from `from` to `to` (YYYY-MM-DD,
+// UTC). Hidden and deleted ratings are left out, so the last point matches
+// the store's current average.
+app.get('/api/stores/:storeId/rating-trend', authenticate, requireRole('owner', 'admin'), async (req, res) => {
+  try {
+    const { interval, from, to, dates, errors } = parseTrendQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid trend parameters', errors });
+    }
+    const store = await findManagedStore(req, res);
+    if (!store) return;
+
+    const changes = await loadRatingChanges(store.id, to);
+    res.json({ store_id: store.id, interval, from, to, points: replayRatings(changes, dates, interval) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ---- STORE PHOTO ROUTES ----
+// Owners manage their own stores' photos, admins any store's. Uploads are
+// decoded and re-encoded with sharp, so the file type comes from the image
+// data rather than the client, EXIF metadata (camera GPS included) is dropped
+// and phone photos are turned upright.
+const PHOTO_MAX_BYTES = 5 * 1024 * 1024;
+const PHOTOS_PER_UPLOAD = 5;
+const MAX_STORE_PHOTOS = 20;
+const PHOTO_MAX_DIMENSION = 1600;
+const THUMBNAIL_SIZE = { width: 320, height: 240 };
+// sharp format -> stored extension and content type
+const PHOTO_FORMATS = {
+  jpeg: { extension: 'jpg', contentType: 'image/jpeg' },
+  png: { extension: 'png', contentType: 'image/png' },
+  webp: { extension: 'webp', contentType: 'image/webp' },
+};
+
+const photoUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: PHOTO_MAX_BYTES, files: PHOTOS_PER_UPLOAD },
+}).array('photos');
+
+const UPLOAD_ERRORS = {
+  LIMIT_FILE_SIZE: `Photos must not exceed ${PHOTO_MAX_BYTES / 1024 / 1024} MB`,
+  LIMIT_FILE_COUNT: `Upload at most ${PHOTOS_PER_UPLOAD} photos at a time`,
+  LIMIT_UNEXPECTED_FILE: 'Send photos in the "photos" field',
+};
+
+// multer as middleware, with its limit errors as 400s
+const receivePhotos = (req, res, next) =>
+  photoUpload(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: [UPLOAD_ERRORS[err.code] || err.message],
+      });
+    }
+    next(err);
+  });
+
+const PHOTO_SELECT = `SELECT id, store_id, storage_key, thumbnail_key, content_type, width, height,
+                             size_bytes, position, created_at
+                      FROM store_photos`;
+
+const presentPhoto = ({ storage_key, thumbnail_key, ...photo }) => ({
+  ...photo,
+  url: fileUrl(storage_key),
+  thumbnail_url: fileUrl(thumbnail_key),
+});
+
+// Resolves to the encoded photo and thumbnail, or null when the upload isn't
+// a JPEG, PNG or WebP image
+const processPhoto = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch {
+    return null;
+  }
+  const format = PHOTO_FORMATS[metadata.format];
+  if (!format) return null;
+
+  const { data, info } = await sharp(buffer)
+    .rotate()
+    .resize({ width: PHOTO_MAX_DIMENSION, height: PHOTO_MAX_DIMENSION, fit: 'inside', withoutEnlargement: true })
+    .toFormat(metadata.format)
+    .toBuffer({ resolveWithObject: true });
+  const thumbnail = await sharp(buffer)
+    .rotate()
+    .resize({ ...THUMBNAIL_SIZE, fit: 'cover' })
+    .jpeg({ quality: 80 })
+    .toBuffer();
+  return { ...format, data, thumbnail, width: info.width, height: info.height };
+};
+
+// Best effort: a file left behind is harmless, so failures are only logged
+const removePhotoFiles = (photos) =>
+  Promise.all(
+    photos.flatMap((p) => [p.storage_key, p.thumbnail_key]).map((key) =>
+      removeFile(key).catch((err) => console.error(`Could not remove ${key}`, err))
+    )
+  );
+
+// Resolves req.store before the route reads the request body, so a caller
+// who can't manage the store is turned away without the upload being parsed
+const requireManagedStore = async (req, res, next) => {
+  try {
+    req.store = await findManagedStore(req, res);
+    if (req.store) next();
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Photo changes by admins go to the audit log like their other store edits
+const auditPhotoChange = (tx, req, action, store, details) =>
+  req.user.role === 'admin'
+    ? recordAudit(tx, req, { action, targetType: 'store', targetId: store.id, ...details })
+    : null;
+
+// Gallery for a store, in display order
+app.get('/api/stores/:storeId/photos', authenticate, async (req, res) => {
   try {
-    const requests = await all(
-      `SELECT r.id, r.user_id, u.name, u.email, u.address, r.status, r.reason, r.created_at, r.updated_at
-       FROM owner_requests r
-       JOIN users u ON u.id = r.user_id
-       WHERE r.status = 'pending'
-       ORDER BY r.created_at ASC`,
-      []
-    );
-    res.json(requests);
+    const store = await get(`SELECT id FROM stores WHERE id = ?`, [req.params.storeId]);
+    if (!store) {
+      return res.status(404).json({ message: 'Store not found' });
+    }
+    const photos = await all(`${PHOTO_SELECT} WHERE store_id = ? ORDER BY position ASC, id ASC`, [store.id]);
+    res.json(photos.map(presentPhoto));
   } catch (err) {
     console.error(err);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get all owner requests with filter by status
-app.get('/api/admin/owner-requests/all', authenticate, requireRole('admin'), async (req, res) => {
+// Multipart upload of up to PHOTOS_PER_UPLOAD files in the "photos" field,
+// appended to the end of the gallery
+app.post(
+  '/api/stores/:storeId/photos',
+  authenticate,
+  requireRole('owner', 'admin'),
+  requireManagedStore,
+  receivePhotos,
+  async (req, res) => {
+    const written = [];
+    const { store } = req;
+    try {
+      const files = req.files || [];
+      if (files.length === 0) {
+        return res.status(400).json({ message: 'Validation failed', errors: ['Choose at least one photo'] });
+      }
+      const countRow = await get(`SELECT COUNT(*) AS count FROM store_photos WHERE store_id = ?`, [store.id]);
+      if (countRow.count + files.length > MAX_STORE_PHOTOS) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: [`A store can have at most ${MAX_STORE_PHOTOS} photos`],
+        });
+      }
+
+      const processed = [];
+      for (const file of files) {
+        const photo = await processPhoto(file.buffer);
+        if (!photo) {
+          return res.status(400).json({
+            message: 'Validation failed',
+            errors: [`${file.originalname} is not a JPEG, PNG or WebP image`],
+          });
+        }
+        processed.push(photo);
+      }
+
+      for (const photo of processed) {
+        const name = `stores/${store.id}/${crypto.randomUUID()}`;
+        photo.storage_key = `${name}.${photo.extension}`;
+        photo.thumbnail_key = `${name}-thumb.jpg`;
+        await putFile(photo.storage_key, photo.data, photo.contentType);
+        written.push({ storage_key: photo.storage_key, thumbnail_key: photo.thumbnail_key });
+        await putFile(photo.thumbnail_key, photo.thumbnail, 'image/jpeg');
+      }
+
+      const created = await transaction(async (tx) => {
+        const last = await tx.get(
+          `SELECT COALESCE(MAX(position), -1) AS position FROM store_photos WHERE store_id = ?`,
+          [store.id]
+        );
+        const rows = [];
+        for (const [i, photo] of processed.entries()) {
+          const insert = await tx.run(
+            `INSERT INTO store_photos
+               (store_id, uploaded_by, storage_key, thumbnail_key, content_type, width, height, size_bytes, position)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+              store.id,
+              req.user.id,
+              photo.storage_key,
+              photo.thumbnail_key,
+              photo.contentType,
+              photo.width,
+              photo.height,
+              photo.data.length,
+              last.position + 1 + i,
+            ]
+          );
+          rows.push(await tx.get(`${PHOTO_SELECT} WHERE id = ?`, [insert.id]));
+        }
+        await auditPhotoChange(tx, req, 'store_photo.upload', store, {
+          after: { photo_ids: rows.map((r) => r.id) },
+        });
+        return rows;
+      });
+      res.status(201).json(created.map(presentPhoto));
+    } catch (err) {
+      console.error(err);
+      await removePhotoFiles(written);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// photo_ids lists every photo of the store in the new display order
+app.put('/api/stores/:storeId/photos/order', authenticate, requireRole('owner', 'admin'), async (req, res) => {
   try {
-    const { status } = req.query;
-    const where = status ? 'WHERE r.status = ?' : '';
-    const params = status ? [status] : [];
-    
-    const requests = await all(
-      `SELECT r.id, r.user_id, u.name, u.email, u.address, r.status, r.reason, r.created_at, r.updated_at
-       FROM owner_requests r
-       JOIN users u ON u.id = r.user_id
-       ${where}
-       ORDER BY r.created_at DESC`,
-      params
+    const store = await findManagedStore(req, res);
+    if (!store) return;
+    const { photo_ids: photoIds } = req.body;
+    const current = await all(
+      `SELECT id FROM store_photos WHERE store_id = ? ORDER BY position ASC, id ASC`,
+      [store.id]
     );
-    res.json(requests);
+    const currentIds = current.map((p) => p.id);
+    const isPermutation =
+      Array.isArray(photoIds) &&
+      photoIds.length === currentIds.length &&
+      new Set(photoIds).size === photoIds.length &&
+      photoIds.every((id) => currentIds.includes(id));
+    if (!isPermutation) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: ["photo_ids must list each of the store's photos once"],
+      });
+    }
+
+    const photos = await transaction(async (tx) => {
+      for (const [position, id] of photoIds.entries()) {
+        await tx.run(`UPDATE store_photos SET position = ? WHERE id = ?`, [position, id]);
+      }
+      await auditPhotoChange(tx, req, 'store_photo.reorder', store, {
+        before: { photo_ids: currentIds },
+        after: { photo_ids: photoIds },
+      });
+      return tx.all(`${PHOTO_SELECT} WHERE store_id = ? ORDER BY position ASC, id ASC`, [store.id]);
+    });
+    res.json(photos.map(presentPhoto));
   } catch (err) {
     console.error(err);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Approve owner request
-app.post('/api/admin/owner-requests/:requestId/approve', authenticate, requireRole('admin'), async (req, res) => {
+app.delete('/api/stores/:storeId/photos/:photoId', authenticate, requireRole('owner', 'admin'), async (req, res) => {
   try {
-    const { requestId } = req.params;
-    
-    // Get the request
-    const request = await get(
-      `SELECT * FROM owner_requests WHERE id = ?`,
-      [requestId]
-    );
-    
-    if (!request) {
-      return res.status(404).json({ message: 'Request not found' });
-    }
-    
-    if (request.status !== 'pending') {
-      return res.status(400).json({ message: 'Request is not pending' });
+    const store = await findManagedStore(req, res);
+    if (!store) return;
+    const photo = await get(`${PHOTO_SELECT} WHERE id = ? AND store_id = ?`, [req.params.photoId, store.id]);
+    if (!photo) {
+      return res.status(404).json({ message: 'Photo not found' });
     }
-    
-    // Update user role to owner
-    await run(
-      `UPDATE users SET role = 'owner' WHERE id = ?`,
-      [request.user_id]
-    );
-    
-    // Update request status to approved
-    await run(
-      `UPDATE owner_requests SET status = 'approved', updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
-      [requestId]
-    );
-    
-    const updatedRequest = await get(
-      `SELECT * FROM owner_requests WHERE id = ?`,
-      [requestId]
-    );
-    
-    res.json({ message: 'Owner request approved', request: updatedRequest });
+    await transaction(async (tx) => {
+      await tx.run(`DELETE FROM store_photos WHERE id = ?`, [photo.id]);
+      await auditPhotoChange(tx, req, 'store_photo.delete', store, { before: presentPhoto(photo) });
+    });
+    await removePhotoFiles([photo]);
+    res.json({ message: 'Photo deleted' });
   } catch (err) {
     console.error(err);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Reject owner request
-app.post('/api/admin/owner-requests/:requestId/reject', authenticate, requireRole('admin'), async (req, res) => {
-  try {
-    const { requestId } = req.params;
-    const { reason } = req.body;
-    
-    // Get the request
-    const request = await get(
-      `SELECT * FROM owner_requests WHERE id = ?`,
-      [requestId]
+// ---- STORE HOURS ROUTES ----
+// Opening hours are kept as local times in each store's timezone, so "open
+// now" is worked out per store from the current instant. Stores without a
+// timezone use STORE_TIMEZONE (default UTC).
+const DEFAULT_STORE_TIMEZONE = process.env.STORE_TIMEZONE || 'UTC';
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+const MAX_INTERVALS_PER_DAY = 3;
+const MAX_HOUR_EXCEPTIONS = 100;
+const HOURS_NOTE_MAX = 100;
+
+const toMinutes = (time) => Number(time.slice(0, 2)) * 60 + Number(time.slice(3));
+
+const zonedFormats = new Map();
+// Local date, weekday (0 = Sunday) and minutes past midnight of an instant
+const zonedParts = (instant, timeZone) => {
+  if (!zonedFormats.has(timeZone)) {
+    zonedFormats.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+      })
     );
-    
-    if (!request) {
-      return res.status(404).json({ message: 'Request not found' });
+  }
+  const parts = Object.fromEntries(
+    zonedFormats.get(timeZone).formatToParts(instant).map((p) => [p.type, p.value])
+  );
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+};
+
+const isTimeZone = (timeZone) => {
+  try {
+    zonedParts(new Date(), timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const validateInterval = ({ opens, closes }, label) => {
+  if (typeof opens !== 'string' || !TIME_PATTERN.test(opens) || opens === '24:00') {
+    return [`${label}: opening time must be HH:MM`];
+  }
+  if (typeof closes !== 'string' || !TIME_PATTERN.test(closes)) {
+    return [`${label}: closing time must be HH:MM (24:00 for midnight)`];
+  }
+  if (opens === closes) return [`${label}: opening and closing times must differ`];
+  return [];
+};
+
+const WEEK_MINUTES = 7 * 24 * 60;
+
+// Places the weekly periods on one week from Sunday 00:00 and returns
+// [weekday, next weekday] for each period the next one opens inside. A period
+// closing at or before it opens runs past midnight into the following day,
+// and Saturday night carries round to Sunday morning.
+const periodOverlaps = (weekly) => {
+  const spans = weekly
+    .map(({ weekday, opens, closes }) => {
+      const start = weekday * 24 * 60 + toMinutes(opens);
+      const end = weekday * 24 * 60 + toMinutes(closes);
+      return { weekday, start, end: end <= start ? end + 24 * 60 : end };
+    })
+    .sort((a, b) => a.start - b.start);
+  if (spans.length < 2) return [];
+  return spans
+    .map((span, i) => [span, spans[i + 1] || { ...spans[0], start: spans[0].start + WEEK_MINUTES }])
+    .filter(([span, next]) => next.start < span.end)
+    .map(([span, next]) => [span.weekday, next.weekday]);
+};
+
+// { timezone, weekly: [{ weekday, opens, closes }], exceptions: [{ date, opens, closes, note }] }
+const validateStoreHours = ({ timezone, weekly, exceptions }) => {
+  const errors = [];
+  if (timezone != null && (typeof timezone !== 'string' || !isTimeZone(timezone))) {
+    errors.push('Timezone must be an IANA name such as Europe/Paris');
+  }
+  if (!Array.isArray(weekly)) {
+    errors.push('Weekly hours must be a list');
+  } else {
+    const earlierErrors = errors.length;
+    weekly.forEach((interval, i) => {
+      if (!Number.isInteger(interval?.weekday) || interval.weekday < 0 || interval.weekday > 6) {
+        errors.push(`Weekly hours ${i + 1}: weekday must be 0 (Sunday) to 6 (Saturday)`);
+      } else {
+        errors.push(...validateInterval(interval, `${WEEKDAYS[interval.weekday]} hours`));
+      }
+    });
+    for (let day = 0; day < 7; day++) {
+      if (weekly.filter((h) => h?.weekday === day).length > MAX_INTERVALS_PER_DAY) {
+        errors.push(`${WEEKDAYS[day]}: at most ${MAX_INTERVALS_PER_DAY} opening periods`);
+      }
     }
-    
-    if (request.status !== 'pending') {
-      return res.status(400).json({ message: 'Request is not pending' });
+    // Overlaps are only worth reporting once every period is readable
+    if (errors.length === earlierErrors) {
+      const overlaps = periodOverlaps(weekly).map(([day, next]) =>
+        day === next
+          ? `${WEEKDAYS[day]}: opening periods overlap`
+          : `${WEEKDAYS[day]}: opening period runs into ${WEEKDAYS[next]}'s`
+      );
+      errors.push(...new Set(overlaps));
     }
-    
-    // Update request status to rejected with reason
-    await run(
-      `UPDATE owner_requests SET status = 'rejected', reason = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
-      [reason || 'Request rejected by admin', requestId]
-    );
-    
-    const updatedRequest = await get(
-      `SELECT * FROM owner_requests WHERE id = ?`,
-      [requestId]
+  }
+  if (exceptions !== undefined && !Array.isArray(exceptions)) {
+    errors.push('Exceptions must be a list');
+  } else if (exceptions) {
+    if (exceptions.length > MAX_HOUR_EXCEPTIONS) {
+      errors.push(`At most ${MAX_HOUR_EXCEPTIONS} exceptions`);
+    }
+    exceptions.forEach((exception, i) => {
+      const label = `Exception ${i + 1}`;
+      if (!isCalendarDate(exception?.date)) {
+        errors.push(`${label}: date must be YYYY-MM-DD`);
+        return;
+      }
+      if (exception.opens != null || exception.closes != null) {
+        errors.push(...validateInterval(exception, `${label}`));
+      }
+      if (exception.note != null && (typeof exception.note !== 'string' || exception.note.length > HOURS_NOTE_MAX)) {
+        errors.push(`${label}: note must not exceed ${HOURS_NOTE_MAX} characters`);
+      }
+    });
+    const dates = exceptions.map((e) => e?.date);
+    if (new Set(dates).size !== dates.length) errors.push('Each exception date may appear only once');
+  }
+  return errors;
+};
+
+// Loads hours for the given stores (every store with hours when storeIds is
+// null). Only exceptions near `now` are read; that is all hoursStatus needs.
+// Resolves to a Map of store id -> { timezone, weekly, exceptions: Map(date -> row) }.
+const loadStoreHours = async (storeIds, now) => {
+  if (storeIds && storeIds.length === 0) return new Map();
+  const idFilter = storeIds ? `store_id IN (${storeIds.map(() => '?').join(', ')})` : '1 = 1';
+  const idParams = storeIds || [];
+  const utcDay = Date.parse(now.toISOString().slice(0, 10));
+  const window = [-2, 2].map((days) => new Date(utcDay + days * DAY_MS).toISOString().slice(0, 10));
+  const weekly = await all(
+    `SELECT store_id, weekday, opens, closes FROM store_hours WHERE ${idFilter} ORDER BY weekday, opens`,
+    idParams
+  );
+  const exceptions = await all(
+    `SELECT store_id, date, opens, closes, note FROM store_hour_exceptions
+     WHERE ${idFilter} AND date BETWEEN ? AND ?`,
+    [...idParams, ...window]
+  );
+
+  const hours = new Map();
+  for (const row of [...weekly, ...exceptions]) {
+    if (!hours.has(row.store_id)) hours.set(row.store_id, { weekly: [], exceptions: new Map() });
+    const entry = hours.get(row.store_id);
+    if (row.date) entry.exceptions.set(row.date, row);
+    else entry.weekly.push(row);
+  }
+  if (hours.size > 0) {
+    const ids = [...hours.keys()];
+    const zones = await all(
+      `SELECT id, timezone FROM stores WHERE id IN (${ids.map(() => '?').join(', ')})`,
+      ids
     );
-    
-    res.json({ message: 'Owner request rejected', request: updatedRequest });
+    for (const { id, timezone } of zones) hours.get(id).timezone = timezone || DEFAULT_STORE_TIMEZONE;
+  }
+  return hours;
+};
+
+const intervalsOn = (hours, date, weekday) => {
+  const exception = hours.exceptions.get(date);
+  if (exception) return exception.opens ? [exception] : [];
+  return hours.weekly.filter((h) => h.weekday === weekday);
+};
+
+// open_now plus today's opening periods, in the store's local time
+const hoursStatus = (hours, now) => {
+  const local = zonedParts(now, hours.timezone);
+  const yesterday = new Date(Date.parse(local.date) - DAY_MS).toISOString().slice(0, 10);
+  const today = intervalsOn(hours, local.date, local.weekday);
+  const openToday = today.some(({ opens, closes }) => {
+    const [from, to] = [toMinutes(opens), toMinutes(closes)];
+    return local.minutes >= from && (to <= from || local.minutes < to);
+  });
+  // last night's periods that run past midnight
+  const openFromYesterday = intervalsOn(hours, yesterday, (local.weekday + 6) % 7).some(
+    ({ opens, closes }) => toMinutes(closes) <= toMinutes(opens) && local.minutes < toMinutes(closes)
+  );
+  return {
+    open_now: openToday || openFromYesterday,
+    hours_today: today.map(({ opens, closes }) => ({ opens, closes })),
+  };
+};
+
+// Adds open_now and hours_today; both are null for stores with no hours set
+const attachHours = async (stores, now = new Date()) => {
+  const hours = await loadStoreHours(stores.map((s) => s.id), now);
+  return stores.map((store) =>
+    hours.has(store.id)
+      ? { ...store, ...hoursStatus(hours.get(store.id), now) }
+      : { ...store, open_now: null, hours_today: null }
+  );
+};
+
+// Ids of the stores open at `now`, for the open_now list filter
+const openStoreIds = async (now = new Date()) => {
+  const hours = await loadStoreHours(null, now);
+  return [...hours].filter(([, h]) => hoursStatus(h, now).open_now).map(([id]) => id);
+};
+
+const OPEN_NOW_VALUES = { true: true, 1: true, false: false, 0: false };
+
+// open_now=true keeps stores open right now; open_now=false keeps the others,
+// including stores without hours
+const addOpenNowFilter = async (query, conditions, params) => {
+  if (query.open_now === undefined) return;
+  const ids = await openStoreIds();
+  const wantOpen = OPEN_NOW_VALUES[query.open_now];
+  if (ids.length === 0) {
+    if (wantOpen) conditions.push('1 = 0');
+    return;
+  }
+  conditions.push(`s.id ${wantOpen ? 'IN' : 'NOT IN'} (${ids.map(() => '?').join(', ')})`);
+  params.push(...ids);
+};
+
+const readStoreHours = async (store) => {
+  const row = await get(`SELECT timezone FROM stores WHERE id = ?`, [store.id]);
+  const timezone = row.timezone || DEFAULT_STORE_TIMEZONE;
+  const weekly = await all(
+    `SELECT weekday, opens, closes FROM store_hours WHERE store_id = ? ORDER BY weekday, opens`,
+    [store.id]
+  );
+  const exceptions = await all(
+    `SELECT date, opens, closes, note FROM store_hour_exceptions WHERE store_id = ? AND date >= ? ORDER BY date`,
+    [store.id, zonedParts(new Date(), timezone).date]
+  );
+  return { store_id: store.id, timezone, weekly, exceptions };
+};
+
+// Weekly hours, today's and future exceptions, and whether the store is open now
+app.get('/api/stores/:storeId/hours', authenticate, async (req, res) => {
+  try {
+    const store = await get(`SELECT id FROM stores WHERE id = ?`, [req.params.storeId]);
+    if (!store) {
+      return res.status(404).json({ message: 'Store not found' });
+    }
+    const [withStatus] = await attachHours([store]);
+    res.json({ ...(await readStoreHours(store)), open_now: withStatus.open_now, hours_today: withStatus.hours_today });
   } catch (err) {
     console.error(err);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// ---- NORMAL USER OWNER REQUEST ROUTES ----
-// Request to become owner
-app.post('/api/user/request-owner', authenticate, requireRole('normal'), async (req, res) => {
+// Replaces the store's timezone, weekly hours and exceptions
+app.put('/api/stores/:storeId/hours', authenticate, requireRole('owner', 'admin'), async (req, res) => {
   try {
-    const userId = req.user.id;
-    
-    // Check if user already has a pending or approved request
-    const existingRequest = await get(
-      `SELECT * FROM owner_requests WHERE user_id = ? AND status IN ('pending', 'approved')`,
-      [userId]
-    );
-    
-    if (existingRequest) {
-      return res.status(400).json({ message: 'You already have a pending or approved owner request' });
+    const store = await findManagedStore(req, res);
+    if (!store) return;
+    const { timezone = null, weekly, exceptions = [] } = req.body;
+    const errors = validateStoreHours({ timezone, weekly, exceptions });
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Validation failed', errors });
     }
-    
-    // Create new owner request
-    const insert = await run(
-      `INSERT INTO owner_requests (user_id, status) VALUES (?, 'pending')`,
-      [userId]
-    );
-    
-    const request = await get(
-      `SELECT * FROM owner_requests WHERE id = ?`,
-      [insert.id]
-    );
-    
-    res.status(201).json({ message: 'Owner request submitted', request });
+
+    const before = await readStoreHours(store);
+    await transaction(async (tx) => {
+      await tx.run(`UPDATE stores SET timezone = ? WHERE id = ?`, [timezone, store.id]);
+      await tx.run(`DELETE FROM store_hours WHERE store_id = ?`, [store.id]);
+      await tx.run(`DELETE FROM store_hour_exceptions WHERE store_id = ?`, [store.id]);
+      for (const { weekday, opens, closes } of weekly) {
+        await tx.run(
+          `INSERT INTO store_hours (store_id, weekday, opens, closes) VALUES (?, ?, ?, ?)`,
+          [store.id, weekday, opens, closes]
+        );
+      }
+      for (const { date, opens = null, closes = null, note = null } of exceptions) {
+        await tx.run(
+          `INSERT INTO store_hour_exceptions (store_id, date, opens, closes, note) VALUES (?, ?, ?, ?, ?)`,
+          [store.id, date, opens, closes, note?.trim() || null]
+        );
+      }
+      if (req.user.role === 'admin') {
+        await recordAudit(tx, req, {
+          action: 'store_hours.update',
+          targetType: 'store',
+          targetId: store.id,
+          before,
+          after: { store_id: store.id, timezone: timezone || DEFAULT_STORE_TIMEZONE, weekly, exceptions },
+        });
+      }
+    });
+    const [withStatus] = await attachHours([store]);
+    res.json({ ...(await readStoreHours(store)), open_now: withStatus.open_now, hours_today: withStatus.hours_today });
   } catch (err) {
     console.error(err);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get user's owner request status
-app.get('/api/user/owner-request-status', authenticate, requireRole('normal'), async (req, res) => {
+// ---- STORE OWNER ANALYTICS ROUTES ----
+const getOwnedStore = (storeId, ownerId) =>
+  get(`SELECT id FROM stores WHERE id = ? AND owner_id = ?`, [storeId, ownerId]);
+
+// Star histogram for one store next to the platform-wide one
+app.get('/api/owner/analytics/:storeId/distribution', authenticate, requireRole('owner'), async (req, res) => {
   try {
-    const userId = req.user.id;
-    
-    const request = await get(
-      `SELECT * FROM owner_requests WHERE user_id = ?`,
-      [userId]
-    );
-    
-    if (!request) {
-      return res.json({ request: null, message: 'No request found' });
+    const store = await getOwnedStore(req.params.storeId, req.user.id);
+    if (!store) {
+      return res.status(403).json({ message: 'Not your store' });
     }
-    
-    res.json({ request });
+    const storeStats = await get(`SELECT * FROM store_rating_stats WHERE store_id = ?`, [store.id]);
+    const platformStats = await platformRatingStats();
+    const summarize = (stats) => {
+      const counts = STARS.map((rating) => Number(stats?.[`stars_${rating}`] || 0));
+      const total = counts.reduce((n, c) => n + c, 0);
+      const sum = counts.reduce((n, c, i) => n + c * (i + 1), 0);
+      return {
+        avg_rating: total ? sum / total : 0,
+        rating_count: total,
+        distribution: counts.map((count, i) => ({ rating: i + 1, count })),
+      };
+    };
+    res.json({ store_id: store.id, store: summarize(storeStats), platform: summarize(platformStats) });
   } catch (err) {
     console.error(err);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// ---- NORMAL USER STORE & RATING ROUTES ----
-app.get('/api/stores', authenticate, async (req, res) => {
+// Rating volume and average per interval, with the platform-wide average at
+// the same points. Takes the same from/to/interval as rating-trend.
+app.get('/api/owner/analytics/:storeId/trend', authenticate, requireRole('owner'), async (req, res) => {
   try {
-    const { name, address } = req.query;
-    const conditions = [];
-    const params = [];
-    if (name) {
-      conditions.push(`s.name LIKE ?`);
-      params.push(`%${name}%`);
+    const { interval, from, to, dates, errors } = parseTrendQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid trend parameters', errors });
     }
-    if (address) {
-      conditions.push(`s.address LIKE ?`);
-      params.push(`%${address}%`);
+    const store = await getOwnedStore(req.params.storeId, req.user.id);
+    if (!store) {
+      return res.status(403).json({ message: 'Not your store' });
     }
-    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
-    params.push(req.user.id);
-    const stores = await all(
-      `SELECT s.id, s.name, s.address,
-              COALESCE(AVG(r.rating), 0) AS avg_rating,
-              (SELECT rating FROM ratings ur WHERE ur.store_id = s.id AND ur.user_id = ?) AS user_rating
-       FROM stores s
-       LEFT JOIN ratings r ON r.store_id = s.id
-       ${where}
-       GROUP BY s.id
-       ORDER BY s.name ASC`,
-      params
-    );
-    res.json(stores);
+
+    const storePoints = replayRatings(await loadRatingChanges(store.id, to), dates, interval);
+    const platformPoints = await platformRatingPoints(dates, interval);
+    const points = storePoints.map((p, i) => ({
+      ...p,
+      platform_avg_rating: platformPoints[i].avg_rating,
+      platform_volume: platformPoints[i].volume,
+    }));
+    res.json({ store_id: store.id, interval, from, to, points });
   } catch (err) {
     console.error(err);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-app.post('/api/stores/:storeId/rating', authenticate, async (req, res) => {
+// ---- STORE OWNER REPLY ROUTES ----
+// Looks up a rating only if it belongs to a store owned by ownerId
+const getOwnedRating = (ratingId, ownerId) =>
+  get(
+    `SELECT r.id, r.store_id
+     FROM ratings r
+     JOIN stores s ON s.id = r.store_id
+     WHERE r.id = ? AND s.owner_id = ?`,
+    [ratingId, ownerId]
+  );
+
+// Post a reply to a rating
+app.post('/api/owner/ratings/:ratingId/reply', authenticate, requireRole('owner'), async (req, res) => {
   try {
-    const { storeId } = req.params;
-    const { rating } = req.body;
-    if (rating < 1 || rating > 5) {
-      return res.status(400).json({ message: 'Rating must be between 1 and 5' });
+    const { ratingId } = req.params;
+    const { body } = req.body;
+
+    const rating = await getOwnedRating(ratingId, req.user.id);
+    if (!rating) {
+      return res.status(403).json({ message: 'Not your store' });
     }
-    // Upsert manually for SQLite
-    const existing = await get(
-      `SELECT id FROM ratings WHERE user_id = ? AND store_id = ?`,
-      [req.user.id, storeId]
-    );
+
+    const validationErrors = validateReply(body);
+    if (validationErrors.length > 0) {
+      return res.status(400).json({ message: 'Validation failed', errors: validationErrors });
+    }
+
+    const existing = await get(`SELECT id FROM review_replies WHERE rating_id = ?`, [ratingId]);
     if (existing) {
-      await run(
-        `UPDATE ratings SET rating = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
-        [rating, existing.id]
-      );
-      const updated = await get(
-        `SELECT id, user_id, store_id, rating FROM ratings WHERE id = ?`,
-        [existing.id]
-      );
-      res.status(200).json(updated);
-    } else {
-      const insert = await run(
-        `INSERT INTO ratings (user_id, store_id, rating)
-         VALUES (?, ?, ?)`,
-        [req.user.id, storeId, rating]
-      );
-      const created = await get(
-        `SELECT id, user_id, store_id, rating FROM ratings WHERE id = ?`,
-        [insert.id]
-      );
-      res.status(201).json(created);
+      return res.status(400).json({ message: 'This rating already has a reply' });
     }
+
+    const insert = await run(
+      `INSERT INTO review_replies (rating_id, owner_id, body) VALUES (?, ?, ?)`,
+      [ratingId, req.user.id, body.trim()]
+    );
+    const reply = await get(`SELECT * FROM review_replies WHERE id = ?`, [insert.id]);
+    res.status(201).json(reply);
   } catch (err) {
     console.error(err);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// ---- STORE OWNER ROUTES ----
-app.get('/api/owner/summary', authenticate, requireRole('owner'), async (req, res) => {
+// Replies stay their author's: after a store changes hands the new owner can
+// neither edit nor delete the previous owner's replies. Sends the 404/403
+// itself and resolves to false when the request can't go on.
+const checkReplyAuthor = async (ratingId, ownerId, res) => {
+  const reply = await get(`SELECT owner_id FROM review_replies WHERE rating_id = ?`, [ratingId]);
+  if (!reply) {
+    res.status(404).json({ message: 'Reply not found' });
+    return false;
+  }
+  if (reply.owner_id !== ownerId) {
+    res.status(403).json({ message: 'Not your reply' });
+    return false;
+  }
+  return true;
+};
+
+// Edit a reply
+app.put('/api/owner/ratings/:ratingId/reply', authenticate, requireRole('owner'), async (req, res) => {
   try {
-    const ownerId = req.user.id;
-    const storeRows = await all(
-      `SELECT s.id, s.name,
-              COALESCE(AVG(r.rating), 0) AS avg_rating,
-              COUNT(r.id) AS rating_count
-       FROM stores s
-       LEFT JOIN ratings r ON r.store_id = s.id
-       WHERE s.owner_id = ?
-       GROUP BY s.id`,
-      [ownerId]
+    const { ratingId } = req.params;
+    const { body } = req.body;
+
+    const rating = await getOwnedRating(ratingId, req.user.id);
+    if (!rating) {
+      return res.status(403).json({ message: 'Not your store' });
+    }
+
+    const validationErrors = validateReply(body);
+    if (validationErrors.length > 0) {
+      return res.status(400).json({ message: 'Validation failed', errors: validationErrors });
+    }
+    if (!(await checkReplyAuthor(ratingId, req.user.id, res))) return;
+
+    await run(
+      `UPDATE review_replies SET body = ?, updated_at = CURRENT_TIMESTAMP WHERE rating_id = ?`,
+      [body.trim(), ratingId]
     );
-    res.json(storeRows);
+
+    const reply = await get(`SELECT * FROM review_replies WHERE rating_id = ?`, [ratingId]);
+    res.json(reply);
   } catch (err) {
     console.error(err);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-app.get('/api/owner/store-raters/:storeId', authenticate, requireRole('owner'), async (req, res) => {
+// Delete a reply
+app.delete('/api/owner/ratings/:ratingId/reply', authenticate, requireRole('owner'), async (req, res) => {
   try {
-    const { storeId } = req.params;
-    const ownerCheck = await get(
-      `SELECT id FROM stores WHERE id = ? AND owner_id = ?`,
-      [storeId, req.user.id]
-    );
-    if (!ownerCheck) {
+    const { ratingId } = req.params;
+
+    const rating = await getOwnedRating(ratingId, req.user.id);
+    if (!rating) {
       return res.status(403).json({ message: 'Not your store' });
     }
-    const raters = await all(
-      `SELECT u.id, u.name, u.email, u.address, r.rating, r.created_at, r.updated_at
-       FROM ratings r
-       JOIN users u ON u.id = r.user_id
-       WHERE r.store_id = ?
-       ORDER BY r.updated_at DESC`,
-      [storeId]
-    );
-    res.json(raters);
+    if (!(await checkReplyAuthor(ratingId, req.user.id, res))) return;
+
+    await run(`DELETE FROM review_replies WHERE rating_id = ?`, [ratingId]);
+
+    res.json({ message: 'Reply deleted' });
   } catch (err) {
     console.error(err);
     res.status(500).json({ message: 'Server error' });
@@ -690,9 +4054,12 @@ app.get('/api/health', (req, res) => {
   res.json({ status: 'ok' });
 });
 
-// Start server after DB init
-initDb()
+// Start server once the schema is current. An in-memory database starts
+// empty every time, so it is migrated here instead.
+(ephemeral ? migrate() : checkMigrations())
+  .then(seedAdmin)
   .then(() => {
+    scheduleFraudScans();
     app.listen(PORT, () => {
       console.log(`Backend listening on port ${PORT}`);
     });
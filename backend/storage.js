@@ -0,0 +1,39 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+// STORAGE_DRIVER picks where uploaded files live. The default "local" writes
+// them under UPLOAD_DIR and serves them from /uploads on this server. Object
+// storage (S3, GCS, ...) is another entry with the same shape:
+//   put(key, buffer, contentType), remove(key), url(key)
+// plus an optional mount(app) for backends that serve files themselves.
+// Keys are relative paths such as "stores/12/<uuid>.jpg".
+const drivers = {
+  local: () => {
+    const dir = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, 'uploads'));
+    const fileFor = (key) => path.join(dir, ...key.split('/'));
+    return {
+      put: async (key, buffer) => {
+        await fs.promises.mkdir(path.dirname(fileFor(key)), { recursive: true });
+        await fs.promises.writeFile(fileFor(key), buffer);
+      },
+      remove: (key) => fs.promises.rm(fileFor(key), { force: true }),
+      url: (key) => `/uploads/${key}`,
+      // keys are random, so a file never changes once written
+      mount: (app) => app.use('/uploads', express.static(dir, { immutable: true, maxAge: '30d' })),
+    };
+  },
+};
+
+const driverName = process.env.STORAGE_DRIVER || 'local';
+if (!drivers[driverName]) {
+  throw new Error(`Unknown STORAGE_DRIVER "${driverName}". Use ${Object.keys(drivers).join(' or ')}.`);
+}
+const storage = drivers[driverName]();
+
+module.exports = {
+  putFile: storage.put,
+  removeFile: storage.remove,
+  fileUrl: storage.url,
+  mountStorage: (app) => storage.mount?.(app),
+};
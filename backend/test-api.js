@@ -1,4 +1,7 @@
 const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
 
 const BASE_URL = 'http://localhost:4000';
 const client = axios.create({
@@ -12,16 +15,17 @@ let testResults = {
   tests: []
 };
 
-async function runTest(testName, method, endpoint, data = null, expectedStatus = 200, token = null) {
+async function runTest(testName, method, endpoint, data = null, expectedStatus = 200, token = null, headers = {}) {
   try {
     const config = {
       method,
       url: endpoint,
-      data
+      data,
+      headers: { ...headers }
     };
 
     if (token) {
-      config.headers = { Authorization: `Bearer ${token}` };
+      config.headers.Authorization = `Bearer ${token}`;
     }
 
     const response = await client(config);
@@ -56,6 +60,30 @@ async function runTest(testName, method, endpoint, data = null, expectedStatus =
   }
 }
 
+// Records a pass/fail for something a status code alone can't show
+function check(testName, passed) {
+  testResults.tests.push({ name: testName, passed });
+  if (passed) {
+    testResults.passed++;
+    console.log(`✅ ${testName}`);
+  } else {
+    testResults.failed++;
+    console.log(`❌ ${testName}`);
+  }
+}
+
+// Newest message the local mail transport wrote for an address
+function latestMail(to) {
+  const dir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, 'outbox');
+  if (!fs.existsSync(dir)) return null;
+  return fs
+    .readdirSync(dir)
+    .sort()
+    .reverse()
+    .map(file => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')))
+    .find(mail => mail.to === to) || null;
+}
+
 async function runAllTests() {
   console.log('🧪 Starting API Tests...\n');
 
@@ -137,6 +165,54 @@ async function runAllTests() {
   );
   const token = loginResp?.token;
 
+  // ===== EMAIL VERIFICATION TESTS =====
+  console.log('\n📧 EMAIL VERIFICATION TESTS');
+
+  // Signup sent a link; resending replaces it
+  await runTest(
+    'Resend Verification - Unverified User',
+    'POST',
+    '/api/auth/resend-verification',
+    null,
+    200,
+    token
+  );
+
+  const verifyToken = latestMail(testEmail)?.text.match(/verify_token=([\w-]+)/)?.[1];
+
+  await runTest(
+    'Verify Email - Invalid Token',
+    'POST',
+    '/api/auth/verify-email',
+    { token: 'not-a-real-token' },
+    400
+  );
+
+  await runTest(
+    'Verify Email - Valid Token',
+    'POST',
+    '/api/auth/verify-email',
+    { token: verifyToken },
+    200
+  );
+
+  await runTest(
+    'Verify Email - Token Reused (should fail)',
+    'POST',
+    '/api/auth/verify-email',
+    { token: verifyToken },
+    400
+  );
+
+  await runTest(
+    'Resend Verification - Already Verified (should fail)',
+    'POST',
+    '/api/auth/resend-verification',
+    null,
+    400,
+    token
+  );
+
   // Test 6: Login with invalid credentials
   await runTest(
     'Login - Invalid Password',
@@ -150,7 +226,7 @@ async function runAllTests() {
   );
 
   // Test 7: Change password
-  await runTest(
+  const changed = await runTest(
     'Change Password - Valid',
     'POST',
     '/api/auth/change-password',
@@ -162,6 +238,22 @@ async function runAllTests() {
     token
   );
 
+  await runTest(
+    'Refresh - Revoked After Password Change (should fail)',
+    'POST',
+    '/api/auth/refresh',
+    { refreshToken: loginResp?.refreshToken },
+    401
+  );
+
+  await runTest(
+    'Refresh - Session Returned by Password Change',
+    'POST',
+    '/api/auth/refresh',
+    { refreshToken: changed?.refreshToken },
+    200
+  );
+
   // Test 8: Login with new password
   let newLoginResp = await runTest(
     'Login - After Password Change',
@@ -175,6 +267,169 @@ async function runAllTests() {
   );
   const newToken = newLoginResp?.token;
 
+  // ===== SESSION TOKEN TESTS =====
+  console.log('\n🔄 SESSION TOKEN TESTS');
+
+  const firstRefresh = newLoginResp?.refreshToken;
+
+  // Refresh rotates the token pair
+  const refreshed = await runTest(
+    'Refresh - Valid Token',
+    'POST',
+    '/api/auth/refresh',
+    { refreshToken: firstRefresh },
+    200
+  );
+
+  await runTest(
+    'Refresh - New Access Token Works',
+    'GET',
+    '/api/stores',
+    null,
+    200,
+    refreshed?.token
+  );
+
+  // Replaying a used token revokes the whole family
+  await runTest(
+    'Refresh - Reuse Old Token (should fail)',
+    'POST',
+    '/api/auth/refresh',
+    { refreshToken: firstRefresh },
+    401
+  );
+
+  await runTest(
+    'Refresh - Rotated Token Revoked After Reuse (should fail)',
+    'POST',
+    '/api/auth/refresh',
+    { refreshToken: refreshed?.refreshToken },
+    401
+  );
+
+  await runTest(
+    'Refresh - Missing Token',
+    'POST',
+    '/api/auth/refresh',
+    {},
+    400
+  );
+
+  // Logout revokes the session's refresh token
+  const sessionResp = await runTest(
+    'Login - New Session',
+    'POST',
+    '/api/auth/login',
+    {
+      email: testEmail,
+      password: 'NewPass@456'
+    },
+    200
+  );
+
+  await runTest(
+    'Logout - Valid Token',
+    'POST',
+    '/api/auth/logout',
+    { refreshToken: sessionResp?.refreshToken },
+    200
+  );
+
+  await runTest(
+    'Refresh - After Logout (should fail)',
+    'POST',
+    '/api/auth/refresh',
+    { refreshToken: sessionResp?.refreshToken },
+    401
+  );
+
+  // ===== PASSWORD RESET TESTS =====
+  console.log('\n🔑 PASSWORD RESET TESTS');
+
+  const resetEmail = `reset${Date.now()}@example.com`;
+  await runTest(
+    'Signup - Password Reset User',
+    'POST',
+    '/api/auth/signup',
+    {
+      name: 'Password Reset Test User Name',
+      email: resetEmail,
+      address: 'Reset Address',
+      password: 'TestPass@123'
+    },
+    201
+  );
+
+  await runTest(
+    'Forgot Password - Registered Email',
+    'POST',
+    '/api/auth/forgot-password',
+    { email: resetEmail },
+    200
+  );
+
+  // Unknown addresses get the same answer
+  await runTest(
+    'Forgot Password - Unknown Email',
+    'POST',
+    '/api/auth/forgot-password',
+    { email: `nobody${Date.now()}@example.com` },
+    200
+  );
+
+  await runTest(
+    'Forgot Password - Invalid Email',
+    'POST',
+    '/api/auth/forgot-password',
+    { email: 'not-an-email' },
+    400
+  );
+
+  const resetToken = latestMail(resetEmail)?.text.match(/reset_token=([\w-]+)/)?.[1];
+
+  await runTest(
+    'Reset Password - Weak Password',
+    'POST',
+    '/api/auth/reset-password',
+    { token: resetToken, newPassword: 'weak' },
+    400
+  );
+
+  await runTest(
+    'Reset Password - Valid Token',
+    'POST',
+    '/api/auth/reset-password',
+    { token: resetToken, newPassword: 'Reset@789' },
+    200
+  );
+
+  await runTest(
+    'Reset Password - Token Reused (should fail)',
+    'POST',
+    '/api/auth/reset-password',
+    { token: resetToken, newPassword: 'Again@789' },
+    400
+  );
+
+  const unverifiedLogin = await runTest(
+    'Login - After Password Reset',
+    'POST',
+    '/api/auth/login',
+    { email: resetEmail, password: 'Reset@789' },
+    200
+  );
+  // This account never verified its email
+  const unverifiedToken = unverifiedLogin?.token;
+
+  await runTest(
+    'Unverified - Request Owner Status (should fail)',
+    'POST',
+    '/api/user/request-owner',
+    null,
+    403,
+    unverifiedToken
+  );
+
   // ===== ADMIN TESTS =====
   console.log('\n👨‍💼 ADMIN TESTS');
 
@@ -252,6 +507,16 @@ async function runAllTests() {
   );
   const storeId = storeResp?.id;
 
+  const invalidStores = [
+    ['Without Name', { address: 'Store Address' }],
+    ['With Long Name', { name: 'x'.repeat(500) }],
+    ['With Unknown Owner', { name: 'Orphan Store', owner_id: 999999 }],
+    ['With Non-Owner Owner', { name: 'Misowned Store', owner_id: adminLoginResp?.user?.id }],
+  ];
+  for (const [label, body] of invalidStores) {
+    await runTest(`Admin - Create Store ${label} (should fail)`, 'POST', '/api/admin/stores', body, 400, adminToken);
+  }
+
   // Test 14: Get all stores with filters
   await runTest(
     'Admin - Get Stores List',
@@ -272,6 +537,109 @@ async function runAllTests() {
     adminToken
   );
 
+  // Sorted and paginated store list
+  await runTest(
+    'Admin - Sort Stores by Average Rating',
+    'GET',
+    '/api/admin/stores?sort=avg_rating&order=desc&limit=5&offset=0',
+    null,
+    200,
+    adminToken
+  );
+
+  // Sort fields are whitelisted
+  await runTest(
+    'Admin - Invalid Sort Field (should fail)',
+    'GET',
+    '/api/admin/users?sort=password_hash',
+    null,
+    400,
+    adminToken
+  );
+
+  await runTest(
+    'Admin - Invalid Page Size (should fail)',
+    'GET',
+    '/api/admin/users?limit=1000',
+    null,
+    400,
+    adminToken
+  );
+
+  // ===== LOGIN THROTTLING TESTS =====
+  console.log('\n🛡️ LOGIN THROTTLING TESTS');
+
+  const lockoutEmail = `lockout${Date.now()}@example.com`;
+  await runTest(
+    'Admin - Create User for Lockout Test',
+    'POST',
+    '/api/admin/users',
+    {
+      name: 'Lockout Test User Name Here',
+      email: lockoutEmail,
+      address: 'Test Address',
+      password: 'TestPass@123',
+      role: 'normal'
+    },
+    201,
+    adminToken
+  );
+
+  // The first few failures are free, the next one starts a backoff
+  for (let attempt = 1; attempt <= 4; attempt++) {
+    await runTest(
+      `Login - Wrong Password Attempt ${attempt}`,
+      'POST',
+      '/api/auth/login',
+      { email: lockoutEmail, password: 'WrongPass@1' },
+      401
+    );
+  }
+
+  await runTest(
+    'Login - During Backoff (should fail even with right password)',
+    'POST',
+    '/api/auth/login',
+    { email: lockoutEmail, password: 'TestPass@123' },
+    429
+  );
+
+  const lockouts = await runTest(
+    'Admin - List Login Lockouts',
+    'GET',
+    '/api/admin/lockouts',
+    null,
+    200,
+    adminToken
+  );
+  const lockoutId = lockouts?.find?.(l => l.throttle_key === lockoutEmail)?.id;
+
+  await runTest(
+    'Non-Admin - List Login Lockouts (should fail)',
+    'GET',
+    '/api/admin/lockouts',
+    null,
+    403,
+    token
+  );
+
+  await runTest(
+    'Admin - Clear Login Lockout',
+    'DELETE',
+    `/api/admin/lockouts/${lockoutId}`,
+    null,
+    200,
+    adminToken
+  );
+
+  await runTest(
+    'Login - After Lockout Cleared',
+    'POST',
+    '/api/auth/login',
+    { email: lockoutEmail, password: 'TestPass@123' },
+    200
+  );
+
   // ===== OWNER REQUEST TESTS =====
   console.log('\n📝 OWNER REQUEST TESTS');
 
@@ -379,179 +747,2062 @@ async function runAllTests() {
     }
   }
 
-  // ===== NORMAL USER STORE TESTS =====
-  console.log('\n🏪 NORMAL USER STORE TESTS');
+  // ===== STORE CLAIM TESTS =====
+  console.log('\n🏷️ STORE CLAIM TESTS');
 
-  // Test 22: Get all stores
-  await runTest(
-    'User - Get All Stores',
-    'GET',
-    '/api/stores',
-    null,
-    200,
-    token
+  const claimant = await runTest(
+    'Admin - Create Store Claimant',
+    'POST',
+    '/api/admin/users',
+    {
+      name: 'Store Claimant Test User Name',
+      email: `claimant${Date.now()}@example.com`,
+      address: 'Claimant Address',
+      password: 'TestPass@123',
+      role: 'normal'
+    },
+    201,
+    adminToken
+  );
+  const claimantLogin = await runTest(
+    'Login with store claimant',
+    'POST',
+    '/api/auth/login',
+    { email: claimant?.email, password: 'TestPass@123' },
+    200
   );
+  const claimantToken = claimantLogin?.token;
 
-  // Test 23: Search stores by name
-  await runTest(
-    'User - Search Stores by Name',
-    'GET',
-    '/api/stores?name=Test',
-    null,
-    200,
-    token
+  const unownedStore = await runTest(
+    'Admin - Create Unowned Store',
+    'POST',
+    '/api/admin/stores',
+    { name: `Claimable Store ${Date.now()}`, email: 'claimable@example.com', address: 'Claim Street 1' },
+    201,
+    adminToken
   );
 
-  // Test 24: Search stores by address
+  await runTest(
+    'User - Claim Without Details (should fail)',
+    'POST',
+    '/api/user/store-claims',
+    { store_id: unownedStore?.id },
+    400,
+    claimantToken
+  );
+
+  await runTest(
+    'User - Claim Missing Store (should fail)',
+    'POST',
+    '/api/user/store-claims',
+    { store_id: 999999, details: 'I run this shop' },
+    404,
+    claimantToken
+  );
+
+  const existingClaim = await runTest(
+    'User - Claim Existing Store',
+    'POST',
+    '/api/user/store-claims',
+    { store_id: unownedStore?.id, details: 'I am the registered proprietor' },
+    201,
+    claimantToken
+  );
+
+  await runTest(
+    'User - Duplicate Store Claim (should fail)',
+    'POST',
+    '/api/user/store-claims',
+    { store_id: unownedStore?.id, details: 'Again' },
+    400,
+    claimantToken
+  );
+
+  const rivalClaim = await runTest(
+    'Other User - Claim Same Store',
+    'POST',
+    '/api/user/store-claims',
+    { store_id: unownedStore?.id, details: 'I also run this shop' },
+    201,
+    token
+  );
+
+  const proposal = await runTest(
+    'User - Propose New Store',
+    'POST',
+    '/api/user/store-claims',
+    { name: `Proposed Store ${Date.now()}`, address: 'New Street 2', details: 'Opening next month' },
+    201,
+    claimantToken
+  );
+
+  await runTest(
+    'User - Propose Store Without Name (should fail)',
+    'POST',
+    '/api/user/store-claims',
+    { address: 'Nowhere', details: 'No name given' },
+    400,
+    claimantToken
+  );
+
+  const pendingClaims = await runTest(
+    'Admin - List Pending Store Claims',
+    'GET',
+    '/api/admin/store-claims',
+    null,
+    200,
+    adminToken
+  );
+  check(
+    'Store Claims - Pending List Includes Claim',
+    pendingClaims?.some?.((c) => c.id === existingClaim?.claim?.id)
+  );
+
+  await runTest(
+    'Non-Admin - Approve Store Claim (should fail)',
+    'POST',
+    `/api/admin/store-claims/${existingClaim?.claim?.id}/approve`,
+    null,
+    403,
+    claimantToken
+  );
+
+  await runTest(
+    'Admin - Approve Existing Store Claim',
+    'POST',
+    `/api/admin/store-claims/${existingClaim?.claim?.id}/approve`,
+    null,
+    200,
+    adminToken
+  );
+
+  const rivalClaims = await runTest(
+    'Other User - Get Own Store Claims',
+    'GET',
+    '/api/user/store-claims',
+    null,
+    200,
+    token
+  );
+  check(
+    'Store Claims - Rival Claim Rejected On Approval',
+    rivalClaims?.find?.((c) => c.id === rivalClaim?.claim?.id)?.status === 'rejected'
+  );
+
+  await runTest(
+    'Other User - Claim Owned Store (should fail)',
+    'POST',
+    '/api/user/store-claims',
+    { store_id: unownedStore?.id, details: 'Still mine' },
+    400,
+    token
+  );
+
+  await runTest(
+    'Admin - Approve Store Proposal',
+    'POST',
+    `/api/admin/store-claims/${proposal?.claim?.id}/approve`,
+    null,
+    200,
+    adminToken
+  );
+
+  await runTest(
+    'Admin - Approve Decided Claim (should fail)',
+    'POST',
+    `/api/admin/store-claims/${proposal?.claim?.id}/approve`,
+    null,
+    400,
+    adminToken
+  );
+
+  // The promotion shows up once the claimant logs in again
+  const ownerLogin = await runTest(
+    'Login with approved claimant',
+    'POST',
+    '/api/auth/login',
+    { email: claimant?.email, password: 'TestPass@123' },
+    200
+  );
+  check('Store Claims - Claimant Promoted to Owner', ownerLogin?.user?.role === 'owner');
+  const claimedStores = await runTest(
+    'Owner - Summary Lists Claimed Stores',
+    'GET',
+    '/api/owner/summary',
+    null,
+    200,
+    ownerLogin?.token
+  );
+  check('Store Claims - Owner Has Both Stores', claimedStores?.length === 2);
+
+  const rejectedProposal = await runTest(
+    'Owner - Propose Another Store',
+    'POST',
+    '/api/user/store-claims',
+    { name: `Rejected Store ${Date.now()}`, details: 'A second location' },
+    201,
+    ownerLogin?.token
+  );
+
+  await runTest(
+    'Admin - Reject Store Claim',
+    'POST',
+    `/api/admin/store-claims/${rejectedProposal?.claim?.id}/reject`,
+    { reason: 'Could not verify the business' },
+    200,
+    adminToken
+  );
+
+  // ===== AUDIT LOG TESTS =====
+  console.log('\n📜 AUDIT LOG TESTS');
+
+  const approvals = await runTest(
+    'Admin - Audit Log Filtered by Action',
+    'GET',
+    '/api/admin/audit-log?action=owner_request.approve',
+    null,
+    200,
+    adminToken
+  );
+  check(
+    'Audit Log - Approval Recorded With After Snapshot',
+    approvals?.items?.[0]?.after?.status === 'approved'
+  );
+
+  await runTest(
+    'Admin - Audit Log Date Range',
+    'GET',
+    `/api/admin/audit-log?from=2000-01-01&to=2999-12-31&target_type=user`,
+    null,
+    200,
+    adminToken
+  );
+
+  await runTest(
+    'Admin - Audit Log Invalid Date (should fail)',
+    'GET',
+    '/api/admin/audit-log?from=yesterday',
+    null,
+    400,
+    adminToken
+  );
+
+  await runTest(
+    'Admin - Audit Log Impossible Date (should fail)',
+    'GET',
+    '/api/admin/audit-log?to=2026-13-45',
+    null,
+    400,
+    adminToken
+  );
+
+  await runTest(
+    'Admin - Audit Log Invalid Actor (should fail)',
+    'GET',
+    '/api/admin/audit-log?actor_id=abc',
+    null,
+    400,
+    adminToken
+  );
+
+  await runTest(
+    'Non-Admin - Audit Log (should fail)',
+    'GET',
+    '/api/admin/audit-log',
+    null,
+    403,
+    token
+  );
+
+  // ===== EXPORT TESTS =====
+  console.log('\n📤 EXPORT TESTS');
+
+  const exportUser = await runTest(
+    'Admin - Create User With Awkward Fields',
+    'POST',
+    '/api/admin/users',
+    {
+      name: `Export, "Quoted" User ${Date.now()}`,
+      email: `export${Date.now()}@example.com`,
+      address: '=HYPERLINK("http://example.com")',
+      password: 'TestPass@123',
+      role: 'normal'
+    },
+    201,
+    adminToken
+  );
+
+  const usersCsv = await runTest(
+    'Admin - Export Users as CSV',
+    'GET',
+    `/api/admin/users/export?format=csv&email=${encodeURIComponent(exportUser?.email)}`,
+    null,
+    200,
+    adminToken
+  );
+  const csvLines = String(usersCsv).trim().split('\r\n');
+  check(
+    'Export - CSV Quotes and Defuses Fields',
+    csvLines.length === 2 &&
+      csvLines[0] === 'id,name,email,address,role,owner_rating' &&
+      csvLines[1].includes(`"${exportUser?.name.replace(/"/g, '""')}"`) &&
+      csvLines[1].includes(`"'=HYPERLINK(""http://example.com"")"`)
+  );
+
+  const storesJsonl = await runTest(
+    'Admin - Export Stores as JSON Lines',
+    'GET',
+    '/api/admin/stores/export?format=jsonl&sort=name',
+    null,
+    200,
+    adminToken
+  );
+  // axios parses a single-line body as JSON; more lines stay text
+  const jsonLines = String(storesJsonl).trim().split('\n').map((line) => JSON.parse(line));
+  check(
+    'Export - JSON Lines Has One Store per Line',
+    jsonLines.length >= 2 && jsonLines.every((row) => row.id && row.name)
+  );
+
+  await runTest(
+    'Admin - Export Unknown Format (should fail)',
+    'GET',
+    '/api/admin/users/export?format=xlsx',
+    null,
+    400,
+    adminToken
+  );
+
+  await runTest(
+    'Non-Admin - Export Users (should fail)',
+    'GET',
+    '/api/admin/users/export',
+    null,
+    403,
+    token
+  );
+
+  // ===== BULK IMPORT TESTS =====
+  console.log('\n📥 BULK IMPORT TESTS');
+
+  const csv = { 'Content-Type': 'text/csv' };
+  const importStamp = Date.now();
+  const userRowsCsv = [
+    'name,email,password,role',
+    `Imported Owner Account Name,importowner${importStamp}@example.com,TestPass@123,owner`,
+    `"Imported, Quoted User Name",ImportUser${importStamp}@example.com,TestPass@123,`,
+    `Short,bad-email,weak,wizard`,
+    `Imported Duplicate User Name,ImportOwner${importStamp}@Example.com,TestPass@123,normal`,
+  ].join('\r\n');
+
+  const userPreview = await runTest(
+    'Admin - Preview User Import',
+    'POST',
+    '/api/admin/import/users?dry_run=1',
+    userRowsCsv,
+    200,
+    adminToken,
+    csv
+  );
+  check(
+    'Import - Preview Reports Row Errors Without Writing',
+    userPreview?.valid === 2 &&
+      userPreview?.invalid === 2 &&
+      userPreview?.created === 0 &&
+      userPreview?.rows?.[2]?.row === 4 &&
+      userPreview.rows[2].errors.length === 4 &&
+      userPreview.rows[3].errors.includes('Email appears more than once in the file')
+  );
+
+  const caseClash = await runTest(
+    'Admin - Preview Import of Existing Email in Other Case',
+    'POST',
+    '/api/admin/import/users?dry_run=1',
+    'name,email,password\r\nShouting Admin Account Name,ADMIN@example.com,TestPass@123',
+    200,
+    adminToken,
+    csv
+  );
+  check(
+    'Import - Existing Email Matched Regardless of Case',
+    caseClash?.invalid === 1 && caseClash.rows[0].errors.includes('Email already registered')
+  );
+
+  const userImport = await runTest(
+    'Admin - Import Users',
+    'POST',
+    '/api/admin/import/users',
+    userRowsCsv,
+    200,
+    adminToken,
+    csv
+  );
+  check(
+    'Import - Valid User Rows Created, Passwords Not Echoed',
+    userImport?.created === 2 && userImport.rows.every((r) => !('password' in r.values))
+  );
+
+  // Imported emails keep their case, so the address as written in the file logs in
+  await runTest(
+    'Imported User - Login With Email As Imported',
+    'POST',
+    '/api/auth/login',
+    { email: `ImportUser${importStamp}@example.com`, password: 'TestPass@123' },
+    200
+  );
+
+  const storeRowsCsv = [
+    'name,address,owner_email',
+    `Imported Store One ${importStamp},"1 Main St, Springfield",importowner${importStamp}@example.com`,
+    `Imported Store Two ${importStamp},2 Side St,`,
+    `Imported Store Three ${importStamp},3 Back St,importuser${importStamp}@example.com`,
+    `,No Name St,`,
+  ].join('\n');
+
+  const storeImport = await runTest(
+    'Admin - Import Stores',
+    'POST',
+    '/api/admin/import/stores',
+    storeRowsCsv,
+    200,
+    adminToken,
+    csv
+  );
+  check(
+    'Import - Owners Resolved by Email and Invalid Rows Skipped',
+    storeImport?.created === 2 &&
+      storeImport.rows[0].owner_id === userImport?.rows?.[0]?.id &&
+      storeImport.rows[2].errors.length === 1 &&
+      storeImport.rows[3].errors.includes('Store name is required')
+  );
+
+  await runTest(
+    'Admin - Import Stores Unknown Column (should fail)',
+    'POST',
+    '/api/admin/import/stores',
+    'name,phone\nSome Store,555',
+    400,
+    adminToken,
+    csv
+  );
+
+  await runTest(
+    'Non-Admin - Import Stores (should fail)',
+    'POST',
+    '/api/admin/import/stores',
+    storeRowsCsv,
+    403,
+    token,
+    csv
+  );
+
+  // ===== CATEGORY & TAG TESTS =====
+  console.log('\n🗂️ CATEGORY & TAG TESTS');
+
+  const categoryStamp = Date.now();
+  const category = await runTest(
+    'Admin - Create Category',
+    'POST',
+    '/api/admin/categories',
+    { name: `Bakeries ${categoryStamp}` },
+    201,
+    adminToken
+  );
+
+  await runTest(
+    'Admin - Create Duplicate Category (should fail)',
+    'POST',
+    '/api/admin/categories',
+    { name: `Bakeries ${categoryStamp}` },
+    400,
+    adminToken
+  );
+
+  await runTest(
+    'Non-Admin - Create Category (should fail)',
+    'POST',
+    '/api/admin/categories',
+    { name: `Cafes ${categoryStamp}` },
+    403,
+    token
+  );
+
+  const taggedStore = await runTest(
+    'Admin - Create Store With Category and Tags',
+    'POST',
+    '/api/admin/stores',
+    {
+      name: `Tagged Bakery ${categoryStamp}`,
+      address: 'Tag Street 1',
+      category_id: category?.id,
+      tags: ['Gluten-Free', ' vegan ', 'gluten-free'],
+    },
+    201,
+    adminToken
+  );
+  check(
+    'Tags - Normalised and De-duplicated',
+    taggedStore?.category_id === category?.id && taggedStore?.tags?.join() === 'gluten-free,vegan'
+  );
+
+  await runTest(
+    'Admin - Create Store With Unknown Category (should fail)',
+    'POST',
+    '/api/admin/stores',
+    { name: `Orphan Store ${categoryStamp}`, address: 'Nowhere 1', category_id: 999999 },
+    400,
+    adminToken
+  );
+
+  await runTest(
+    'Admin - Too Many Tags (should fail)',
+    'PATCH',
+    `/api/admin/stores/${taggedStore?.id}`,
+    { tags: Array.from({ length: 11 }, (_, i) => `tag${i}`) },
+    400,
+    adminToken
+  );
+
+  const retagged = await runTest(
+    'Admin - Replace Store Tags',
+    'PATCH',
+    `/api/admin/stores/${taggedStore?.id}`,
+    { tags: ['vegan', 'Takeaway'] },
+    200,
+    adminToken
+  );
+  check('Tags - Replaced on Update', retagged?.tags?.join() === 'takeaway,vegan');
+
+  if (taggedStore?.id) {
+    await runTest('User - Rate Tagged Store', 'POST', `/api/stores/${taggedStore.id}/rating`, { rating: 3 }, 201, token);
+  }
+
+  const byCategory = await runTest(
+    'User - Filter Stores by Category',
+    'GET',
+    `/api/stores?category_id=${category?.id}`,
+    null,
+    200,
+    token
+  );
+  check(
+    'Category Filter - Only Matching Stores With Category Name',
+    byCategory?.total === 1 && byCategory.items[0].category_name === `Bakeries ${categoryStamp}`
+  );
+
+  const byTags = await runTest(
+    'User - Filter Stores by Tags',
+    'GET',
+    '/api/stores?tag=vegan,TAKEAWAY',
+    null,
+    200,
+    token
+  );
+  check(
+    'Tag Filter - Stores Must Carry Every Tag',
+    byTags?.items?.some((s) => s.id === taggedStore?.id) &&
+      byTags.items.every((s) => s.tags.includes('vegan') && s.tags.includes('takeaway'))
+  );
+
+  const adminByTag = await runTest(
+    'Admin - Filter Stores by Category and Tag',
+    'GET',
+    `/api/admin/stores?category_id=${category?.id}&tag=gluten-free`,
+    null,
+    200,
+    adminToken
+  );
+  check('Admin Filter - Removed Tag No Longer Matches', adminByTag?.total === 0);
+
+  await runTest(
+    'User - Invalid Category Filter (should fail)',
+    'GET',
+    '/api/stores?category_id=abc',
+    null,
+    400,
+    token
+  );
+
+  const categories = await runTest('User - Get Categories', 'GET', '/api/categories', null, 200, token);
+  const categoryStats = categories?.find?.((c) => c.id === category?.id);
+  check(
+    'Categories - Per-Category Average Rating',
+    categoryStats?.store_count === 1 && categoryStats.avg_rating === 3 && categoryStats.rating_count === 1
+  );
+
+  const tags = await runTest('User - Get Tags', 'GET', '/api/tags', null, 200, token);
+  check('Tags - Listed With Store Counts', tags?.some?.((t) => t.tag === 'takeaway' && t.store_count >= 1));
+
+  await runTest(
+    'Admin - Rename Category',
+    'PATCH',
+    `/api/admin/categories/${category?.id}`,
+    { name: `Bakeries & Patisseries ${categoryStamp}` },
+    200,
+    adminToken
+  );
+
+  await runTest(
+    'Admin - Delete Category',
+    'DELETE',
+    `/api/admin/categories/${category?.id}`,
+    null,
+    200,
+    adminToken
+  );
+
+  const uncategorised = await runTest(
+    'Admin - Store After Category Deleted',
+    'GET',
+    `/api/admin/stores?name=${encodeURIComponent(`Tagged Bakery ${categoryStamp}`)}`,
+    null,
+    200,
+    adminToken
+  );
+  check('Category Delete - Stores Become Uncategorised', uncategorised?.items?.[0]?.category_id === null);
+
+  // ===== ADMIN EDIT/DELETE TESTS =====
+  console.log('\n✏️ ADMIN EDIT/DELETE TESTS');
+
+  const editUser = await runTest(
+    'Admin - Create User to Edit',
+    'POST',
+    '/api/admin/users',
+    {
+      name: 'Editable Test User Name Here',
+      email: `edit${Date.now()}@example.com`,
+      address: 'Old Address',
+      password: 'TestPass@123',
+      role: 'normal'
+    },
+    201,
+    adminToken
+  );
+
+  const editedUser = await runTest(
+    'Admin - Update User Address and Role',
+    'PATCH',
+    `/api/admin/users/${editUser?.id}`,
+    { address: 'New Address', role: 'owner' },
+    200,
+    adminToken
+  );
+  check('Admin - Updated User Has New Role', editedUser?.role === 'owner');
+
+  await runTest(
+    'Admin - Update User Invalid Email (should fail)',
+    'PATCH',
+    `/api/admin/users/${editUser?.id}`,
+    { email: 'not-an-email' },
+    400,
+    adminToken
+  );
+
+  await runTest(
+    'Admin - Update User Invalid Role (should fail)',
+    'PATCH',
+    `/api/admin/users/${editUser?.id}`,
+    { role: 'superuser' },
+    400,
+    adminToken
+  );
+
+  await runTest(
+    'Admin - Delete Own Account (should fail)',
+    'DELETE',
+    `/api/admin/users/${adminLoginResp?.user?.id}`,
+    null,
+    400,
+    adminToken
+  );
+
+  const editStore = await runTest(
+    'Admin - Create Store to Edit',
+    'POST',
+    '/api/admin/stores',
+    {
+      name: 'Editable Test Store',
+      email: `editstore${Date.now()}@example.com`,
+      address: 'Typo Adress'
+    },
+    201,
+    adminToken
+  );
+
+  await runTest(
+    'Admin - Update Store Address',
+    'PATCH',
+    `/api/admin/stores/${editStore?.id}`,
+    { address: 'Fixed Address' },
+    200,
+    adminToken
+  );
+
+  // Only users with the owner role can own a store
+  await runTest(
+    'Admin - Reassign Store to Owner',
+    'PATCH',
+    `/api/admin/stores/${editStore?.id}`,
+    { owner_id: editUser?.id },
+    200,
+    adminToken
+  );
+
+  await runTest(
+    'Admin - Reassign Store to Non-Owner (should fail)',
+    'PATCH',
+    `/api/admin/stores/${editStore?.id}`,
+    { owner_id: adminLoginResp?.user?.id },
+    400,
+    adminToken
+  );
+
+  await runTest(
+    'Admin - Demote Owner With a Store',
+    'PATCH',
+    `/api/admin/users/${editUser?.id}`,
+    { role: 'normal' },
+    200,
+    adminToken
+  );
+  const releasedStore = await runTest(
+    'Admin - Touch Store of Demoted Owner',
+    'PATCH',
+    `/api/admin/stores/${editStore?.id}`,
+    { address: 'Fixed Address' },
+    200,
+    adminToken
+  );
+  check('Demotion - Store Left Without an Owner', releasedStore?.owner_id === null);
+
+  await runTest(
+    'Admin - Update Store Empty Name (should fail)',
+    'PATCH',
+    `/api/admin/stores/${editStore?.id}`,
+    { name: '  ' },
+    400,
+    adminToken
+  );
+
+  await runTest(
+    'Admin - Delete Store',
+    'DELETE',
+    `/api/admin/stores/${editStore?.id}`,
+    null,
+    200,
+    adminToken
+  );
+
+  await runTest(
+    'Admin - Delete Store Again (should fail)',
+    'DELETE',
+    `/api/admin/stores/${editStore?.id}`,
+    null,
+    404,
+    adminToken
+  );
+
+  await runTest(
+    'Admin - Delete User',
+    'DELETE',
+    `/api/admin/users/${editUser?.id}`,
+    null,
+    200,
+    adminToken
+  );
+
+  await runTest(
+    'Non-Admin - Delete User (should fail)',
+    'DELETE',
+    `/api/admin/users/${editUser?.id}`,
+    null,
+    403,
+    token
+  );
+
+  // ===== NORMAL USER STORE TESTS =====
+  console.log('\n🏪 NORMAL USER STORE TESTS');
+
+  // Test 22: Get all stores
+  await runTest(
+    'User - Get All Stores',
+    'GET',
+    '/api/stores',
+    null,
+    200,
+    token
+  );
+
+  // Test 23: Search stores by name
+  await runTest(
+    'User - Search Stores by Name',
+    'GET',
+    '/api/stores?name=Test',
+    null,
+    200,
+    token
+  );
+
+  // Full-text search over name, address and reviews
+  await runTest(
+    'User - Full-text Search Stores',
+    'GET',
+    '/api/stores?q=test%20stor',
+    null,
+    200,
+    token
+  );
+
+  // Search input can't inject FTS query syntax
+  await runTest(
+    'User - Search With Special Characters',
+    'GET',
+    '/api/stores?q=%22test%22%20OR%20NEAR(',
+    null,
+    200,
+    token
+  );
+
+  await runTest(
+    'Admin - Full-text Search Stores',
+    'GET',
+    '/api/admin/stores?q=owner',
+    null,
+    200,
+    adminToken
+  );
+
+  // Sorted by rating count, second page
+  await runTest(
+    'User - Sort and Paginate Stores',
+    'GET',
+    '/api/stores?sort=rating_count&order=desc&limit=10&offset=10',
+    null,
+    200,
+    token
+  );
+
+  // Test 24: Search stores by address
   await runTest(
     'User - Search Stores by Address',
     'GET',
-    '/api/stores?address=Address',
+    '/api/stores?address=Address',
+    null,
+    200,
+    token
+  );
+
+  // ===== RATING TESTS =====
+  console.log('\n⭐ RATING TESTS');
+
+  if (storeId) {
+    await runTest(
+      'Unverified - Submit Rating (should fail)',
+      'POST',
+      `/api/stores/${storeId}/rating`,
+      { rating: 4 },
+      403,
+      unverifiedToken
+    );
+
+    // Test 25: Submit rating
+    await runTest(
+      'User - Submit Rating',
+      'POST',
+      `/api/stores/${storeId}/rating`,
+      { rating: 4 },
+      201,
+      token
+    );
+
+    // Test 26: Update rating
+    await runTest(
+      'User - Update Rating',
+      'POST',
+      `/api/stores/${storeId}/rating`,
+      { rating: 5 },
+      200,
+      token
+    );
+
+    // Test 27: Invalid rating (too high)
+    await runTest(
+      'User - Invalid Rating (>5)',
+      'POST',
+      `/api/stores/${storeId}/rating`,
+      { rating: 6 },
+      400,
+      token
+    );
+
+    // Test 28: Invalid rating (too low)
+    await runTest(
+      'User - Invalid Rating (<1)',
+      'POST',
+      `/api/stores/${storeId}/rating`,
+      { rating: 0 },
+      400,
+      token
+    );
+
+    for (const [label, body] of [['Fractional', { rating: 2.5 }], ['Missing', {}], ['Text', { rating: 'abc' }]]) {
+      await runTest(`User - ${label} Rating (should fail)`, 'POST', `/api/stores/${storeId}/rating`, body, 400, token);
+    }
+
+    // Rating with a written review
+    await runTest(
+      'User - Submit Rating with Review',
+      'POST',
+      `/api/stores/${storeId}/rating`,
+      { rating: 3, review_title: 'Decent', review_body: 'Friendly staff, long queues.' },
+      200,
+      token
+    );
+
+    // Review body too long
+    await runTest(
+      'User - Review Too Long (should fail)',
+      'POST',
+      `/api/stores/${storeId}/rating`,
+      { rating: 3, review_body: 'x'.repeat(2001) },
+      400,
+      token
+    );
+
+    // Title without a body
+    await runTest(
+      'User - Review Title Without Body (should fail)',
+      'POST',
+      `/api/stores/${storeId}/rating`,
+      { rating: 3, review_title: 'Only a title' },
+      400,
+      token
+    );
+
+    // Review edits that keep the stars add no history entry
+    await runTest(
+      'User - Edit Review Keeping Stars',
+      'POST',
+      `/api/stores/${storeId}/rating`,
+      { rating: 3, review_title: 'Decent', review_body: 'Friendly staff, shorter queues now.' },
+      200,
+      token
+    );
+
+    const history = await runTest(
+      'Admin - Get Rating History',
+      'GET',
+      `/api/stores/${storeId}/rating-history`,
+      null,
+      200,
+      adminToken
+    );
+    check(
+      'Rating History - One Entry per Star Change',
+      history?.total === 3 &&
+        history.items.map((h) => `${h.previous_rating}>${h.rating}`).join(',') === '5>3,4>5,null>4'
+    );
+
+    const trend = await runTest(
+      'Admin - Get Rating Trend',
+      'GET',
+      `/api/stores/${storeId}/rating-trend?interval=week`,
+      null,
+      200,
+      adminToken
+    );
+    const latest = trend?.points?.[trend.points.length - 1];
+    check('Rating Trend - Latest Point Is Current Average', latest?.avg_rating === 3 && latest?.rating_count === 1);
+
+    await runTest(
+      'Admin - Rating Trend Invalid Interval (should fail)',
+      'GET',
+      `/api/stores/${storeId}/rating-trend?interval=hour`,
+      null,
+      400,
+      adminToken
+    );
+
+    await runTest(
+      'Admin - Rating Trend Too Many Points (should fail)',
+      'GET',
+      `/api/stores/${storeId}/rating-trend?from=2000-01-01&to=2020-01-01`,
+      null,
+      400,
+      adminToken
+    );
+
+    await runTest(
+      'Admin - Rating Trend Impossible Dates (should fail)',
+      'GET',
+      `/api/stores/${storeId}/rating-trend?from=2026-13-45&to=2026-13-46`,
+      null,
+      400,
+      adminToken
+    );
+
+    await runTest(
+      'Admin - Rating History Invalid User (should fail)',
+      'GET',
+      `/api/stores/${storeId}/rating-history?user_id=abc`,
+      null,
+      400,
+      adminToken
+    );
+
+    await runTest(
+      'Other Owner - Rating History (should fail)',
+      'GET',
+      `/api/stores/${storeId}/rating-history`,
+      null,
+      403,
+      ownerLogin?.token
+    );
+
+    await runTest(
+      'User - Rating History (should fail)',
+      'GET',
+      `/api/stores/${storeId}/rating-history`,
+      null,
+      403,
+      token
+    );
+  }
+
+  // ===== AUTHENTICATION FAILURES =====
+  console.log('\n🔒 AUTHENTICATION FAILURE TESTS');
+
+  // Test 29: No token
+  await runTest(
+    'No Token - Get Stores',
+    'GET',
+    '/api/stores',
+    null,
+    401
+  );
+
+  // Test 30: Invalid token
+  await runTest(
+    'Invalid Token - Get Stores',
+    'GET',
+    '/api/stores',
+    null,
+    401
+  );
+
+  // Test 31: Non-admin accessing admin endpoint
+  await runTest(
+    'Non-Admin - Access Admin Dashboard',
+    'GET',
+    '/api/admin/summary',
+    null,
+    403,
+    token
+  );
+
+  // ===== OWNER ROUTES =====
+  console.log('\n👤 STORE OWNER TESTS');
+
+  // Fresh login picks up the owner role granted by the approval above
+  let ownerLoginResp = await runTest(
+    'Owner - Login After Approval',
+    'POST',
+    '/api/auth/login',
+    {
+      email: testEmail,
+      password: 'NewPass@456'
+    },
+    200
+  );
+  const ownerToken = ownerLoginResp?.token;
+
+  // Test 32: Owner views their summary
+  await runTest(
+    'Owner - Get Owner Summary',
+    'GET',
+    '/api/owner/summary',
+    null,
+    200,
+    ownerToken
+  );
+
+  // Create store for owner
+  let ownerStoreResp = await runTest(
+    'Admin - Create Store for Owner',
+    'POST',
+    '/api/admin/stores',
+    {
+      name: 'Owner Test Store',
+      email: 'ownerstore@example.com',
+      address: 'Owner Store Address',
+      owner_id: userId
+    },
+    201,
+    adminToken
+  );
+  const ownerStoreId = ownerStoreResp?.id;
+
+  // Submit rating to owner's store
+  if (ownerStoreId && token) {
+    await runTest(
+      'User - Submit Rating to Owner Store',
+      'POST',
+      `/api/stores/${ownerStoreId}/rating`,
+      { rating: 4, review_body: 'Great selection.' },
+      201,
+      token
+    );
+  }
+
+  // Test 33: Owner views store raters
+  let raters;
+  if (ownerStoreId) {
+    raters = await runTest(
+      'Owner - Get Store Raters',
+      'GET',
+      `/api/owner/store-raters/${ownerStoreId}`,
+      null,
+      200,
+      ownerToken
+    );
+  }
+
+  // Test 34: Non-owner accessing other's store raters
+  if (ownerStoreId) {
+    await runTest(
+      'Non-Owner - Access Other Store Raters (should fail)',
+      'GET',
+      `/api/owner/store-raters/${ownerStoreId}`,
+      null,
+      403,
+      token
+    );
+  }
+
+  // ===== OWNER REPLY TESTS =====
+  console.log('\n💬 OWNER REPLY TESTS');
+
+  if (ownerStoreId && ownerToken) {
+    const ratingId = raters?.items?.[0]?.rating_id;
+
+    if (ratingId) {
+      await runTest(
+        'Owner - Reply to Rating',
+        'POST',
+        `/api/owner/ratings/${ratingId}/reply`,
+        { body: 'Thanks for visiting!' },
+        201,
+        ownerToken
+      );
+
+      await runTest(
+        'Owner - Duplicate Reply (should fail)',
+        'POST',
+        `/api/owner/ratings/${ratingId}/reply`,
+        { body: 'Second reply' },
+        400,
+        ownerToken
+      );
+
+      await runTest(
+        'Owner - Edit Reply',
+        'PUT',
+        `/api/owner/ratings/${ratingId}/reply`,
+        { body: 'Thanks for visiting, see you soon!' },
+        200,
+        ownerToken
+      );
+
+      await runTest(
+        'Non-Owner - Reply to Rating (should fail)',
+        'POST',
+        `/api/owner/ratings/${ratingId}/reply`,
+        { body: 'Not my store' },
+        403,
+        adminToken
+      );
+
+      await runTest(
+        'User - Get Store Reviews',
+        'GET',
+        `/api/stores/${ownerStoreId}/reviews`,
+        null,
+        200,
+        token
+      );
+
+      // A new owner inherits the store but not the previous owner's replies
+      await runTest(
+        'Admin - Hand Store to Another Owner',
+        'PATCH',
+        `/api/admin/stores/${ownerStoreId}`,
+        { owner_id: ownerLogin?.user?.id },
+        200,
+        adminToken
+      );
+      await runTest(
+        'New Owner - Edit Previous Owner Reply (should fail)',
+        'PUT',
+        `/api/owner/ratings/${ratingId}/reply`,
+        { body: 'Rewritten by the new owner' },
+        403,
+        ownerLogin?.token
+      );
+      await runTest(
+        'New Owner - Delete Previous Owner Reply (should fail)',
+        'DELETE',
+        `/api/owner/ratings/${ratingId}/reply`,
+        null,
+        403,
+        ownerLogin?.token
+      );
+      await runTest(
+        'Admin - Hand Store Back',
+        'PATCH',
+        `/api/admin/stores/${ownerStoreId}`,
+        { owner_id: ownerLoginResp?.user?.id },
+        200,
+        adminToken
+      );
+
+      await runTest(
+        'Owner - Delete Reply',
+        'DELETE',
+        `/api/owner/ratings/${ratingId}/reply`,
+        null,
+        200,
+        ownerToken
+      );
+
+      // ===== MODERATION TESTS =====
+      console.log('\n🚩 MODERATION TESTS');
+
+      await runTest(
+        'User - Flag Own Rating (should fail)',
+        'POST',
+        `/api/ratings/${ratingId}/flag`,
+        { reason: 'Testing' },
+        400,
+        token
+      );
+
+      await runTest(
+        'Admin - Flag Rating',
+        'POST',
+        `/api/ratings/${ratingId}/flag`,
+        { reason: 'Looks like spam' },
+        201,
+        adminToken
+      );
+
+      await runTest(
+        'Admin - Duplicate Flag (should fail)',
+        'POST',
+        `/api/ratings/${ratingId}/flag`,
+        { reason: 'Still spam' },
+        400,
+        adminToken
+      );
+
+      await runTest(
+        'Admin - Get Moderation Queue',
+        'GET',
+        '/api/admin/moderation',
+        null,
+        200,
+        adminToken
+      );
+
+      await runTest(
+        'Admin - Hide Rating',
+        'POST',
+        `/api/admin/moderation/${ratingId}/hide`,
+        null,
+        200,
+        adminToken
+      );
+
+      await runTest(
+        'Admin - Restore Rating',
+        'POST',
+        `/api/admin/moderation/${ratingId}/restore`,
+        null,
+        200,
+        adminToken
+      );
+
+      await runTest(
+        'Non-Admin - Get Moderation Queue (should fail)',
+        'GET',
+        '/api/admin/moderation',
+        null,
+        403,
+        ownerToken
+      );
+    }
+  }
+
+  // ===== OWNER ANALYTICS TESTS =====
+  console.log('\n📊 OWNER ANALYTICS TESTS');
+
+  if (ownerStoreId && ownerToken) {
+    const distribution = await runTest(
+      'Owner - Get Rating Distribution',
+      'GET',
+      `/api/owner/analytics/${ownerStoreId}/distribution`,
+      null,
+      200,
+      ownerToken
+    );
+    check(
+      'Analytics - Distribution Counts the Store Rating',
+      distribution?.store?.distribution?.find((d) => d.rating === 4)?.count === 1 &&
+        distribution?.platform?.rating_count >= distribution?.store?.rating_count
+    );
+
+    const analyticsTrend = await runTest(
+      'Owner - Get Analytics Trend',
+      'GET',
+      `/api/owner/analytics/${ownerStoreId}/trend?interval=month`,
+      null,
+      200,
+      ownerToken
+    );
+    const lastPoint = analyticsTrend?.points?.[analyticsTrend.points.length - 1];
+    check(
+      'Analytics - Trend Has Volume and Platform Average',
+      lastPoint?.volume >= 1 && lastPoint?.avg_rating === 4 && lastPoint?.platform_avg_rating > 0
+    );
+    check(
+      'Analytics - Platform Trend Ends at the Platform Average',
+      Math.abs(lastPoint?.platform_avg_rating - distribution?.platform?.avg_rating) < 1e-9
+    );
+
+    await runTest(
+      'Owner - Analytics Trend Bad Range (should fail)',
+      'GET',
+      `/api/owner/analytics/${ownerStoreId}/trend?from=2025-02-01&to=2025-01-01`,
+      null,
+      400,
+      ownerToken
+    );
+
+    const ratersCsv = await runTest(
+      'Owner - Export Raters as CSV',
+      'GET',
+      `/api/owner/store-raters/${ownerStoreId}/export`,
+      null,
+      200,
+      ownerToken
+    );
+    check('Export - Raters CSV Has Header and Row', String(ratersCsv).trim().split('\r\n').length === 2);
+
+    await runTest(
+      'Owner - Export Other Store Raters (should fail)',
+      'GET',
+      `/api/owner/store-raters/${storeId}/export`,
+      null,
+      403,
+      ownerToken
+    );
+
+    await runTest(
+      'Owner - Analytics for Other Store (should fail)',
+      'GET',
+      `/api/owner/analytics/${storeId}/distribution`,
+      null,
+      403,
+      ownerToken
+    );
+  }
+
+  // ===== STORE LOCATION TESTS =====
+  console.log('\n📍 STORE LOCATION TESTS');
+
+  const placeStamp = Date.now();
+  const places = {
+    center: { latitude: 48.8566, longitude: 2.3522 },
+    nearby: { latitude: 48.8606, longitude: 2.3376 },
+    faraway: { latitude: 48.8049, longitude: 2.1204 },
+  };
+  const placedIds = {};
+  for (const [key, coords] of Object.entries(places)) {
+    const placed = await runTest(
+      `Admin - Create Store With Coordinates (${key})`,
+      'POST',
+      '/api/admin/stores',
+      { name: `Located Store ${key} ${placeStamp}`, address: `${key} street`, ...coords },
+      201,
+      adminToken
+    );
+    placedIds[key] = placed?.id;
+  }
+
+  await runTest(
+    'Admin - Latitude Without Longitude (should fail)',
+    'PATCH',
+    `/api/admin/stores/${placedIds.center}`,
+    { latitude: 10 },
+    400,
+    adminToken
+  );
+
+  await runTest(
+    'Admin - Latitude Out of Range (should fail)',
+    'PATCH',
+    `/api/admin/stores/${placedIds.center}`,
+    { latitude: 91, longitude: 0 },
+    400,
+    adminToken
+  );
+
+  const nearMe = await runTest(
+    'User - Stores Near Me',
+    'GET',
+    '/api/stores?near=48.8566,2.3522&radius=5&limit=100',
+    null,
+    200,
+    token
+  );
+  const nearIds = nearMe?.items?.map((s) => s.id) || [];
+  check(
+    'Near - Radius Applied and Closest First',
+    nearIds.indexOf(placedIds.center) === 0 &&
+      nearIds.includes(placedIds.nearby) &&
+      !nearIds.includes(placedIds.faraway) &&
+      nearMe.items[1].distance_km > 1 &&
+      nearMe.items[1].distance_km < 1.3 &&
+      nearMe.sort === 'distance'
+  );
+
+  const widerRadius = await runTest(
+    'User - Stores Near Me, Wider Radius by Name',
+    'GET',
+    '/api/stores?near=48.8566,2.3522&radius=25&sort=name&limit=100',
+    null,
+    200,
+    token
+  );
+  check(
+    'Near - Wider Radius Reaches Farther Stores',
+    widerRadius?.items?.some((s) => s.id === placedIds.faraway && s.distance_km > 15)
+  );
+
+  await runTest('User - Invalid Near (should fail)', 'GET', '/api/stores?near=north', null, 400, token);
+  await runTest(
+    'User - Radius Too Large (should fail)',
+    'GET',
+    '/api/stores?near=48.8566,2.3522&radius=500',
     null,
+    400,
+    token
+  );
+
+  // No geocoder is configured, so the new address can't be placed
+  const moved = await runTest(
+    'Admin - Move Store to Unknown Address',
+    'PATCH',
+    `/api/admin/stores/${placedIds.faraway}`,
+    { address: 'somewhere unmapped' },
     200,
+    adminToken
+  );
+  check('Location - Old Coordinates Cleared', moved?.latitude === null && moved.longitude === null);
+
+  if (ownerStoreId && ownerToken) {
+    const located = await runTest(
+      'Owner - Set Store Location',
+      'PUT',
+      `/api/owner/stores/${ownerStoreId}/location`,
+      places.nearby,
+      200,
+      ownerToken
+    );
+    check('Owner Location - Coordinates Saved', located?.latitude === places.nearby.latitude);
+
+    // No geocoder is configured for the test server
+    await runTest(
+      'Owner - Geocode Unknown Address (should fail)',
+      'PUT',
+      `/api/owner/stores/${ownerStoreId}/location`,
+      { geocode: true },
+      400,
+      ownerToken
+    );
+  }
+
+  await runTest(
+    'Non-Owner - Set Store Location (should fail)',
+    'PUT',
+    `/api/owner/stores/${ownerStoreId}/location`,
+    places.nearby,
+    403,
     token
   );
 
-  // ===== RATING TESTS =====
-  console.log('\n⭐ RATING TESTS');
+  // ===== STORE PHOTO TESTS =====
+  console.log('\n🖼️ STORE PHOTO TESTS');
+
+  // Multipart body with each [filename, buffer, type] in the "photos" field
+  const photoForm = (...files) => {
+    const form = new FormData();
+    for (const [name, buffer, type] of files) {
+      form.append('photos', new Blob([buffer], { type }), name);
+    }
+    return form;
+  };
+  const solidImage = (format, background) =>
+    sharp({ create: { width: 800, height: 600, channels: 3, background } })[format]().toBuffer();
+  const redPng = await solidImage('png', '#d32323');
+  const greyJpeg = await solidImage('jpeg', '#9ca3af');
+
+  if (ownerStoreId && ownerToken) {
+    const uploaded = await runTest(
+      'Owner - Upload Store Photos',
+      'POST',
+      `/api/stores/${ownerStoreId}/photos`,
+      photoForm(['front.png', redPng, 'image/png'], ['inside.jpg', greyJpeg, 'image/jpeg']),
+      201,
+      ownerToken
+    );
+    const thumbnail = uploaded?.[0] && (await client.get(uploaded[0].thumbnail_url, { responseType: 'arraybuffer' }));
+    const thumbnailSize = thumbnail?.status === 200 && (await sharp(thumbnail.data).metadata());
+    check(
+      'Photos - Thumbnails Generated and Served',
+      uploaded?.length === 2 &&
+        uploaded[0].content_type === 'image/png' &&
+        uploaded[1].position === 1 &&
+        thumbnailSize?.width === 320 &&
+        thumbnailSize.height === 240
+    );
+
+    await runTest(
+      'Owner - Upload Non-Image (should fail)',
+      'POST',
+      `/api/stores/${ownerStoreId}/photos`,
+      photoForm(['fake.jpg', Buffer.from('not really a jpeg'), 'image/jpeg']),
+      400,
+      ownerToken
+    );
+
+    await runTest(
+      'Owner - Upload Oversized Photo (should fail)',
+      'POST',
+      `/api/stores/${ownerStoreId}/photos`,
+      photoForm(['huge.png', Buffer.alloc(6 * 1024 * 1024), 'image/png']),
+      400,
+      ownerToken
+    );
 
-  if (storeId) {
-    // Test 25: Submit rating
     await runTest(
-      'User - Submit Rating',
+      'Owner - Upload Too Many Photos (should fail)',
       'POST',
-      `/api/stores/${storeId}/rating`,
-      { rating: 4 },
+      `/api/stores/${ownerStoreId}/photos`,
+      photoForm(...Array.from({ length: 6 }, (_, i) => [`p${i}.png`, redPng, 'image/png'])),
+      400,
+      ownerToken
+    );
+
+    await runTest(
+      'Admin - Upload Photo to Any Store',
+      'POST',
+      `/api/stores/${ownerStoreId}/photos`,
+      photoForm(['admin.jpg', greyJpeg, 'image/jpeg']),
       201,
-      token
+      adminToken
     );
 
-    // Test 26: Update rating
     await runTest(
-      'User - Update Rating',
+      'User - Upload Photo (should fail)',
       'POST',
-      `/api/stores/${storeId}/rating`,
-      { rating: 5 },
-      200,
+      `/api/stores/${ownerStoreId}/photos`,
+      photoForm(['mine.png', redPng, 'image/png']),
+      403,
       token
     );
 
-    // Test 27: Invalid rating (too high)
+    // Ownership is checked before the upload is read, so an oversized file
+    // from another owner is refused as forbidden rather than too large
     await runTest(
-      'User - Invalid Rating (>5)',
+      'Other Owner - Upload Photo (should fail)',
       'POST',
-      `/api/stores/${storeId}/rating`,
-      { rating: 6 },
+      `/api/stores/${ownerStoreId}/photos`,
+      photoForm(['huge.png', Buffer.alloc(6 * 1024 * 1024), 'image/png']),
+      403,
+      ownerLogin?.token
+    );
+
+    const gallery = await runTest('User - Get Store Photos', 'GET', `/api/stores/${ownerStoreId}/photos`, null, 200, token);
+    const galleryIds = gallery?.map?.((p) => p.id) || [];
+
+    const reordered = await runTest(
+      'Owner - Reorder Photos',
+      'PUT',
+      `/api/stores/${ownerStoreId}/photos/order`,
+      { photo_ids: [...galleryIds].reverse() },
+      200,
+      ownerToken
+    );
+    check(
+      'Photos - New Order Saved',
+      galleryIds.length === 3 && reordered?.map((p) => p.id).join() === [...galleryIds].reverse().join()
+    );
+
+    await runTest(
+      'Owner - Reorder With Missing Photo (should fail)',
+      'PUT',
+      `/api/stores/${ownerStoreId}/photos/order`,
+      { photo_ids: galleryIds.slice(1) },
       400,
+      ownerToken
+    );
+
+    await runTest(
+      'Owner - Delete Photo',
+      'DELETE',
+      `/api/stores/${ownerStoreId}/photos/${galleryIds[0]}`,
+      null,
+      200,
+      ownerToken
+    );
+    const deletedFile = await client.get(gallery?.[0]?.url);
+    const listed = await runTest(
+      'User - Store List Counts Photos',
+      'GET',
+      `/api/stores?name=${encodeURIComponent('Owner Test Store')}`,
+      null,
+      200,
       token
     );
+    check(
+      'Photos - Deleted File Removed and Count Updated',
+      deletedFile.status === 404 && listed?.items?.find((s) => s.id === ownerStoreId)?.photo_count === 2
+    );
+  }
+
+  // ===== STORE HOURS TESTS =====
+  console.log('\n🕘 STORE HOURS TESTS');
+
+  const allWeek = (opens, closes) => Array.from({ length: 7 }, (_, weekday) => ({ weekday, opens, closes }));
+  const utcToday = new Date().toISOString().slice(0, 10);
+  const utcYesterday = new Date(Date.now() - 86400000).toISOString().slice(0, 10);
+
+  if (ownerStoreId && ownerToken) {
+    const alwaysOpen = await runTest(
+      'Owner - Set Weekly Hours',
+      'PUT',
+      `/api/stores/${ownerStoreId}/hours`,
+      { timezone: 'UTC', weekly: allWeek('00:00', '24:00') },
+      200,
+      ownerToken
+    );
+    check(
+      'Hours - Open Around the Clock',
+      alwaysOpen?.open_now === true && alwaysOpen.weekly.length === 7 && alwaysOpen.hours_today.length === 1
+    );
+
+    const openList = await runTest(
+      'User - Filter Stores Open Now',
+      'GET',
+      `/api/stores?open_now=true&name=${encodeURIComponent('Owner Test Store')}`,
+      null,
+      200,
+      token
+    );
+    check(
+      'Open Now Filter - Open Store Listed With Today\'s Hours',
+      openList?.items?.some((s) => s.id === ownerStoreId && s.open_now === true && s.hours_today[0].closes === '24:00')
+    );
+
+    const holiday = await runTest(
+      'Owner - Close for a Holiday Today',
+      'PUT',
+      `/api/stores/${ownerStoreId}/hours`,
+      {
+        timezone: 'UTC',
+        weekly: allWeek('00:00', '24:00'),
+        exceptions: [{ date: utcToday, note: 'Public holiday' }],
+      },
+      200,
+      ownerToken
+    );
+    check('Hours - Holiday Exception Closes the Store', holiday?.open_now === false && holiday.hours_today.length === 0);
+
+    const closedList = await runTest(
+      'User - Filter Stores Not Open Now',
+      'GET',
+      `/api/stores?open_now=false&name=${encodeURIComponent('Owner Test Store')}`,
+      null,
+      200,
+      token
+    );
+    check('Open Now Filter - Closed Store Excluded From Open', closedList?.items?.some((s) => s.id === ownerStoreId));
+
+    // Yesterday's special hours run past midnight until 23:58 today
+    const overnight = await runTest(
+      'Owner - Set Overnight Exception',
+      'PUT',
+      `/api/stores/${ownerStoreId}/hours`,
+      { timezone: 'UTC', weekly: [], exceptions: [{ date: utcYesterday, opens: '23:59', closes: '23:58' }] },
+      200,
+      ownerToken
+    );
+    const lateUtc = new Date().getUTCHours() === 23 && new Date().getUTCMinutes() >= 58;
+    check('Hours - Overnight Period Carries Into Today', lateUtc || overnight?.open_now === true);
 
-    // Test 28: Invalid rating (too low)
     await runTest(
-      'User - Invalid Rating (<1)',
-      'POST',
-      `/api/stores/${storeId}/rating`,
-      { rating: 0 },
+      'Owner - Invalid Timezone (should fail)',
+      'PUT',
+      `/api/stores/${ownerStoreId}/hours`,
+      { timezone: 'Mars/Olympus_Mons', weekly: [] },
+      400,
+      ownerToken
+    );
+
+    await runTest(
+      'Owner - Invalid Time (should fail)',
+      'PUT',
+      `/api/stores/${ownerStoreId}/hours`,
+      { weekly: [{ weekday: 1, opens: '09:00', closes: '25:00' }] },
+      400,
+      ownerToken
+    );
+
+    const overlaps = [
+      ['Overlapping Periods', [{ opens: '09:00', closes: '17:00' }, { opens: '10:00', closes: '18:00' }]],
+      ['Period Inside an Overnight One', [{ opens: '22:00', closes: '02:00' }, { opens: '23:00', closes: '23:30' }]],
+      [
+        'Overnight Period Running Into the Next Day',
+        [{ opens: '22:00', closes: '02:00' }, { weekday: 3, opens: '01:00', closes: '05:00' }],
+      ],
+      [
+        'Saturday Night Running Into Sunday',
+        [{ weekday: 6, opens: '20:00', closes: '03:00' }, { weekday: 0, opens: '02:00', closes: '10:00' }],
+      ],
+    ];
+    for (const [label, periods] of overlaps) {
+      await runTest(
+        `Owner - ${label} (should fail)`,
+        'PUT',
+        `/api/stores/${ownerStoreId}/hours`,
+        { weekly: periods.map((p) => ({ weekday: 2, ...p })) },
+        400,
+        ownerToken
+      );
+    }
+
+    await runTest(
+      'Owner - Duplicate Exception Date (should fail)',
+      'PUT',
+      `/api/stores/${ownerStoreId}/hours`,
+      { weekly: [], exceptions: [{ date: utcToday }, { date: utcToday, opens: '10:00', closes: '12:00' }] },
       400,
+      ownerToken
+    );
+
+    await runTest(
+      'User - Set Store Hours (should fail)',
+      'PUT',
+      `/api/stores/${ownerStoreId}/hours`,
+      { weekly: [] },
+      403,
       token
     );
   }
 
-  // ===== AUTHENTICATION FAILURES =====
-  console.log('\n🔒 AUTHENTICATION FAILURE TESTS');
-
-  // Test 29: No token
-  await runTest(
-    'No Token - Get Stores',
-    'GET',
-    '/api/stores',
-    null,
-    401
+  const tokyoHours = await runTest(
+    'Admin - Set Hours With Timezone',
+    'PUT',
+    `/api/stores/${placedIds.center}/hours`,
+    { timezone: 'Asia/Tokyo', weekly: [{ weekday: 1, opens: '09:00', closes: '17:00' }] },
+    200,
+    adminToken
+  );
+  const tokyoRead = await runTest('User - Get Store Hours', 'GET', `/api/stores/${placedIds.center}/hours`, null, 200, token);
+  check(
+    'Hours - Timezone and Weekly Hours Saved',
+    tokyoHours?.timezone === 'Asia/Tokyo' && tokyoRead?.weekly?.[0]?.opens === '09:00'
   );
 
-  // Test 30: Invalid token
-  await runTest(
-    'Invalid Token - Get Stores',
+  await runTest('User - Invalid Open Now Filter (should fail)', 'GET', '/api/stores?open_now=maybe', null, 400, token);
+
+  // ===== RATING SCORE TESTS =====
+  console.log('\n🏆 RATING SCORE TESTS');
+
+  const rankStamp = Date.now();
+  const rankedIds = {};
+  for (const key of ['popular', 'single', 'unrated']) {
+    const ranked = await runTest(
+      `Admin - Create Ranked Store (${key})`,
+      'POST',
+      '/api/admin/stores',
+      { name: `Ranked Store ${key} ${rankStamp}`, address: 'Ranking Road 1' },
+      201,
+      adminToken
+    );
+    rankedIds[key] = ranked?.id;
+  }
+
+  // Four 5s and a 4 (average 4.8) against a single 5
+  const popularStars = [5, 5, 5, 5, 4];
+  const popularRatings = [];
+  for (const [i, stars] of popularStars.entries()) {
+    const rater = await runTest(
+      `Admin - Create Rater ${i + 1}`,
+      'POST',
+      '/api/admin/users',
+      {
+        name: `Ranking Rater Test User ${i + 1}`,
+        email: `rater${i}.${rankStamp}@example.com`,
+        address: 'Rater Address',
+        password: 'TestPass@123',
+        role: 'normal'
+      },
+      201,
+      adminToken
+    );
+    const raterLogin = await runTest(
+      `Login with rater ${i + 1}`,
+      'POST',
+      '/api/auth/login',
+      { email: rater?.email, password: 'TestPass@123' },
+      200
+    );
+    const popularRating = await runTest(
+      `Rater ${i + 1} - Rate Popular Store`,
+      'POST',
+      `/api/stores/${rankedIds.popular}/rating`,
+      { rating: stars },
+      201,
+      raterLogin?.token
+    );
+    popularRatings.push({ userId: rater?.id, ratingId: popularRating?.id });
+    if (i === 0) {
+      await runTest(
+        'Rater 1 - Rate Single-Rating Store',
+        'POST',
+        `/api/stores/${rankedIds.single}/rating`,
+        { rating: 5 },
+        201,
+        raterLogin?.token
+      );
+    }
+  }
+
+  const byScore = await runTest(
+    'User - Sort Stores by Score',
     'GET',
-    '/api/stores',
+    `/api/stores?name=${rankStamp}&sort=score&order=desc`,
     null,
-    401
+    200,
+    token
+  );
+  const ranked = Object.fromEntries((byScore?.items || []).map((s) => [s.name.split(' ')[2], s]));
+  check(
+    'Score - Many Good Ratings Outrank a Single 5',
+    byScore?.items?.map((s) => s.id).join() === [rankedIds.popular, rankedIds.single, rankedIds.unrated].join() &&
+      ranked.single.avg_rating > ranked.popular.avg_rating
+  );
+  // with no ratings the score is the prior mean; one rating moves it 1/(5+1) of the way
+  const prior = ranked.unrated?.score;
+  check(
+    'Score - Unrated Store Scores the Prior Mean',
+    ranked.unrated?.rating_count === 0 &&
+      prior >= 1 && prior <= 5 &&
+      Math.abs(ranked.single?.score - (5 * prior + 5) / 6) < 1e-6
   );
 
-  // Test 31: Non-admin accessing admin endpoint
-  await runTest(
-    'Non-Admin - Access Admin Dashboard',
+  const adminByScore = await runTest(
+    'Admin - Sort Stores by Score',
     'GET',
-    '/api/admin/summary',
+    `/api/admin/stores?name=${rankStamp}&sort=score&order=desc`,
     null,
-    403,
-    token
+    200,
+    adminToken
+  );
+  check(
+    'Score - Admin List Ranked by Score',
+    adminByScore?.items?.[0]?.id === rankedIds.popular && adminByScore.items[2]?.score === prior
   );
 
-  // ===== OWNER ROUTES =====
-  console.log('\n👤 STORE OWNER TESTS');
+  await runTest('User - Invalid Score Order (should fail)', 'GET', '/api/stores?sort=score&order=up', null, 400, token);
+
+  // ===== RATING STATS TESTS =====
+  console.log('\n🧮 RATING STATS TESTS');
+
+  const popularStats = async (label) => {
+    const list = await runTest(label, 'GET', `/api/admin/stores?name=${rankStamp}&sort=score&order=desc`, null, 200, adminToken);
+    return list?.items?.find((s) => s.id === rankedIds.popular);
+  };
 
-  // Test 32: Owner views their summary
   await runTest(
-    'Owner - Get Owner Summary',
-    'GET',
-    '/api/owner/summary',
+    'Admin - Hide the 4-Star Rating',
+    'POST',
+    `/api/admin/moderation/${popularRatings[4].ratingId}/hide`,
     null,
     200,
-    newToken
+    adminToken
   );
+  let stats = await popularStats('Admin - Stores After Hiding');
+  check('Rating Stats - Hidden Rating Leaves the Totals', stats?.rating_count === 4 && stats.avg_rating === 5);
 
-  // Create store for owner
-  let ownerStoreResp = await runTest(
-    'Admin - Create Store for Owner',
+  await runTest(
+    'Admin - Restore the 4-Star Rating',
     'POST',
-    '/api/admin/stores',
-    {
-      name: 'Owner Test Store',
-      email: 'ownerstore@example.com',
-      address: 'Owner Store Address',
-      owner_id: userId
-    },
-    201,
+    `/api/admin/moderation/${popularRatings[4].ratingId}/restore`,
+    null,
+    200,
     adminToken
   );
-  const ownerStoreId = ownerStoreResp?.id;
+  stats = await popularStats('Admin - Stores After Restoring');
+  check('Rating Stats - Restored Rating Counts Again', stats?.rating_count === 5 && Math.abs(stats.avg_rating - 4.8) < 1e-9);
 
-  // Submit rating to owner's store
-  if (ownerStoreId && token) {
-    await runTest(
-      'User - Submit Rating to Owner Store',
+  await runTest('Admin - Delete a Rating', 'DELETE', `/api/admin/moderation/${popularRatings[3].ratingId}`, null, 200, adminToken);
+  await runTest('Admin - Delete a Rater', 'DELETE', `/api/admin/users/${popularRatings[2].userId}`, null, 200, adminToken);
+  stats = await popularStats('Admin - Stores After Deletes');
+  check('Rating Stats - Deleted Rating and Rater Removed', stats?.rating_count === 3 && Math.abs(stats.avg_rating - 14 / 3) < 1e-9);
+
+  // ===== FRAUD DETECTION TESTS =====
+  console.log('\n🕵️ FRAUD DETECTION TESTS');
+
+  const fraudStamp = Date.now();
+  const createAccount = async (label, role = 'normal') => {
+    const account = await runTest(
+      `Admin - Create ${label}`,
       'POST',
-      `/api/stores/${ownerStoreId}/rating`,
-      { rating: 4 },
+      '/api/admin/users',
+      {
+        name: `Fraud Test ${label} Account`,
+        email: `${label.replace(/\W/g, '').toLowerCase()}.${fraudStamp}@example.com`,
+        address: 'Fraud Address',
+        password: 'TestPass@123',
+        role
+      },
       201,
-      token
+      adminToken
     );
-  }
+    const login = await runTest(
+      `Login with ${label}`,
+      'POST',
+      '/api/auth/login',
+      { email: account?.email, password: 'TestPass@123' },
+      200
+    );
+    return { id: account?.id, token: login?.token };
+  };
+  const createFraudStore = async (label, ownerId = null) => {
+    const store = await runTest(
+      `Admin - Create ${label}`,
+      'POST',
+      '/api/admin/stores',
+      { name: `Fraud ${label} ${fraudStamp}`, address: 'Fraud Street 1', owner_id: ownerId },
+      201,
+      adminToken
+    );
+    return store?.id;
+  };
 
-  // Test 33: Owner views store raters
-  if (ownerStoreId) {
-    await runTest(
-      'Owner - Get Store Raters',
-      'GET',
-      `/api/owner/store-raters/${ownerStoreId}`,
-      null,
-      200,
-      newToken
+  const fraudOwner = await createAccount('Owner', 'owner');
+  const bombedId = await createFraudStore('Bombed Store');
+  const friendStoreIds = [
+    await createFraudStore('Friend Store A', fraudOwner.id),
+    await createFraudStore('Friend Store B', fraudOwner.id),
+  ];
+
+  // Five new accounts from one address give the same store 1 star within minutes
+  const bombRatingIds = [];
+  for (let i = 1; i <= 5; i++) {
+    const bomber = await createAccount(`Bomber ${i}`);
+    const bomb = await runTest(
+      `Bomber ${i} - Rate Store 1 Star`,
+      'POST',
+      `/api/stores/${bombedId}/rating`,
+      { rating: 1 },
+      201,
+      bomber.token
     );
+    bombRatingIds.push(bomb?.id);
+  }
+  // ...and a new account only rates one owner's stores
+  const fan = await createAccount('Fan');
+  for (const storeId of friendStoreIds) {
+    await runTest('Fan - Rate Friend Store 5 Stars', 'POST', `/api/stores/${storeId}/rating`, { rating: 5 }, 201, fan.token);
   }
 
-  // Test 34: Non-owner accessing other's store raters
-  if (ownerStoreId) {
-    await runTest(
-      'Non-Owner - Access Other Store Raters (should fail)',
-      'GET',
-      `/api/owner/store-raters/${ownerStoreId}`,
-      null,
-      403,
-      token
-    );
+  await runTest('User - Run Fraud Scan (should fail)', 'POST', '/api/admin/fraud/scan', null, 403, token);
+  const scan = await runTest('Admin - Run Fraud Scan', 'POST', '/api/admin/fraud/scan', null, 200, adminToken);
+  check('Fraud - Scan Reports Suspects', scan?.scanned > 0 && scan.suspects >= 7);
+
+  const bombSuspects = await runTest(
+    'Admin - List Suspects for a Store',
+    'GET',
+    `/api/admin/fraud?store_id=${bombedId}`,
+    null,
+    200,
+    adminToken
+  );
+  check(
+    'Fraud - Burst, New Accounts and Shared Address Detected',
+    bombSuspects?.total === 5 &&
+      bombSuspects.items.every(
+        (f) => f.status === 'open' && ['burst', 'new_account', 'shared_ip'].every((r) => f.reasons.includes(r))
+      )
+  );
+
+  const fanSuspects = await runTest(
+    'Admin - List Single-Owner Suspects',
+    'GET',
+    `/api/admin/fraud?reason=single_owner&store_id=${friendStoreIds[0]}`,
+    null,
+    200,
+    adminToken
+  );
+  check(
+    'Fraud - Account Rating Only One Owner Detected',
+    fanSuspects?.total === 1 && fanSuspects.items[0].user_id === fan.id
+  );
+
+  await runTest('Admin - Invalid Fraud Reason (should fail)', 'GET', '/api/admin/fraud?reason=luck', null, 400, adminToken);
+
+  const bombedStats = async (label) => {
+    const list = await runTest(label, 'GET', `/api/admin/stores?name=${encodeURIComponent(`Fraud Bombed Store ${fraudStamp}`)}`, null, 200, adminToken);
+    return list?.items?.[0];
+  };
+  let bombed = await bombedStats('Admin - Bombed Store Before Review');
+  check('Fraud - Suspects Count Until Reviewed', bombed?.rating_count === 5);
+
+  for (const ratingId of bombRatingIds.slice(0, 4)) {
+    await runTest('Admin - Exclude Suspect Rating', 'POST', `/api/admin/fraud/${ratingId}/exclude`, null, 200, adminToken);
   }
+  const dismissed = await runTest(
+    'Admin - Dismiss Suspect Rating',
+    'POST',
+    `/api/admin/fraud/${bombRatingIds[4]}/dismiss`,
+    null,
+    200,
+    adminToken
+  );
+  bombed = await bombedStats('Admin - Bombed Store After Review');
+  check(
+    'Fraud - Excluded Ratings Leave the Aggregates',
+    dismissed?.rating?.excluded === 0 && bombed?.rating_count === 1
+  );
+
+  const reviews = await runTest('Admin - List Excluded Suspects', 'GET', `/api/admin/fraud?status=excluded&store_id=${bombedId}`, null, 200, adminToken);
+  check('Fraud - Excluded Ratings Not Deleted', reviews?.total === 4 && reviews.items.every((f) => f.excluded === 1));
+
+  await runTest('Admin - Rescan After Review', 'POST', '/api/admin/fraud/scan', null, 200, adminToken);
+  const rescanned = await runTest(
+    'Admin - List Open Suspects After Rescan',
+    'GET',
+    `/api/admin/fraud?store_id=${bombedId}`,
+    null,
+    200,
+    adminToken
+  );
+  check('Fraud - Reviewed Suspects Stay Reviewed', rescanned?.total === 0);
+
+  await runTest('Admin - Exclude Unflagged Rating (should fail)', 'POST', '/api/admin/fraud/999999/exclude', null, 404, adminToken);
 
   // ===== PRINT SUMMARY =====
   console.log('\n' + '='.repeat(50));
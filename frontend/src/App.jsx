@@ -1,40 +1,211 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, Fragment } from 'react';
 import './App.css';
 
 const API_BASE = import.meta.env.VITE_API_BASE || 'http://localhost:4000/api';
 
 const passwordRegex = /^(?=.*[A-Z])(?=.*[!@#$%^&*()_+\-=[\]{};':"\\|,.<>/?]).{8,16}$/;
 
+const PAGE_SIZES = [10, 20, 50, 100];
+
+// Initial sort/page state for a server-paginated table
+const initialList = (sort, order = 'asc') => ({ sort, order, limit: 20, offset: 0 });
+
+// Query string from the non-empty filters plus the table's sort/page state
+const buildListQuery = (filters, list) =>
+  new URLSearchParams({
+    ...Object.fromEntries(Object.entries(filters).filter(([, v]) => v !== '')),
+    sort: list.sort,
+    order: list.order,
+    limit: String(list.limit),
+    offset: String(list.offset),
+  }).toString();
+
+// Export parameters: the table's filters and sort, without paging
+const buildExportQuery = (filters, list, format) =>
+  new URLSearchParams({
+    ...Object.fromEntries(Object.entries(filters).filter(([, v]) => v !== '')),
+    sort: list.sort,
+    order: list.order,
+    format,
+  }).toString();
+
+// ---- SESSION ----
+// Access tokens are short-lived. apiFetch retries a 401 once after trading the
+// stored refresh token for a new pair; concurrent 401s share one refresh.
+// App listens on sessionEvents to pick up new tokens or an ended session.
+const sessionEvents = new EventTarget();
+let pendingRefresh = null;
+
+const saveSession = (data) => {
+  localStorage.setItem('token', data.token);
+  localStorage.setItem('refreshToken', data.refreshToken);
+  localStorage.setItem('user', JSON.stringify(data.user));
+};
+
+const clearSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+};
+
+const refreshSession = () => {
+  if (!pendingRefresh) {
+    pendingRefresh = fetch(`${API_BASE}/auth/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken: localStorage.getItem('refreshToken') }),
+    })
+      .then((res) => (res.ok ? res.json() : null))
+      .catch(() => null)
+      .then((data) => {
+        if (data) {
+          saveSession(data);
+          sessionEvents.dispatchEvent(new CustomEvent('refreshed', { detail: data }));
+        } else {
+          clearSession();
+          sessionEvents.dispatchEvent(new Event('expired'));
+        }
+        return data?.token || null;
+      })
+      .finally(() => {
+        pendingRefresh = null;
+      });
+  }
+  return pendingRefresh;
+};
+
+const apiFetch = async (url, options = {}) => {
+  const res = await fetch(url, options);
+  if (res.status !== 401 || !options.headers?.Authorization) return res;
+  const token = await refreshSession();
+  if (!token) return res;
+  return fetch(url, {
+    ...options,
+    headers: { ...options.headers, Authorization: `Bearer ${token}` },
+  });
+};
+
+const dashboardFor = (role) =>
+  role === 'admin' ? 'admin-dashboard' : role === 'owner' ? 'owner-dashboard' : 'user-dashboard';
+
+// Saves an authenticated export through a temporary object URL; exports need
+// the Authorization header, so a plain link would not work
+const downloadExport = async (token, url) => {
+  const res = await apiFetch(url, { headers: { Authorization: `Bearer ${token}` } });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.message || 'Export failed');
+  }
+  const filename = res.headers.get('Content-Disposition')?.match(/filename="(.+)"/)?.[1] || 'export';
+  const href = URL.createObjectURL(await res.blob());
+  const link = document.createElement('a');
+  link.href = href;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(href), 0);
+};
+
+// Browser geolocation as a promise of { latitude, longitude }
+const currentPosition = () =>
+  new Promise((resolve, reject) => {
+    if (!navigator.geolocation) {
+      reject(new Error('Location is not available in this browser'));
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(
+      (position) => resolve(position.coords),
+      () => reject(new Error('Could not get your location')),
+      { timeout: 10000 }
+    );
+  });
+
+// Blank coordinate inputs mean "no location"
+const toCoordinate = (text) => (String(text).trim() === '' ? null : Number(text));
+
+// An average with how many ratings it is based on; an unrated store isn't "0 stars"
+const formatAverage = (avg, count) =>
+  count > 0 ? `${Number(avg).toFixed(1)} (${count} ${count === 1 ? 'rating' : 'ratings'})` : 'No ratings yet';
+
 function App() {
   const [token, setToken] = useState(localStorage.getItem('token') || '');
   const [user, setUser] = useState(
     localStorage.getItem('user') ? JSON.parse(localStorage.getItem('user')) : null
   );
-  const [view, setView] = useState('login'); // 'login' | 'signup' | dashboards
+  // Links from password reset emails arrive as ?reset_token=...
+  const [resetToken] = useState(() => new URLSearchParams(window.location.search).get('reset_token'));
+  const [view, setView] = useState(resetToken ? 'reset-password' : 'login'); // 'login' | 'signup' | 'forgot-password' | 'reset-password' | dashboards
   const [loginRole, setLoginRole] = useState('normal'); // 'normal' | 'admin' | 'owner'
   const [showChangePassword, setShowChangePassword] = useState(false);
+  const [notice, setNotice] = useState(null); // { type: 'success' | 'error', text }
+
+  useEffect(() => {
+    if (user?.role) setView(dashboardFor(user.role));
+  }, []);
+
+  // Links from verification emails arrive as ?verify_token=...
+  useEffect(() => {
+    const verifyToken = new URLSearchParams(window.location.search).get('verify_token');
+    if (!verifyToken) return;
+    window.history.replaceState(null, '', window.location.pathname);
+    fetch(`${API_BASE}/auth/verify-email`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token: verifyToken }),
+    })
+      .then(async (res) => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.message || 'Verification failed');
+        setNotice({ type: 'success', text: 'Your email address is verified.' });
+        setUser((u) => {
+          if (!u) return u;
+          const verified = { ...u, email_verified: true };
+          localStorage.setItem('user', JSON.stringify(verified));
+          return verified;
+        });
+      })
+      .catch((err) => setNotice({ type: 'error', text: err.message }));
+  }, []);
 
   useEffect(() => {
-    if (user?.role === 'admin') setView('admin-dashboard');
-    else if (user?.role === 'owner') setView('owner-dashboard');
-    else if (user?.role === 'normal') setView('user-dashboard');
+    // A refresh picks up role changes, e.g. an approved store claim
+    const onRefreshed = (e) => {
+      setToken(e.detail.token);
+      setUser(e.detail.user);
+      setView(dashboardFor(e.detail.user.role));
+    };
+    const onExpired = () => {
+      setToken('');
+      setUser(null);
+      setView('login');
+    };
+    sessionEvents.addEventListener('refreshed', onRefreshed);
+    sessionEvents.addEventListener('expired', onExpired);
+    return () => {
+      sessionEvents.removeEventListener('refreshed', onRefreshed);
+      sessionEvents.removeEventListener('expired', onExpired);
+    };
   }, []);
 
   const handleAuthSuccess = (data) => {
     setToken(data.token);
     setUser(data.user);
-    localStorage.setItem('token', data.token);
-    localStorage.setItem('user', JSON.stringify(data.user));
-    if (data.user.role === 'admin') setView('admin-dashboard');
-    else if (data.user.role === 'owner') setView('owner-dashboard');
-    else setView('user-dashboard');
+    saveSession(data);
+    setView(dashboardFor(data.user.role));
   };
 
   const logout = () => {
+    // Revoke the refresh token server-side; the local session ends regardless
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (refreshToken) {
+      fetch(`${API_BASE}/auth/logout`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken }),
+      }).catch(() => {});
+    }
     setToken('');
     setUser(null);
-    localStorage.removeItem('token');
-    localStorage.removeItem('user');
+    clearSession();
     setView('login');
   };
 
@@ -58,6 +229,7 @@ function App() {
       {showChangePassword && (
         <ChangePasswordModal
           token={token}
+          onSessionRenewed={handleAuthSuccess}
           onClose={() => setShowChangePassword(false)}
         />
       )}
@@ -80,8 +252,29 @@ function App() {
       )}
 
       <main>
+        {notice && (
+          <div className={notice.type === 'success' ? 'success' : 'error'}>{notice.text}</div>
+        )}
+        {user?.email_verified === false && <VerifyEmailBanner token={token} />}
         {!user && view === 'login' && (
-          <LoginForm onSuccess={handleAuthSuccess} role={loginRole} onChangeRole={setLoginRole} />
+          <LoginForm
+            onSuccess={handleAuthSuccess}
+            role={loginRole}
+            onChangeRole={setLoginRole}
+            onForgotPassword={() => setView('forgot-password')}
+          />
+        )}
+        {!user && view === 'forgot-password' && (
+          <ForgotPasswordForm onBack={() => setView('login')} />
+        )}
+        {!user && view === 'reset-password' && (
+          <ResetPasswordForm
+            token={resetToken}
+            onDone={() => {
+              window.history.replaceState(null, '', window.location.pathname);
+              setView('login');
+            }}
+          />
         )}
         {!user && view === 'signup' && (
           <SignupForm onSuccess={handleAuthSuccess} />
@@ -100,11 +293,12 @@ function App() {
   );
 }
 
-function LoginForm({ onSuccess, role = 'normal', onChangeRole }) {
+function LoginForm({ onSuccess, role = 'normal', onChangeRole, onForgotPassword }) {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
+  const [blocked, setBlocked] = useState(false);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -117,6 +311,11 @@ function LoginForm({ onSuccess, role = 'normal', onChangeRole }) {
         body: JSON.stringify({ email, password }),
       });
       const data = await res.json();
+      if (res.status === 429) {
+        // Throttled or locked: hold the button until the server allows another try
+        setBlocked(true);
+        setTimeout(() => setBlocked(false), data.retry_after * 1000);
+      }
       if (!res.ok) throw new Error(data.message || 'Login failed');
       onSuccess(data);
     } catch (err) {
@@ -179,14 +378,186 @@ function LoginForm({ onSuccess, role = 'normal', onChangeRole }) {
           />
         </label>
         {error && <div className="error">{error}</div>}
-        <button type="submit" disabled={loading}>
+        <button type="submit" disabled={loading || blocked}>
           {loading ? 'Logging in...' : 'Login'}
         </button>
+        <button type="button" className="btn-link" onClick={onForgotPassword}>
+          Forgot password?
+        </button>
+      </form>
+    </div>
+  );
+}
+
+// Shown until the signed-in user confirms their email address
+function VerifyEmailBanner({ token }) {
+  const [message, setMessage] = useState('');
+  const [sending, setSending] = useState(false);
+
+  const resend = async () => {
+    setSending(true);
+    try {
+      const res = await apiFetch(`${API_BASE}/auth/resend-verification`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await res.json();
+      setMessage(data.message || (res.ok ? 'Verification email sent' : 'Could not send email'));
+    } catch {
+      setMessage('Could not send email');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="info-box">
+      <p>
+        Please verify your email address to rate stores and request owner status. Check your inbox
+        for the link.{' '}
+        <button type="button" className="btn-link" onClick={resend} disabled={sending}>
+          {sending ? 'Sending...' : 'Resend verification email'}
+        </button>
+      </p>
+      {message && <p>{message}</p>}
+    </div>
+  );
+}
+
+function ForgotPasswordForm({ onBack }) {
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+    setLoading(true);
+    try {
+      const res = await fetch(`${API_BASE}/auth/forgot-password`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || 'Request failed');
+      setSuccess(data.message);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="card">
+      <h2>Forgot Password</h2>
+      <p>Enter your account email and we'll send you a link to choose a new password.</p>
+      <form onSubmit={handleSubmit} className="form">
+        <label>
+          Email
+          <input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            required
+          />
+        </label>
+        {error && <div className="error">{error}</div>}
+        {success && <div className="success">{success}</div>}
+        <button type="submit" disabled={loading}>
+          {loading ? 'Sending...' : 'Send Reset Link'}
+        </button>
+        <button type="button" className="btn-link" onClick={onBack}>
+          Back to login
+        </button>
       </form>
     </div>
   );
 }
 
+function ResetPasswordForm({ token, onDone }) {
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (newPassword !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+    if (!passwordRegex.test(newPassword)) {
+      setError('Password must be 8-16 chars, include an uppercase and a special character.');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const res = await fetch(`${API_BASE}/auth/reset-password`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token, newPassword }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || 'Password reset failed');
+      setSuccess('Your password has been reset. You can now log in.');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="card">
+      <h2>Choose a New Password</h2>
+      {success ? (
+        <>
+          <div className="success">{success}</div>
+          <button type="button" onClick={onDone}>
+            Go to Login
+          </button>
+        </>
+      ) : (
+        <form onSubmit={handleSubmit} className="form">
+          <label>
+            New Password
+            <input
+              type="password"
+              value={newPassword}
+              onChange={(e) => setNewPassword(e.target.value)}
+              required
+            />
+          </label>
+          <label>
+            Confirm New Password
+            <input
+              type="password"
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              required
+            />
+          </label>
+          {error && <div className="error">{error}</div>}
+          <button type="submit" disabled={loading}>
+            {loading ? 'Saving...' : 'Reset Password'}
+          </button>
+          <button type="button" className="btn-link" onClick={onDone}>
+            Back to login
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
+
 function SignupForm({ onSuccess }) {
   const [name, setName] = useState('');
   const [email, setEmail] = useState('');
@@ -293,6 +664,10 @@ function AdminDashboard({ token }) {
   const [summary, setSummary] = useState(null);
   const [users, setUsers] = useState([]);
   const [stores, setStores] = useState([]);
+  const [userList, setUserList] = useState(initialList('name'));
+  const [storeList, setStoreList] = useState(initialList('name'));
+  const [userTotal, setUserTotal] = useState(0);
+  const [storeTotal, setStoreTotal] = useState(0);
   const [userFilters, setUserFilters] = useState({
     name: '',
     email: '',
@@ -303,6 +678,7 @@ function AdminDashboard({ token }) {
     name: '',
     email: '',
     address: '',
+    category_id: '',
   });
   const [newUser, setNewUser] = useState({
     name: '',
@@ -316,8 +692,21 @@ function AdminDashboard({ token }) {
     email: '',
     address: '',
     owner_id: '',
+    category_id: '',
+    tags: '',
+    latitude: '',
+    longitude: '',
   });
+  const [categories, setCategories] = useState([]);
   const [ownerRequests, setOwnerRequests] = useState([]);
+  const [storeClaims, setStoreClaims] = useState([]);
+  const [moderationStatus, setModerationStatus] = useState('open');
+  const [flaggedRatings, setFlaggedRatings] = useState([]);
+  const [lockouts, setLockouts] = useState([]);
+  const [editingUser, setEditingUser] = useState(null);
+  const [editingStore, setEditingStore] = useState(null);
+  const [photoStore, setPhotoStore] = useState(null);
+  const [hoursStore, setHoursStore] = useState(null);
   const [error, setError] = useState('');
 
   const authHeaders = {
@@ -326,7 +715,7 @@ function AdminDashboard({ token }) {
   };
 
   const loadSummary = async () => {
-    const res = await fetch(`${API_BASE}/admin/summary`, {
+    const res = await apiFetch(`${API_BASE}/admin/summary`, {
       headers: { Authorization: `Bearer ${token}` },
     });
     const data = await res.json();
@@ -334,53 +723,101 @@ function AdminDashboard({ token }) {
   };
 
   const loadUsers = async () => {
-    const params = new URLSearchParams(
-      Object.fromEntries(
-        Object.entries(userFilters).filter(([_, v]) => v !== '')
-      )
-    );
-    const res = await fetch(`${API_BASE}/admin/users?${params.toString()}`, {
+    const query = buildListQuery(userFilters, userList);
+    const res = await apiFetch(`${API_BASE}/admin/users?${query}`, {
       headers: { Authorization: `Bearer ${token}` },
     });
     const data = await res.json();
-    if (res.ok) setUsers(data);
+    if (res.ok) {
+      setUsers(data.items);
+      setUserTotal(data.total);
+    }
   };
 
   const loadStores = async () => {
-    const params = new URLSearchParams(
-      Object.fromEntries(
-        Object.entries(storeFilters).filter(([_, v]) => v !== '')
-      )
-    );
-    const res = await fetch(`${API_BASE}/admin/stores?${params.toString()}`, {
+    const query = buildListQuery(storeFilters, storeList);
+    const res = await apiFetch(`${API_BASE}/admin/stores?${query}`, {
       headers: { Authorization: `Bearer ${token}` },
     });
     const data = await res.json();
-    if (res.ok) setStores(data);
+    if (res.ok) {
+      setStores(data.items);
+      setStoreTotal(data.total);
+    }
+  };
+
+  // Filtering starts again from the first page
+  const changeUserFilter = (field, value) => {
+    setUserFilters((f) => ({ ...f, [field]: value }));
+    setUserList((l) => ({ ...l, offset: 0 }));
+  };
+
+  const changeStoreFilter = (field, value) => {
+    setStoreFilters((f) => ({ ...f, [field]: value }));
+    setStoreList((l) => ({ ...l, offset: 0 }));
+  };
+
+  const loadCategories = async () => {
+    const res = await apiFetch(`${API_BASE}/categories`, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    const data = await res.json();
+    if (res.ok) setCategories(data);
   };
 
   const loadOwnerRequests = async () => {
-    const res = await fetch(`${API_BASE}/admin/owner-requests`, {
+    const res = await apiFetch(`${API_BASE}/admin/owner-requests`, {
       headers: { Authorization: `Bearer ${token}` },
     });
     const data = await res.json();
     if (res.ok) setOwnerRequests(data);
   };
 
+  const loadStoreClaims = async () => {
+    const res = await apiFetch(`${API_BASE}/admin/store-claims`, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    const data = await res.json();
+    if (res.ok) setStoreClaims(data);
+  };
+
+  const loadFlaggedRatings = async () => {
+    const res = await apiFetch(`${API_BASE}/admin/moderation?status=${moderationStatus}`, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    const data = await res.json();
+    if (res.ok) setFlaggedRatings(data);
+  };
+
+  const loadLockouts = async () => {
+    const res = await apiFetch(`${API_BASE}/admin/lockouts`, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    const data = await res.json();
+    if (res.ok) setLockouts(data);
+  };
+
   useEffect(() => {
     loadSummary();
     loadUsers();
     loadStores();
+    loadCategories();
     loadOwnerRequests();
+    loadStoreClaims();
+    loadLockouts();
   }, []);
 
+  useEffect(() => {
+    loadFlaggedRatings();
+  }, [moderationStatus]);
+
   useEffect(() => {
     loadUsers();
-  }, [userFilters]);
+  }, [userFilters, userList]);
 
   useEffect(() => {
     loadStores();
-  }, [storeFilters]);
+  }, [storeFilters, storeList]);
 
   const createUser = async (e) => {
     e.preventDefault();
@@ -400,7 +837,7 @@ function AdminDashboard({ token }) {
       return;
     }
     try {
-      const res = await fetch(`${API_BASE}/admin/users`, {
+      const res = await apiFetch(`${API_BASE}/admin/users`, {
         method: 'POST',
         headers: authHeaders,
         body: JSON.stringify(newUser),
@@ -428,8 +865,17 @@ function AdminDashboard({ token }) {
       const payload = {
         ...newStore,
         owner_id: newStore.owner_id ? Number(newStore.owner_id) : null,
+        category_id: newStore.category_id ? Number(newStore.category_id) : null,
+        tags: splitTags(newStore.tags),
+        latitude: toCoordinate(newStore.latitude),
+        longitude: toCoordinate(newStore.longitude),
       };
-      const res = await fetch(`${API_BASE}/admin/stores`, {
+      // Without coordinates the server geocodes the address
+      if (payload.latitude === null && payload.longitude === null) {
+        delete payload.latitude;
+        delete payload.longitude;
+      }
+      const res = await apiFetch(`${API_BASE}/admin/stores`, {
         method: 'POST',
         headers: authHeaders,
         body: JSON.stringify(payload),
@@ -441,8 +887,13 @@ function AdminDashboard({ token }) {
         email: '',
         address: '',
         owner_id: '',
+        category_id: '',
+        tags: '',
+        latitude: '',
+        longitude: '',
       });
       loadStores();
+      loadCategories();
       loadSummary();
     } catch (err) {
       setError(err.message);
@@ -452,7 +903,7 @@ function AdminDashboard({ token }) {
   const approveOwnerRequest = async (requestId) => {
     setError('');
     try {
-      const res = await fetch(`${API_BASE}/admin/owner-requests/${requestId}/approve`, {
+      const res = await apiFetch(`${API_BASE}/admin/owner-requests/${requestId}/approve`, {
         method: 'POST',
         headers: authHeaders,
       });
@@ -469,7 +920,7 @@ function AdminDashboard({ token }) {
   const rejectOwnerRequest = async (requestId, reason = '') => {
     setError('');
     try {
-      const res = await fetch(`${API_BASE}/admin/owner-requests/${requestId}/reject`, {
+      const res = await apiFetch(`${API_BASE}/admin/owner-requests/${requestId}/reject`, {
         method: 'POST',
         headers: authHeaders,
         body: JSON.stringify({ reason }),
@@ -482,9 +933,136 @@ function AdminDashboard({ token }) {
     }
   };
 
+  const decideStoreClaim = async (claimId, action) => {
+    setError('');
+    try {
+      const res = await apiFetch(`${API_BASE}/admin/store-claims/${claimId}/${action}`, {
+        method: 'POST',
+        headers: authHeaders,
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || `Failed to ${action} claim`);
+      loadStoreClaims();
+      if (action === 'approve') {
+        loadOwnerRequests();
+        loadUsers();
+        loadStores();
+        loadSummary();
+      }
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const moderate = async (ratingId, action) => {
+    setError('');
+    if (action === 'delete' && !window.confirm('Delete this rating permanently?')) {
+      return;
+    }
+    try {
+      const res = await apiFetch(
+        action === 'delete'
+          ? `${API_BASE}/admin/moderation/${ratingId}`
+          : `${API_BASE}/admin/moderation/${ratingId}/${action}`,
+        {
+          method: action === 'delete' ? 'DELETE' : 'POST',
+          headers: authHeaders,
+        }
+      );
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || 'Moderation action failed');
+      loadFlaggedRatings();
+      loadStores();
+      loadSummary();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const deleteRecord = async (kind, record) => {
+    setError('');
+    if (!window.confirm(`Delete ${record.name}? This cannot be undone.`)) {
+      return;
+    }
+    try {
+      const res = await apiFetch(`${API_BASE}/admin/${kind}/${record.id}`, {
+        method: 'DELETE',
+        headers: authHeaders,
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || 'Delete failed');
+      loadUsers();
+      loadStores();
+      loadSummary();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const clearLockout = async (lockoutId) => {
+    setError('');
+    try {
+      const res = await apiFetch(`${API_BASE}/admin/lockouts/${lockoutId}`, {
+        method: 'DELETE',
+        headers: authHeaders,
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || 'Failed to clear lockout');
+      loadLockouts();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
   return (
     <div className="dashboard">
       <h2>Admin Dashboard</h2>
+      {editingUser && (
+        <EditUserModal
+          token={token}
+          user={editingUser}
+          onClose={() => setEditingUser(null)}
+          onSaved={() => {
+            setEditingUser(null);
+            loadUsers();
+          }}
+        />
+      )}
+      {editingStore && (
+        <EditStoreModal
+          token={token}
+          store={editingStore}
+          categories={categories}
+          onClose={() => setEditingStore(null)}
+          onSaved={() => {
+            setEditingStore(null);
+            loadStores();
+            loadCategories();
+          }}
+        />
+      )}
+      {photoStore && (
+        <div className="modal-overlay" onClick={() => setPhotoStore(null)}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h2>Photos: {photoStore.name}</h2>
+              <button className="close-btn" onClick={() => setPhotoStore(null)}>✕</button>
+            </div>
+            <PhotoGallery token={token} storeId={photoStore.id} editable />
+          </div>
+        </div>
+      )}
+      {hoursStore && (
+        <div className="modal-overlay" onClick={() => setHoursStore(null)}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h2>Hours: {hoursStore.name}</h2>
+              <button className="close-btn" onClick={() => setHoursStore(null)}>✕</button>
+            </div>
+            <HoursEditor token={token} storeId={hoursStore.id} />
+          </div>
+        </div>
+      )}
       {summary && (
         <div className="summary-grid">
           <div className="summary-card">
@@ -587,10 +1165,62 @@ function AdminDashboard({ token }) {
               setNewStore((s) => ({ ...s, owner_id: e.target.value }))
             }
           />
+          <select
+            value={newStore.category_id}
+            onChange={(e) =>
+              setNewStore((s) => ({ ...s, category_id: e.target.value }))
+            }
+          >
+            <option value="">No category</option>
+            {categories.map((c) => (
+              <option key={c.id} value={c.id}>
+                {c.name}
+              </option>
+            ))}
+          </select>
+          <input
+            placeholder="Tags, comma separated"
+            value={newStore.tags}
+            onChange={(e) =>
+              setNewStore((s) => ({ ...s, tags: e.target.value }))
+            }
+          />
+          <input
+            placeholder="Latitude (optional)"
+            value={newStore.latitude}
+            onChange={(e) =>
+              setNewStore((s) => ({ ...s, latitude: e.target.value }))
+            }
+          />
+          <input
+            placeholder="Longitude (optional)"
+            value={newStore.longitude}
+            onChange={(e) =>
+              setNewStore((s) => ({ ...s, longitude: e.target.value }))
+            }
+          />
           <button type="submit">Add Store</button>
         </form>
       </section>
 
+      <CategoryManager
+        token={token}
+        categories={categories}
+        onChange={() => {
+          loadCategories();
+          loadStores();
+        }}
+      />
+
+      <BulkImport
+        token={token}
+        onImported={() => {
+          loadUsers();
+          loadStores();
+          loadSummary();
+        }}
+      />
+
       <section className="section">
         <h3>Users</h3>
         <div className="filters">
@@ -598,27 +1228,27 @@ function AdminDashboard({ token }) {
             placeholder="Filter name"
             value={userFilters.name}
             onChange={(e) =>
-              setUserFilters((f) => ({ ...f, name: e.target.value }))
+              changeUserFilter('name', e.target.value)
             }
           />
           <input
             placeholder="Filter email"
             value={userFilters.email}
             onChange={(e) =>
-              setUserFilters((f) => ({ ...f, email: e.target.value }))
+              changeUserFilter('email', e.target.value)
             }
           />
           <input
             placeholder="Filter address"
             value={userFilters.address}
             onChange={(e) =>
-              setUserFilters((f) => ({ ...f, address: e.target.value }))
+              changeUserFilter('address', e.target.value)
             }
           />
           <select
             value={userFilters.role}
             onChange={(e) =>
-              setUserFilters((f) => ({ ...f, role: e.target.value }))
+              changeUserFilter('role', e.target.value)
             }
           >
             <option value="">All roles</option>
@@ -626,15 +1256,23 @@ function AdminDashboard({ token }) {
             <option value="owner">Owner</option>
             <option value="admin">Admin</option>
           </select>
+          <ExportButtons
+            token={token}
+            path="/admin/users/export"
+            filters={userFilters}
+            list={userList}
+            onError={setError}
+          />
         </div>
         <table>
           <thead>
             <tr>
-              <th>Name</th>
-              <th>Email</th>
-              <th>Address</th>
-              <th>Role</th>
+              <SortableHeader label="Name" field="name" list={userList} onChange={setUserList} />
+              <SortableHeader label="Email" field="email" list={userList} onChange={setUserList} />
+              <SortableHeader label="Address" field="address" list={userList} onChange={setUserList} />
+              <SortableHeader label="Role" field="role" list={userList} onChange={setUserList} />
               <th>Owner Rating</th>
+              <th>Actions</th>
             </tr>
           </thead>
           <tbody>
@@ -644,11 +1282,20 @@ function AdminDashboard({ token }) {
                 <td>{u.email}</td>
                 <td>{u.address}</td>
                 <td>{u.role}</td>
-                <td>{u.owner_rating ?? '-'}</td>
+                <td>{u.role === 'owner' ? formatAverage(u.owner_rating, u.owner_rating_count) : '-'}</td>
+                <td>
+                  <button onClick={() => setEditingUser(u)} className="btn-secondary">
+                    Edit
+                  </button>
+                  <button onClick={() => deleteRecord('users', u)} className="btn-reject">
+                    Delete
+                  </button>
+                </td>
               </tr>
             ))}
           </tbody>
         </table>
+        <Pagination total={userTotal} list={userList} onChange={setUserList} />
       </section>
 
       <section className="section">
@@ -658,31 +1305,63 @@ function AdminDashboard({ token }) {
             placeholder="Filter name"
             value={storeFilters.name}
             onChange={(e) =>
-              setStoreFilters((f) => ({ ...f, name: e.target.value }))
+              changeStoreFilter('name', e.target.value)
             }
           />
           <input
             placeholder="Filter email"
             value={storeFilters.email}
             onChange={(e) =>
-              setStoreFilters((f) => ({ ...f, email: e.target.value }))
+              changeStoreFilter('email', e.target.value)
             }
           />
           <input
             placeholder="Filter address"
             value={storeFilters.address}
             onChange={(e) =>
-              setStoreFilters((f) => ({ ...f, address: e.target.value }))
+              changeStoreFilter('address', e.target.value)
             }
           />
+          <select
+            value={storeFilters.category_id}
+            onChange={(e) => changeStoreFilter('category_id', e.target.value)}
+          >
+            <option value="">All categories</option>
+            {categories.map((c) => (
+              <option key={c.id} value={c.id}>
+                {c.name}
+              </option>
+            ))}
+          </select>
+          <ExportButtons
+            token={token}
+            path="/admin/stores/export"
+            filters={storeFilters}
+            list={storeList}
+            onError={setError}
+          />
         </div>
         <table>
           <thead>
             <tr>
-              <th>Name</th>
-              <th>Email</th>
-              <th>Address</th>
-              <th>Average Rating</th>
+              <SortableHeader label="Name" field="name" list={storeList} onChange={setStoreList} />
+              <SortableHeader label="Email" field="email" list={storeList} onChange={setStoreList} />
+              <SortableHeader label="Address" field="address" list={storeList} onChange={setStoreList} />
+              <th>Category</th>
+              <SortableHeader
+                label="Average Rating"
+                field="avg_rating"
+                list={storeList}
+                onChange={setStoreList}
+              />
+              <SortableHeader
+                label="Ratings"
+                field="rating_count"
+                list={storeList}
+                onChange={setStoreList}
+              />
+              <SortableHeader label="Score" field="score" list={storeList} onChange={setStoreList} />
+              <th>Actions</th>
             </tr>
           </thead>
           <tbody>
@@ -691,11 +1370,156 @@ function AdminDashboard({ token }) {
                 <td>{s.name}</td>
                 <td>{s.email}</td>
                 <td>{s.address}</td>
-                <td>{s.avg_rating}</td>
+                <td>
+                  {s.category_name ?? '-'}
+                  {s.tags.length > 0 && <div className="review-meta">#{s.tags.join(' #')}</div>}
+                </td>
+                <td>{s.rating_count > 0 ? Number(s.avg_rating).toFixed(2) : 'No ratings yet'}</td>
+                <td>{s.rating_count}</td>
+                <td>{s.score.toFixed(2)}</td>
+                <td>
+                  <button onClick={() => setEditingStore(s)} className="btn-secondary">
+                    Edit
+                  </button>
+                  <button onClick={() => setPhotoStore(s)} className="btn-secondary">
+                    Photos
+                  </button>
+                  <button onClick={() => setHoursStore(s)} className="btn-secondary">
+                    Hours
+                  </button>
+                  <button onClick={() => deleteRecord('stores', s)} className="btn-reject">
+                    Delete
+                  </button>
+                </td>
               </tr>
             ))}
           </tbody>
         </table>
+        <Pagination total={storeTotal} list={storeList} onChange={setStoreList} />
+      </section>
+
+      <section className="section">
+        <h3>Moderation Queue</h3>
+        <div className="filters">
+          <select
+            value={moderationStatus}
+            onChange={(e) => setModerationStatus(e.target.value)}
+          >
+            <option value="open">Open flags</option>
+            <option value="hidden">Hidden ratings</option>
+            <option value="all">All flagged</option>
+          </select>
+        </div>
+        {flaggedRatings.length === 0 ? (
+          <p className="no-data">Nothing to review</p>
+        ) : (
+          <table>
+            <thead>
+              <tr>
+                <th>Store</th>
+                <th>Rated By</th>
+                <th>Rating</th>
+                <th>Review</th>
+                <th>Flags</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {flaggedRatings.map((f) => (
+                <tr key={f.id}>
+                  <td>{f.store_name}</td>
+                  <td>
+                    {f.user_name}
+                    <div className="review-meta">{f.user_email}</div>
+                  </td>
+                  <td>{f.rating}</td>
+                  <td>
+                    {f.review_title && <strong>{f.review_title}</strong>}
+                    <div>{f.review_body || '-'}</div>
+                  </td>
+                  <td>
+                    {f.open_flag_count} open / {f.flag_count} total
+                    <div className="review-meta">{f.reasons}</div>
+                  </td>
+                  <td>
+                    {f.hidden ? (
+                      <button
+                        onClick={() => moderate(f.id, 'restore')}
+                        className="btn-approve"
+                      >
+                        Restore
+                      </button>
+                    ) : (
+                      <>
+                        <button
+                          onClick={() => moderate(f.id, 'hide')}
+                          className="btn-reject"
+                        >
+                          Hide
+                        </button>
+                        <button
+                          onClick={() => moderate(f.id, 'restore')}
+                          className="btn-approve"
+                        >
+                          Keep
+                        </button>
+                      </>
+                    )}
+                    <button
+                      onClick={() => moderate(f.id, 'delete')}
+                      className="btn-secondary"
+                    >
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+
+      <FraudReview token={token} onChange={loadStores} />
+
+      <AuditLog token={token} />
+
+      <section className="section">
+        <h3>Login Lockouts</h3>
+        <div className="filters">
+          <button type="button" onClick={loadLockouts} className="btn-secondary">
+            Refresh
+          </button>
+        </div>
+        {lockouts.length === 0 ? (
+          <p className="no-data">No blocked accounts or IPs</p>
+        ) : (
+          <table>
+            <thead>
+              <tr>
+                <th>Type</th>
+                <th>Account / IP</th>
+                <th>Failed Attempts</th>
+                <th>Blocked Until</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {lockouts.map((l) => (
+                <tr key={l.id}>
+                  <td>{l.scope === 'ip' ? 'IP address' : l.locked ? 'Account (locked)' : 'Account'}</td>
+                  <td>{l.throttle_key}</td>
+                  <td>{l.failures}</td>
+                  <td>{new Date(Number(l.blocked_until)).toLocaleString()}</td>
+                  <td>
+                    <button onClick={() => clearLockout(l.id)} className="btn-approve">
+                      Clear
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
       </section>
 
       <section className="section">
@@ -740,35 +1564,158 @@ function AdminDashboard({ token }) {
           </table>
         )}
       </section>
+
+      <section className="section">
+        <h3>Store Claims ({storeClaims.length} Pending)</h3>
+        {storeClaims.length === 0 ? (
+          <p className="no-data">No pending store claims</p>
+        ) : (
+          <table>
+            <thead>
+              <tr>
+                <th>Claimant</th>
+                <th>Store</th>
+                <th>Supporting Details</th>
+                <th>Submitted</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {storeClaims.map((c) => (
+                <tr key={c.id}>
+                  <td>
+                    {c.user_name}
+                    <div className="review-snippet">
+                      {c.user_email} ({c.user_role})
+                    </div>
+                  </td>
+                  <td>
+                    {c.store_id == null ? (
+                      <>
+                        New: {c.store_name}
+                        <div className="review-snippet">
+                          {[c.store_address, c.store_email].filter(Boolean).join(' · ')}
+                        </div>
+                      </>
+                    ) : (
+                      <>
+                        {c.current_store_name}
+                        <div className="review-snippet">
+                          {c.current_store_address}
+                          {c.current_owner_id != null && ' · already has an owner'}
+                        </div>
+                      </>
+                    )}
+                  </td>
+                  <td>{c.details}</td>
+                  <td>{new Date(c.created_at).toLocaleDateString()}</td>
+                  <td>
+                    <button
+                      onClick={() => decideStoreClaim(c.id, 'approve')}
+                      className="btn-approve"
+                    >
+                      Approve
+                    </button>
+                    <button
+                      onClick={() => decideStoreClaim(c.id, 'reject')}
+                      className="btn-reject"
+                    >
+                      Reject
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
     </div>
   );
 }
 
+const NEAR_RADII = [1, 5, 10, 25, 50];
+
 function UserDashboard({ token }) {
   const [stores, setStores] = useState([]);
-  const [filters, setFilters] = useState({ name: '', address: '' });
+  const [filters, setFilters] = useState({
+    q: '',
+    category_id: '',
+    tag: '',
+    near: '',
+    radius: '',
+    open_now: '',
+  });
+  const [storeList, setStoreList] = useState(initialList('name'));
+  const [storeTotal, setStoreTotal] = useState(0);
+  const [categories, setCategories] = useState([]);
   const [error, setError] = useState('');
   const [ownerRequestStatus, setOwnerRequestStatus] = useState(null);
   const [showOwnerModal, setShowOwnerModal] = useState(false);
+  const [reviewStore, setReviewStore] = useState(null);
+  const [expandedStoreId, setExpandedStoreId] = useState(null);
+  const [photoStoreId, setPhotoStoreId] = useState(null);
 
   const loadStores = async () => {
-    const params = new URLSearchParams(
-      Object.fromEntries(
-        Object.entries(filters).filter(([_, v]) => v !== '')
-      )
-    );
-    const res = await fetch(`${API_BASE}/stores?${params.toString()}`, {
+    const query = buildListQuery(filters, storeList);
+    const res = await apiFetch(`${API_BASE}/stores?${query}`, {
       headers: { Authorization: `Bearer ${token}` },
     });
     const data = await res.json();
     if (res.ok) {
-      setStores(data);
+      setStores(data.items);
+      setStoreTotal(data.total);
+    }
+  };
+
+  // Searching starts again from the first page, best matches first
+  const changeSearch = (value) => {
+    setFilters((f) => ({ ...f, q: value }));
+    setStoreList((l) => {
+      if (value.trim() && l.sort !== 'relevance') {
+        return { ...l, sort: 'relevance', order: 'desc', offset: 0 };
+      }
+      if (!value.trim() && l.sort === 'relevance') {
+        return { ...l, sort: 'name', order: 'asc', offset: 0 };
+      }
+      return { ...l, offset: 0 };
+    });
+  };
+
+  const changeFilter = (field, value) => {
+    setFilters((f) => ({ ...f, [field]: value }));
+    setStoreList((l) => ({ ...l, offset: 0 }));
+  };
+
+  // The tag filter is a comma-separated list; stores must carry every tag in it
+  const activeTags = filters.tag ? filters.tag.split(',') : [];
+  const toggleTag = (tag) =>
+    changeFilter(
+      'tag',
+      (activeTags.includes(tag) ? activeTags.filter((t) => t !== tag) : [...activeTags, tag]).join(',')
+    );
+
+  // "Near me" filters by distance from the browser's position, closest first
+  const toggleNearMe = async () => {
+    setError('');
+    if (filters.near) {
+      setFilters((f) => ({ ...f, near: '', radius: '' }));
+      setStoreList((l) =>
+        l.sort === 'distance' ? { ...l, sort: 'name', order: 'asc', offset: 0 } : { ...l, offset: 0 }
+      );
+      return;
+    }
+    try {
+      const { latitude, longitude } = await currentPosition();
+      setFilters((f) => ({ ...f, near: `${latitude.toFixed(5)},${longitude.toFixed(5)}`, radius: '5' }));
+      setStoreList((l) => ({ ...l, sort: 'distance', order: 'asc', offset: 0 }));
+    } catch (err) {
+      setError(err.message);
     }
   };
 
   const loadOwnerRequestStatus = async () => {
     try {
-      const res = await fetch(`${API_BASE}/user/owner-request-status`, {
+      const res = await apiFetch(`${API_BASE}/user/owner-request-status`, {
         headers: { Authorization: `Bearer ${token}` },
       });
       const data = await res.json();
@@ -783,22 +1730,33 @@ function UserDashboard({ token }) {
   useEffect(() => {
     loadStores();
     loadOwnerRequestStatus();
+    apiFetch(`${API_BASE}/categories`, {
+      headers: { Authorization: `Bearer ${token}` },
+    })
+      .then((res) => (res.ok ? res.json() : []))
+      .then(setCategories)
+      .catch(() => setCategories([]));
   }, []);
 
   useEffect(() => {
     loadStores();
-  }, [filters]);
+  }, [filters, storeList]);
 
-  const submitRating = async (storeId, rating) => {
+  // Changing the star value keeps any review text already written
+  const submitRating = async (store, rating) => {
     setError('');
     try {
-      const res = await fetch(`${API_BASE}/stores/${storeId}/rating`, {
+      const res = await apiFetch(`${API_BASE}/stores/${store.id}/rating`, {
         method: 'POST',
         headers: {
           Authorization: `Bearer ${token}`,
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ rating }),
+        body: JSON.stringify({
+          rating,
+          review_title: store.user_review_title || '',
+          review_body: store.user_review_body || '',
+        }),
       });
       const data = await res.json();
       if (!res.ok) throw new Error(data.message || 'Failed to submit rating');
@@ -835,6 +1793,8 @@ function UserDashboard({ token }) {
         )}
       </section>
 
+      <StoreClaims token={token} onApproved={refreshSession} />
+
       {showOwnerModal && (
         <OwnerRequestModal
           token={token}
@@ -848,57 +1808,205 @@ function UserDashboard({ token }) {
 
       <div className="filters">
         <input
-          placeholder="Search name"
-          value={filters.name}
-          onChange={(e) =>
-            setFilters((f) => ({ ...f, name: e.target.value }))
-          }
-        />
-        <input
-          placeholder="Search address"
-          value={filters.address}
-          onChange={(e) =>
-            setFilters((f) => ({ ...f, address: e.target.value }))
-          }
+          type="search"
+          className="search-box"
+          placeholder="Search stores by name, address or reviews"
+          value={filters.q}
+          onChange={(e) => changeSearch(e.target.value)}
         />
+        {filters.q.trim() && storeList.sort !== 'relevance' && (
+          <button
+            type="button"
+            className="btn-link"
+            onClick={() =>
+              setStoreList((l) => ({ ...l, sort: 'relevance', order: 'desc', offset: 0 }))
+            }
+          >
+            Sort by best match
+          </button>
+        )}
+        <button
+          type="button"
+          className={filters.open_now ? '' : 'btn-secondary'}
+          onClick={() => changeFilter('open_now', filters.open_now ? '' : 'true')}
+        >
+          {filters.open_now ? 'Open now ✓' : 'Open now'}
+        </button>
+        <button
+          type="button"
+          className={filters.near ? '' : 'btn-secondary'}
+          onClick={toggleNearMe}
+        >
+          {filters.near ? 'Near me ✓' : 'Near me'}
+        </button>
+        {filters.near && (
+          <select value={filters.radius} onChange={(e) => changeFilter('radius', e.target.value)}>
+            {NEAR_RADII.map((km) => (
+              <option key={km} value={km}>
+                Within {km} km
+              </option>
+            ))}
+          </select>
+        )}
       </div>
+      {categories.length > 0 && (
+        <div className="chips">
+          <button
+            type="button"
+            className={`chip ${filters.category_id === '' ? 'active' : ''}`}
+            onClick={() => changeFilter('category_id', '')}
+          >
+            All categories
+          </button>
+          {categories.map((c) => (
+            <button
+              key={c.id}
+              type="button"
+              className={`chip ${filters.category_id === String(c.id) ? 'active' : ''}`}
+              onClick={() => changeFilter('category_id', String(c.id))}
+              title={`${c.store_count} stores, ${c.rating_count} ratings`}
+            >
+              {c.name}
+              {c.rating_count > 0 && (
+                <span className="chip-meta">
+                  ★ {Number(c.avg_rating).toFixed(1)} ({c.rating_count})
+                </span>
+              )}
+            </button>
+          ))}
+        </div>
+      )}
+      {activeTags.length > 0 && (
+        <div className="chips">
+          {activeTags.map((tag) => (
+            <button key={tag} type="button" className="chip active" onClick={() => toggleTag(tag)}>
+              #{tag} ✕
+            </button>
+          ))}
+        </div>
+      )}
+      {reviewStore && (
+        <ReviewModal
+          token={token}
+          store={reviewStore}
+          onClose={() => setReviewStore(null)}
+          onSuccess={() => {
+            setReviewStore(null);
+            loadStores();
+          }}
+        />
+      )}
+
       {error && <div className="error">{error}</div>}
       <table>
         <thead>
           <tr>
-            <th>Store Name</th>
-            <th>Address</th>
-            <th>Overall Rating</th>
+            <SortableHeader label="Store Name" field="name" list={storeList} onChange={setStoreList} />
+            <SortableHeader label="Address" field="address" list={storeList} onChange={setStoreList} />
+            <SortableHeader
+              label="Overall Rating"
+              field="avg_rating"
+              list={storeList}
+              onChange={setStoreList}
+            />
+            <SortableHeader label="Score" field="score" list={storeList} onChange={setStoreList} />
+            {filters.near && (
+              <SortableHeader label="Distance" field="distance" list={storeList} onChange={setStoreList} />
+            )}
             <th>Your Rating</th>
             <th>Rate</th>
           </tr>
         </thead>
         <tbody>
           {stores.map((s) => (
-            <tr key={s.id}>
-              <td>{s.name}</td>
-              <td>{s.address}</td>
-              <td>{s.avg_rating}</td>
-              <td>{s.user_rating ?? '-'}</td>
-              <td>
-                <select
-                  value={s.user_rating ?? ''}
-                  onChange={(e) =>
-                    submitRating(s.id, Number(e.target.value))
-                  }
-                >
-                  <option value="">Select</option>
-                  {[1, 2, 3, 4, 5].map((r) => (
-                    <option key={r} value={r}>
-                      {r}
-                    </option>
+            <Fragment key={s.id}>
+              <tr>
+                <td>
+                  {s.name}
+                  {s.review_count > 0 && (
+                    <button
+                      type="button"
+                      className="btn-link"
+                      onClick={() =>
+                        setExpandedStoreId((id) => (id === s.id ? null : s.id))
+                      }
+                    >
+                      {expandedStoreId === s.id
+                        ? 'Hide reviews'
+                        : `Reviews (${s.review_count})`}
+                    </button>
+                  )}
+                  {s.photo_count > 0 && (
+                    <button
+                      type="button"
+                      className="btn-link"
+                      onClick={() => setPhotoStoreId((id) => (id === s.id ? null : s.id))}
+                    >
+                      {photoStoreId === s.id ? 'Hide photos' : `Photos (${s.photo_count})`}
+                    </button>
+                  )}
+                  {s.category_name && <div className="review-meta">{s.category_name}</div>}
+                  {s.tags.map((tag) => (
+                    <button key={tag} type="button" className="tag-chip" onClick={() => toggleTag(tag)}>
+                      #{tag}
+                    </button>
                   ))}
-                </select>
-              </td>
-            </tr>
+                </td>
+                <td>
+                  {s.address}
+                  {s.open_now !== null && (
+                    <div className={s.open_now ? 'hours-open' : 'hours-closed'}>{describeHoursToday(s)}</div>
+                  )}
+                </td>
+                <td>{formatAverage(s.avg_rating, s.rating_count)}</td>
+                <td>{s.score.toFixed(2)}</td>
+                {filters.near && <td>{s.distance_km.toFixed(1)} km</td>}
+                <td>{s.user_rating ?? '-'}</td>
+                <td>
+                  <select
+                    value={s.user_rating ?? ''}
+                    onChange={(e) =>
+                      submitRating(s, Number(e.target.value))
+                    }
+                  >
+                    <option value="">Select</option>
+                    {[1, 2, 3, 4, 5].map((r) => (
+                      <option key={r} value={r}>
+                        {r}
+                      </option>
+                    ))}
+                  </select>
+                  <button
+                    type="button"
+                    className="btn-link"
+                    onClick={() => setReviewStore(s)}
+                  >
+                    {s.user_review_body ? 'Edit review' : 'Write review'}
+                  </button>
+                  {s.user_review_title && (
+                    <div className="review-snippet">“{s.user_review_title}”</div>
+                  )}
+                </td>
+              </tr>
+              {photoStoreId === s.id && (
+                <tr className="expanded-row">
+                  <td colSpan={filters.near ? 7 : 6}>
+                    <PhotoGallery token={token} storeId={s.id} />
+                  </td>
+                </tr>
+              )}
+              {expandedStoreId === s.id && (
+                <tr className="expanded-row">
+                  <td colSpan={filters.near ? 7 : 6}>
+                    <StoreReviews token={token} storeId={s.id} />
+                  </td>
+                </tr>
+              )}
+            </Fragment>
           ))}
         </tbody>
       </table>
+      <Pagination total={storeTotal} list={storeList} onChange={setStoreList} />
     </div>
   );
 }
@@ -907,9 +2015,13 @@ function OwnerDashboard({ token }) {
   const [stores, setStores] = useState([]);
   const [selectedStoreId, setSelectedStoreId] = useState('');
   const [raters, setRaters] = useState([]);
+  const [raterList, setRaterList] = useState(initialList('updated_at', 'desc'));
+  const [raterTotal, setRaterTotal] = useState(0);
+  const [exportError, setExportError] = useState('');
+  const selectedStore = stores.find((s) => String(s.id) === String(selectedStoreId));
 
   const loadSummary = async () => {
-    const res = await fetch(`${API_BASE}/owner/summary`, {
+    const res = await apiFetch(`${API_BASE}/owner/summary`, {
       headers: { Authorization: `Bearer ${token}` },
     });
     const data = await res.json();
@@ -917,11 +2029,15 @@ function OwnerDashboard({ token }) {
   };
 
   const loadRaters = async (storeId) => {
-    const res = await fetch(`${API_BASE}/owner/store-raters/${storeId}`, {
+    const query = buildListQuery({}, raterList);
+    const res = await apiFetch(`${API_BASE}/owner/store-raters/${storeId}?${query}`, {
       headers: { Authorization: `Bearer ${token}` },
     });
     const data = await res.json();
-    if (res.ok) setRaters(data);
+    if (res.ok) {
+      setRaters(data.items);
+      setRaterTotal(data.total);
+    }
   };
 
   useEffect(() => {
@@ -934,7 +2050,7 @@ function OwnerDashboard({ token }) {
     } else {
       setRaters([]);
     }
-  }, [selectedStoreId]);
+  }, [selectedStoreId, raterList]);
 
   return (
     <div className="dashboard">
@@ -950,16 +2066,26 @@ function OwnerDashboard({ token }) {
             </tr>
           </thead>
           <tbody>
+            {stores.length === 0 && (
+              <tr>
+                <td colSpan={3} className="no-data">
+                  No stores are linked to your account yet. Claim a store below.
+                </td>
+              </tr>
+            )}
             {stores.map((s) => (
               <tr
                 key={s.id}
                 className={
                   String(s.id) === String(selectedStoreId) ? 'selected-row' : ''
                 }
-                onClick={() => setSelectedStoreId(s.id)}
+                onClick={() => {
+                  setSelectedStoreId(s.id);
+                  setRaterList((l) => ({ ...l, offset: 0 }));
+                }}
               >
                 <td>{s.name}</td>
-                <td>{s.avg_rating}</td>
+                <td>{s.rating_count > 0 ? Number(s.avg_rating).toFixed(2) : 'No ratings yet'}</td>
                 <td>{s.rating_count}</td>
               </tr>
             ))}
@@ -970,14 +2096,34 @@ function OwnerDashboard({ token }) {
       {selectedStoreId && (
         <section className="section">
           <h3>Ratings for Store ID {selectedStoreId}</h3>
+          <div className="filters">
+            <ExportButtons
+              token={token}
+              path={`/owner/store-raters/${selectedStoreId}/export`}
+              filters={{}}
+              list={raterList}
+              onError={setExportError}
+            />
+          </div>
+          {exportError && <div className="error">{exportError}</div>}
           <table>
             <thead>
               <tr>
-                <th>User Name</th>
-                <th>Email</th>
-                <th>Address</th>
-                <th>Rating</th>
-                <th>Last Updated</th>
+                <SortableHeader label="User Name" field="name" list={raterList} onChange={setRaterList} />
+                <SortableHeader label="Email" field="email" list={raterList} onChange={setRaterList} />
+                <SortableHeader
+                  label="Address"
+                  field="address"
+                  list={raterList}
+                  onChange={setRaterList}
+                />
+                <SortableHeader label="Rating" field="rating" list={raterList} onChange={setRaterList} />
+                <SortableHeader
+                  label="Last Updated"
+                  field="updated_at"
+                  list={raterList}
+                  onChange={setRaterList}
+                />
               </tr>
             </thead>
             <tbody>
@@ -992,56 +2138,1710 @@ function OwnerDashboard({ token }) {
               ))}
             </tbody>
           </table>
+          <Pagination total={raterTotal} list={raterList} onChange={setRaterList} />
+        </section>
+      )}
+
+      {selectedStore && (
+        <StoreLocation key={selectedStore.id} token={token} store={selectedStore} onSaved={loadSummary} />
+      )}
+
+      {selectedStoreId && (
+        <section className="section">
+          <h3>Opening Hours</h3>
+          <HoursEditor key={selectedStoreId} token={token} storeId={selectedStoreId} />
+        </section>
+      )}
+
+      {selectedStoreId && (
+        <section className="section">
+          <h3>Photos</h3>
+          <PhotoGallery key={selectedStoreId} token={token} storeId={selectedStoreId} editable />
+        </section>
+      )}
+
+      {selectedStoreId && <OwnerAnalytics token={token} storeId={selectedStoreId} />}
+
+      {selectedStoreId && <RatingHistory token={token} storeId={selectedStoreId} />}
+
+      {selectedStoreId && (
+        <section className="section">
+          <h3>Reviews</h3>
+          {raters.filter((r) => r.review_body).length === 0 ? (
+            <p className="no-data">No written reviews yet</p>
+          ) : (
+            <ul className="review-list">
+              {raters
+                .filter((r) => r.review_body)
+                .map((r) => (
+                  <li key={r.rating_id} className="review-item">
+                    <div className="review-meta">
+                      <strong>{r.name}</strong> · {r.rating}/5 ·{' '}
+                      {new Date(r.updated_at).toLocaleDateString()}
+                      {r.hidden ? ' · hidden by a moderator' : ''}
+                    </div>
+                    {r.review_title && <h4>{r.review_title}</h4>}
+                    <p>{r.review_body}</p>
+                    <ReplyEditor
+                      token={token}
+                      rater={r}
+                      onSaved={() => loadRaters(selectedStoreId)}
+                    />
+                  </li>
+                ))}
+            </ul>
+          )}
         </section>
       )}
+
+      <StoreClaims token={token} />
     </div>
   );
 }
 
-function ChangePasswordModal({ token, onClose }) {
-  const [oldPassword, setOldPassword] = useState('');
-  const [newPassword, setNewPassword] = useState('');
-  const [confirmPassword, setConfirmPassword] = useState('');
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+// Editors list the week from Monday
+const WEEK_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+// Time inputs stop at 23:59, so a period closing at midnight is entered as 00:00
+const toTimeInput = (time) => (time === '24:00' ? '00:00' : time);
+const fromTimeInput = (opens, closes) => (closes === '00:00' && opens === '00:00' ? '24:00' : closes);
+
+// "Open now · 09:00–17:00" for the store list; empty when no hours are set
+const describeHoursToday = (store) => {
+  if (store.open_now === null || store.open_now === undefined) return '';
+  const today = store.hours_today.length
+    ? store.hours_today.map((h) => `${h.opens}–${h.closes}`).join(', ')
+    : 'closed today';
+  return `${store.open_now ? 'Open now' : 'Closed'} · ${today}`;
+};
+
+// Weekly opening hours, timezone and dated exceptions for one store
+function HoursEditor({ token, storeId }) {
+  const [hours, setHours] = useState(null);
   const [error, setError] = useState('');
-  const [success, setSuccess] = useState('');
+  const [saved, setSaved] = useState(false);
   const [loading, setLoading] = useState(false);
 
+  useEffect(() => {
+    apiFetch(`${API_BASE}/stores/${storeId}/hours`, {
+      headers: { Authorization: `Bearer ${token}` },
+    })
+      .then(async (res) => {
+        const data = await res.json();
+        if (res.ok) setHours(data);
+      })
+      .catch(() => setError('Could not load opening hours'));
+  }, [token, storeId]);
+
+  if (!hours) return error ? <div className="error">{error}</div> : <p className="no-data">Loading hours...</p>;
+
+  const edit = (changes) => {
+    setSaved(false);
+    setHours((h) => ({ ...h, ...changes }));
+  };
+  const editPeriod = (period, field, value) =>
+    edit({ weekly: hours.weekly.map((p) => (p === period ? { ...p, [field]: value } : p)) });
+  const editException = (exception, changes) =>
+    edit({ exceptions: hours.exceptions.map((e) => (e === exception ? { ...e, ...changes } : e)) });
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
-    setSuccess('');
+    setLoading(true);
+    try {
+      const res = await apiFetch(`${API_BASE}/stores/${storeId}/hours`, {
+        method: 'PUT',
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          timezone: hours.timezone.trim() || null,
+          weekly: hours.weekly.map((p) => ({ ...p, closes: fromTimeInput(p.opens, p.closes) })),
+          exceptions: hours.exceptions.map((x) =>
+            x.opens ? { ...x, closes: fromTimeInput(x.opens, x.closes) } : { ...x, opens: null, closes: null }
+          ),
+        }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.errors?.join(' ') || data.message || 'Failed to save hours');
+      setHours(data);
+      setSaved(true);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="form hours-editor">
+      <label>
+        Timezone
+        <div className="form-inline">
+          <input
+            value={hours.timezone}
+            onChange={(e) => edit({ timezone: e.target.value })}
+            placeholder="e.g. Europe/Paris"
+          />
+          <button
+            type="button"
+            className="btn-secondary"
+            onClick={() => edit({ timezone: Intl.DateTimeFormat().resolvedOptions().timeZone })}
+          >
+            Use my timezone
+          </button>
+        </div>
+      </label>
+      <table>
+        <tbody>
+          {WEEK_ORDER.map((weekday) => {
+            const periods = hours.weekly.filter((p) => p.weekday === weekday);
+            return (
+              <tr key={weekday}>
+                <td>{WEEKDAY_NAMES[weekday]}</td>
+                <td>
+                  {periods.length === 0 && <span className="no-data">Closed</span>}
+                  {periods.map((p, i) => (
+                    <div key={i} className="form-inline">
+                      <input
+                        type="time"
+                        value={toTimeInput(p.opens)}
+                        onChange={(e) => editPeriod(p, 'opens', e.target.value)}
+                        required
+                      />
+                      –
+                      <input
+                        type="time"
+                        value={toTimeInput(p.closes)}
+                        onChange={(e) => editPeriod(p, 'closes', e.target.value)}
+                        required
+                      />
+                      <button
+                        type="button"
+                        className="btn-link"
+                        onClick={() => edit({ weekly: hours.weekly.filter((x) => x !== p) })}
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  ))}
+                </td>
+                <td>
+                  <button
+                    type="button"
+                    className="btn-link"
+                    onClick={() => edit({ weekly: [...hours.weekly, { weekday, opens: '09:00', closes: '17:00' }] })}
+                  >
+                    Add period
+                  </button>
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <h4>Holidays and special hours</h4>
+      {hours.exceptions.map((x, i) => (
+        <div key={i} className="form-inline">
+          <input type="date" value={x.date} onChange={(e) => editException(x, { date: e.target.value })} required />
+          <label>
+            <input
+              type="checkbox"
+              checked={!x.opens}
+              onChange={(e) =>
+                editException(x, e.target.checked ? { opens: null, closes: null } : { opens: '09:00', closes: '17:00' })
+              }
+            />{' '}
+            Closed
+          </label>
+          {x.opens && (
+            <>
+              <input
+                type="time"
+                value={toTimeInput(x.opens)}
+                onChange={(e) => editException(x, { opens: e.target.value })}
+                required
+              />
+              –
+              <input
+                type="time"
+                value={toTimeInput(x.closes)}
+                onChange={(e) => editException(x, { closes: e.target.value })}
+                required
+              />
+            </>
+          )}
+          <input
+            placeholder="Note (optional)"
+            value={x.note ?? ''}
+            onChange={(e) => editException(x, { note: e.target.value })}
+          />
+          <button
+            type="button"
+            className="btn-link"
+            onClick={() => edit({ exceptions: hours.exceptions.filter((e) => e !== x) })}
+          >
+            Remove
+          </button>
+        </div>
+      ))}
+      <div>
+        <button
+          type="button"
+          className="btn-link"
+          onClick={() =>
+            edit({
+              exceptions: [...hours.exceptions, { date: new Date().toISOString().slice(0, 10), opens: null, closes: null }],
+            })
+          }
+        >
+          Add exception
+        </button>
+      </div>
+      {error && <div className="error">{error}</div>}
+      {saved && <div className="success">Hours saved. {hours.open_now ? 'Open now.' : 'Closed now.'}</div>}
+      <div className="form-buttons">
+        <button type="submit" disabled={loading}>
+          {loading ? 'Saving...' : 'Save Hours'}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+// Owner form for the store's map position, used by "stores near me"
+function StoreLocation({ token, store, onSaved }) {
+  const [form, setForm] = useState({
+    latitude: store.latitude == null ? '' : String(store.latitude),
+    longitude: store.longitude == null ? '' : String(store.longitude),
+  });
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const save = async (body) => {
+    setError('');
+    setLoading(true);
+    try {
+      const res = await apiFetch(`${API_BASE}/owner/stores/${store.id}/location`, {
+        method: 'PUT',
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(body),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.errors?.join(' ') || data.message || 'Failed to save location');
+      setForm({
+        latitude: data.latitude == null ? '' : String(data.latitude),
+        longitude: data.longitude == null ? '' : String(data.longitude),
+      });
+      onSaved();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fillCurrentPosition = async () => {
+    setError('');
+    try {
+      const { latitude, longitude } = await currentPosition();
+      setForm({ latitude: latitude.toFixed(6), longitude: longitude.toFixed(6) });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    save({ latitude: toCoordinate(form.latitude), longitude: toCoordinate(form.longitude) });
+  };
+
+  return (
+    <section className="section">
+      <h3>Location</h3>
+      <form className="form-inline" onSubmit={handleSubmit}>
+        <input
+          placeholder="Latitude"
+          value={form.latitude}
+          onChange={(e) => setForm((f) => ({ ...f, latitude: e.target.value }))}
+        />
+        <input
+          placeholder="Longitude"
+          value={form.longitude}
+          onChange={(e) => setForm((f) => ({ ...f, longitude: e.target.value }))}
+        />
+        <button type="submit" disabled={loading}>
+          {loading ? 'Saving...' : 'Save'}
+        </button>
+        <button type="button" className="btn-secondary" onClick={fillCurrentPosition}>
+          Use my position
+        </button>
+        <button type="button" className="btn-secondary" onClick={() => save({ geocode: true })} disabled={loading}>
+          Look up from address
+        </button>
+      </form>
+      {error && <div className="error">{error}</div>}
+    </section>
+  );
+}
+
+// The individual star changes behind a store's trend
+function RatingHistory({ token, storeId }) {
+  const [changes, setChanges] = useState([]);
+
+  useEffect(() => {
+    apiFetch(`${API_BASE}/stores/${storeId}/rating-history?limit=10`, {
+      headers: { Authorization: `Bearer ${token}` },
+    })
+      .then((res) => (res.ok ? res.json() : { items: [] }))
+      .then((data) => setChanges(data.items))
+      .catch(() => setChanges([]));
+  }, [token, storeId]);
+
+  return (
+    <section className="section">
+      <h3>Recent Rating Changes</h3>
+      {changes.length === 0 ? (
+        <p className="no-data">No ratings yet</p>
+      ) : (
+        <ul className="review-list">
+          {changes.map((c) => (
+            <li key={c.id}>
+              {new Date(Number(c.changed_at)).toLocaleString()} · {c.name ?? 'Deleted user'}{' '}
+              {c.previous_rating == null
+                ? `rated ${c.rating}/5`
+                : `changed ${c.previous_rating}/5 → ${c.rating}/5`}
+              {c.rating_deleted ? ' · since deleted' : c.hidden ? ' · hidden by a moderator' : ''}
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
+
+const ANALYTICS_RANGES = { day: 30, week: 90, month: 365 };
+
+const daysAgo = (days) => new Date(Date.now() - days * 86400000).toISOString().slice(0, 10);
+
+// Distribution, volume and average charts for one store, compared with the
+// whole platform over a chosen date range
+function OwnerAnalytics({ token, storeId }) {
+  const [range, setRange] = useState({ interval: 'week', from: daysAgo(ANALYTICS_RANGES.week), to: daysAgo(0) });
+  const [distribution, setDistribution] = useState(null);
+  const [points, setPoints] = useState([]);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    apiFetch(`${API_BASE}/owner/analytics/${storeId}/distribution`, {
+      headers: { Authorization: `Bearer ${token}` },
+    })
+      .then((res) => (res.ok ? res.json() : null))
+      .then(setDistribution)
+      .catch(() => setDistribution(null));
+  }, [token, storeId]);
+
+  useEffect(() => {
+    apiFetch(`${API_BASE}/owner/analytics/${storeId}/trend?${new URLSearchParams(range)}`, {
+      headers: { Authorization: `Bearer ${token}` },
+    })
+      .then(async (res) => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.errors?.join(', ') || data.message);
+        setError('');
+        setPoints(data.points);
+      })
+      .catch((err) => {
+        setError(err.message);
+        setPoints([]);
+      });
+  }, [token, storeId, range]);
+
+  // Switching interval also picks a range with a readable number of points
+  const changeInterval = (interval) =>
+    setRange({ interval, from: daysAgo(ANALYTICS_RANGES[interval]), to: daysAgo(0) });
+
+  const share = (summary) =>
+    summary.distribution.map((d) =>
+      summary.rating_count ? Math.round((d.count / summary.rating_count) * 100) : 0
+    );
+
+  return (
+    <section className="section">
+      <h3>Analytics</h3>
+      <div className="filters">
+        <select value={range.interval} onChange={(e) => changeInterval(e.target.value)}>
+          <option value="day">Daily</option>
+          <option value="week">Weekly</option>
+          <option value="month">Monthly</option>
+        </select>
+        <label>
+          From{' '}
+          <input
+            type="date"
+            value={range.from}
+            onChange={(e) => setRange((r) => ({ ...r, from: e.target.value }))}
+          />
+        </label>
+        <label>
+          To{' '}
+          <input
+            type="date"
+            value={range.to}
+            onChange={(e) => setRange((r) => ({ ...r, to: e.target.value }))}
+          />
+        </label>
+      </div>
+      {error && <div className="error">{error}</div>}
+      {distribution && (
+        <p>
+          Your average: <strong>{distribution.store.avg_rating.toFixed(2)}</strong> from{' '}
+          {distribution.store.rating_count} ratings · Platform average:{' '}
+          <strong>{distribution.platform.avg_rating.toFixed(2)}</strong>
+        </p>
+      )}
+      <ChartLegend />
+      <div className="chart-grid">
+        {distribution && (
+          <div>
+            <h4>Star Distribution (% of ratings)</h4>
+            <BarChart
+              labels={['1★', '2★', '3★', '4★', '5★']}
+              series={[
+                { className: 'series-store', values: share(distribution.store) },
+                { className: 'series-platform', values: share(distribution.platform) },
+              ]}
+              format={(v) => `${v}%`}
+            />
+          </div>
+        )}
+        <div>
+          <h4>Average Rating</h4>
+          <LineChart
+            labels={points.map((p) => p.date)}
+            series={[
+              {
+                className: 'series-store',
+                values: points.map((p) => (p.rating_count ? p.avg_rating : null)),
+              },
+              {
+                className: 'series-platform',
+                values: points.map((p) => (p.platform_avg_rating ? p.platform_avg_rating : null)),
+              },
+            ]}
+          />
+        </div>
+        <div>
+          <h4>Rating Volume</h4>
+          <BarChart
+            labels={points.map((p) => p.date)}
+            series={[{ className: 'series-store', values: points.map((p) => p.volume) }]}
+          />
+        </div>
+      </div>
+    </section>
+  );
+}
+
+function ChartLegend() {
+  return (
+    <div className="chart-legend">
+      <span>
+        <span className="swatch series-store" />
+        This store
+      </span>
+      <span>
+        <span className="swatch series-platform" />
+        All stores
+      </span>
+    </div>
+  );
+}
+
+// Hand-drawn SVG charts keep the bundle free of a charting library
+const CHART = { width: 480, height: 220, top: 10, right: 10, bottom: 30, left: 36 };
+const PLOT_WIDTH = CHART.width - CHART.left - CHART.right;
+const PLOT_HEIGHT = CHART.height - CHART.top - CHART.bottom;
+
+// At most about eight x-axis labels, always including the last one
+const showLabel = (i, count) => {
+  const step = Math.ceil(count / 8);
+  return i === count - 1 || (i % step === 0 && count - 1 - i >= step / 2);
+};
+
+function ChartFrame({ labels, max, ticks, format, xFor, children }) {
+  const yFor = (v) => CHART.top + PLOT_HEIGHT * (1 - v / max);
+  return (
+    <svg className="chart" viewBox={`0 0 ${CHART.width} ${CHART.height}`} role="img">
+      {ticks.map((t) => (
+        <g key={t}>
+          <line className="chart-axis" x1={CHART.left} x2={CHART.width - CHART.right} y1={yFor(t)} y2={yFor(t)} />
+          <text className="chart-label" x={CHART.left - 4} y={yFor(t) + 4} textAnchor="end">
+            {format(t)}
+          </text>
+        </g>
+      ))}
+      {labels.map(
+        (label, i) =>
+          showLabel(i, labels.length) && (
+            <text
+              key={label}
+              className="chart-label"
+              x={xFor(i)}
+              y={CHART.height - CHART.bottom + 16}
+              textAnchor="middle"
+            >
+              {label.length === 10 ? label.slice(5) : label}
+            </text>
+          )
+      )}
+      {children(yFor)}
+    </svg>
+  );
+}
+
+// Grouped bars, one group per label and one bar per series
+function BarChart({ labels, series, format = (v) => v }) {
+  const max = Math.max(1, ...series.flatMap((s) => s.values));
+  const slot = PLOT_WIDTH / Math.max(1, labels.length);
+  const barWidth = (slot * 0.8) / series.length;
+  const xFor = (i) => CHART.left + slot * (i + 0.5);
+  return (
+    <ChartFrame labels={labels} max={max} ticks={[0, max]} format={format} xFor={xFor}>
+      {(yFor) =>
+        series.map((s, si) =>
+          s.values.map((v, i) => (
+            <rect
+              key={`${si}-${labels[i]}`}
+              className={s.className}
+              x={CHART.left + slot * i + slot * 0.1 + barWidth * si}
+              y={yFor(v)}
+              width={barWidth}
+              height={CHART.top + PLOT_HEIGHT - yFor(v)}
+            >
+              <title>{`${labels[i]}: ${format(v)}`}</title>
+            </rect>
+          ))
+        )
+      }
+    </ChartFrame>
+  );
+}
+
+// Lines on a 0-5 star scale; null values (no ratings yet) are skipped
+function LineChart({ labels, series }) {
+  const xFor = (i) =>
+    CHART.left + (labels.length > 1 ? (PLOT_WIDTH * i) / (labels.length - 1) : PLOT_WIDTH / 2);
+  return (
+    <ChartFrame labels={labels} max={5} ticks={[0, 1, 2, 3, 4, 5]} format={(v) => v} xFor={xFor}>
+      {(yFor) =>
+        series.map((s) => {
+          const drawn = s.values
+            .map((v, i) => (v == null ? null : [xFor(i), yFor(v), labels[i], v]))
+            .filter(Boolean);
+          return (
+            <g key={s.className} className={s.className}>
+              <polyline points={drawn.map(([x, y]) => `${x},${y}`).join(' ')} />
+              {drawn.map(([x, y, label, v]) => (
+                <circle key={label} cx={x} cy={y} r={3}>
+                  <title>{`${label}: ${v.toFixed(2)}`}</title>
+                </circle>
+              ))}
+            </g>
+          );
+        })
+      }
+    </ChartFrame>
+  );
+}
+
+const AUDIT_ACTIONS = [
+  'user.create',
+  'store.create',
+  'user.update',
+  'user.delete',
+  'store.update',
+  'store.delete',
+  'owner_request.approve',
+  'owner_request.reject',
+  'store_claim.approve',
+  'store_claim.reject',
+  'category.create',
+  'category.update',
+  'category.delete',
+  'store_photo.upload',
+  'store_photo.reorder',
+  'store_photo.delete',
+  'store_hours.update',
+  'rating.hide',
+  'rating.restore',
+  'rating.delete',
+  'rating.exclude',
+  'rating.include',
+  'lockout.clear',
+];
+
+// "field: old → new" for each changed field; creations and deletions list the row
+const describeAuditChange = ({ before, after }) => {
+  const show = (v) => (v === null || v === undefined || v === '' ? '∅' : String(v));
+  if (before && after) {
+    return Object.keys(after)
+      .filter((k) => JSON.stringify(before[k]) !== JSON.stringify(after[k]))
+      .map((k) => `${k}: ${show(before[k])} → ${show(after[k])}`)
+      .join(', ');
+  }
+  const row = after || before;
+  return row
+    ? Object.entries(row)
+        .map(([k, v]) => `${k}: ${show(v)}`)
+        .join(', ')
+    : '';
+};
+
+function AuditLog({ token }) {
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [filters, setFilters] = useState({ action: '', from: '', to: '' });
+  const [list, setList] = useState(initialList('created_at', 'desc'));
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    apiFetch(`${API_BASE}/admin/audit-log?${buildListQuery(filters, list)}`, {
+      headers: { Authorization: `Bearer ${token}` },
+    })
+      .then(async (res) => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.errors?.join(' ') || data.message || 'Failed to load audit log');
+        setEntries(data.items);
+        setTotal(data.total);
+        setError('');
+      })
+      .catch((err) => setError(err.message));
+  }, [token, filters, list]);
+
+  // Filtering starts again from the first page
+  const changeFilter = (field, value) => {
+    setFilters((f) => ({ ...f, [field]: value }));
+    setList((l) => ({ ...l, offset: 0 }));
+  };
+
+  return (
+    <section className="section">
+      <h3>Audit Log</h3>
+      <div className="filters">
+        <select value={filters.action} onChange={(e) => changeFilter('action', e.target.value)}>
+          <option value="">All actions</option>
+          {AUDIT_ACTIONS.map((a) => (
+            <option key={a} value={a}>
+              {a}
+            </option>
+          ))}
+        </select>
+        <label>
+          From
+          <input type="date" value={filters.from} onChange={(e) => changeFilter('from', e.target.value)} />
+        </label>
+        <label>
+          To
+          <input type="date" value={filters.to} onChange={(e) => changeFilter('to', e.target.value)} />
+        </label>
+      </div>
+      {error && <div className="error">{error}</div>}
+      {entries.length === 0 ? (
+        <p className="no-data">No audit entries</p>
+      ) : (
+        <table>
+          <thead>
+            <tr>
+              <SortableHeader label="Time" field="created_at" list={list} onChange={setList} />
+              <SortableHeader label="Admin" field="actor" list={list} onChange={setList} />
+              <SortableHeader label="Action" field="action" list={list} onChange={setList} />
+              <th>Target</th>
+              <th>Changes</th>
+              <th>IP</th>
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map((e) => (
+              <tr key={e.id}>
+                <td>{new Date(e.created_at).toLocaleString()}</td>
+                <td>{e.actor_name || `User #${e.actor_id}`}</td>
+                <td>{e.action}</td>
+                <td>
+                  {e.target_type} #{e.target_id}
+                </td>
+                <td className="review-meta">{describeAuditChange(e)}</td>
+                <td>{e.ip}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <Pagination total={total} list={list} onChange={setList} />
+    </section>
+  );
+}
+
+const FRAUD_REASONS = {
+  burst: 'Burst on one store',
+  new_account: 'Brand-new account',
+  shared_ip: 'Same address as other raters',
+  single_owner: "Only rates one owner's stores",
+};
+
+// Ratings the fraud scan flagged. Excluding one takes it out of every average
+// without deleting it; dismissing marks it genuine.
+function FraudReview({ token, onChange }) {
+  const [suspects, setSuspects] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [filters, setFilters] = useState({ status: 'open', reason: '' });
+  const [list, setList] = useState(initialList('score', 'desc'));
+  const [reload, setReload] = useState(0);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    apiFetch(`${API_BASE}/admin/fraud?${buildListQuery(filters, list)}`, {
+      headers: { Authorization: `Bearer ${token}` },
+    })
+      .then(async (res) => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.errors?.join(' ') || data.message || 'Failed to load suspects');
+        setSuspects(data.items);
+        setTotal(data.total);
+        setError('');
+      })
+      .catch((err) => setError(err.message));
+  }, [token, filters, list, reload]);
+
+  const changeFilter = (field, value) => {
+    setFilters((f) => ({ ...f, [field]: value }));
+    setList((l) => ({ ...l, offset: 0 }));
+  };
+
+  const send = async (url) => {
+    setError('');
+    setMessage('');
+    try {
+      const res = await apiFetch(`${API_BASE}${url}`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || 'Request failed');
+      setReload((n) => n + 1);
+      return data;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    }
+  };
+
+  const scan = async () => {
+    const result = await send('/admin/fraud/scan');
+    if (result) {
+      setMessage(`Scanned ${result.scanned} ratings: ${result.suspects} suspects, ${result.opened} new`);
+    }
+  };
+
+  const review = async (ratingId, action) => {
+    if (await send(`/admin/fraud/${ratingId}/${action}`)) onChange();
+  };
+
+  return (
+    <section className="section">
+      <h3>Suspicious Ratings</h3>
+      <div className="filters">
+        <select value={filters.status} onChange={(e) => changeFilter('status', e.target.value)}>
+          <option value="open">To review</option>
+          <option value="excluded">Excluded</option>
+          <option value="dismissed">Dismissed</option>
+          <option value="all">All</option>
+        </select>
+        <select value={filters.reason} onChange={(e) => changeFilter('reason', e.target.value)}>
+          <option value="">Any reason</option>
+          {Object.entries(FRAUD_REASONS).map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <button type="button" onClick={scan} className="btn-secondary">
+          Scan Now
+        </button>
+      </div>
+      {message && <div className="success">{message}</div>}
+      {error && <div className="error">{error}</div>}
+      {suspects.length === 0 ? (
+        <p className="no-data">No suspicious ratings</p>
+      ) : (
+        <table>
+          <thead>
+            <tr>
+              <SortableHeader label="Store" field="store" list={list} onChange={setList} />
+              <th>Rated By</th>
+              <th>Rating</th>
+              <SortableHeader label="Score" field="score" list={list} onChange={setList} />
+              <th>Reasons</th>
+              <SortableHeader label="Rated At" field="created_at" list={list} onChange={setList} />
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {suspects.map((f) => (
+              <tr key={f.id}>
+                <td>{f.store_name}</td>
+                <td>
+                  {f.user_name}
+                  <div className="review-meta">
+                    {f.user_email} · joined {new Date(f.user_created_at).toLocaleDateString()}
+                  </div>
+                  {f.ip && <div className="review-meta">{f.ip}</div>}
+                </td>
+                <td>{f.rating}</td>
+                <td>{f.score}</td>
+                <td className="review-meta">{f.reasons.map((r) => FRAUD_REASONS[r] || r).join(', ')}</td>
+                <td>{new Date(f.created_at).toLocaleString()}</td>
+                <td>
+                  {f.status !== 'excluded' && (
+                    <button onClick={() => review(f.id, 'exclude')} className="btn-reject">
+                      Exclude
+                    </button>
+                  )}
+                  {f.status !== 'dismissed' && (
+                    <button onClick={() => review(f.id, 'dismiss')} className="btn-approve">
+                      {f.status === 'excluded' ? 'Include Again' : 'Dismiss'}
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <Pagination total={total} list={list} onChange={setList} />
+    </section>
+  );
+}
+
+// Admin list of categories with add, rename and delete
+function CategoryManager({ token, categories, onChange }) {
+  const [name, setName] = useState('');
+  const [editing, setEditing] = useState(null);
+  const [error, setError] = useState('');
+
+  const send = async (url, method, body) => {
+    setError('');
+    try {
+      const res = await apiFetch(`${API_BASE}${url}`, {
+        method,
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/json',
+        },
+        body: body && JSON.stringify(body),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.errors?.join(' ') || data.message || 'Request failed');
+      onChange();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  };
+
+  const create = async (e) => {
+    e.preventDefault();
+    if (await send('/admin/categories', 'POST', { name })) setName('');
+  };
+
+  const rename = async (e) => {
+    e.preventDefault();
+    if (await send(`/admin/categories/${editing.id}`, 'PATCH', { name: editing.name })) {
+      setEditing(null);
+    }
+  };
+
+  const remove = (category) => {
+    if (window.confirm(`Delete ${category.name}? Its stores become uncategorised.`)) {
+      send(`/admin/categories/${category.id}`, 'DELETE');
+    }
+  };
+
+  return (
+    <section className="section">
+      <h3>Categories</h3>
+      <form className="form-inline" onSubmit={create}>
+        <input placeholder="Category name" value={name} onChange={(e) => setName(e.target.value)} required />
+        <button type="submit">Add Category</button>
+      </form>
+      {error && <div className="error">{error}</div>}
+      {categories.length > 0 && (
+        <table>
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Stores</th>
+              <th>Average Rating</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {categories.map((c) => (
+              <tr key={c.id}>
+                <td>
+                  {editing?.id === c.id ? (
+                    <form className="form-inline" onSubmit={rename}>
+                      <input
+                        value={editing.name}
+                        onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                        required
+                      />
+                      <button type="submit">Save</button>
+                      <button type="button" onClick={() => setEditing(null)} className="btn-secondary">
+                        Cancel
+                      </button>
+                    </form>
+                  ) : (
+                    c.name
+                  )}
+                </td>
+                <td>{c.store_count}</td>
+                <td>{formatAverage(c.avg_rating, c.rating_count)}</td>
+                <td>
+                  <button onClick={() => setEditing({ id: c.id, name: c.name })} className="btn-secondary">
+                    Rename
+                  </button>
+                  <button onClick={() => remove(c)} className="btn-reject">
+                    Delete
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </section>
+  );
+}
+
+const IMPORT_COLUMNS = {
+  stores: 'name, email, address, owner_email',
+  users: 'name, email, password, address, role',
+};
+
+// CSV upload: a dry run lists every row's errors, then the valid rows are
+// imported together
+function BulkImport({ token, onImported }) {
+  const [kind, setKind] = useState('stores');
+  const [csvText, setCsvText] = useState('');
+  const [fileName, setFileName] = useState('');
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const reset = () => {
+    setResult(null);
+    setError('');
+  };
+
+  const chooseFile = async (e) => {
+    reset();
+    const file = e.target.files[0];
+    setFileName(file ? file.name : '');
+    setCsvText(file ? await file.text() : '');
+  };
+
+  const upload = async (dryRun) => {
+    setError('');
+    setLoading(true);
+    try {
+      const res = await apiFetch(`${API_BASE}/admin/import/${kind}${dryRun ? '?dry_run=1' : ''}`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'text/csv' },
+        body: csvText,
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || 'Import failed');
+      setResult(data);
+      if (!dryRun) onImported();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <section className="section">
+      <h3>Bulk Import</h3>
+      <div className="filters">
+        <select
+          value={kind}
+          onChange={(e) => {
+            setKind(e.target.value);
+            reset();
+          }}
+        >
+          <option value="stores">Stores</option>
+          <option value="users">Users</option>
+        </select>
+        <input type="file" accept=".csv,text/csv" onChange={chooseFile} />
+        <button type="button" disabled={!csvText || loading} onClick={() => upload(true)}>
+          {loading ? 'Checking...' : 'Preview'}
+        </button>
+      </div>
+      <p className="review-snippet">
+        Header row with columns: {IMPORT_COLUMNS[kind]}.
+        {kind === 'stores' && ' Owners are matched by email and must have the owner role.'}
+      </p>
+      {error && <div className="error">{error}</div>}
+      {result && (
+        <>
+          <p>
+            {fileName}: {result.total} rows, {result.valid} valid, {result.invalid} with errors
+            {!result.dry_run && ` · ${result.created} imported`}
+          </p>
+          {result.dry_run && result.valid > 0 && (
+            <button type="button" disabled={loading} onClick={() => upload(false)}>
+              Import {result.valid} valid rows
+            </button>
+          )}
+          <table>
+            <thead>
+              <tr>
+                <th>Row</th>
+                <th>Name</th>
+                <th>Email</th>
+                <th>Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.rows.map((r) => (
+                <tr key={r.row}>
+                  <td>{r.row}</td>
+                  <td>{r.values.name}</td>
+                  <td>{r.values.email}</td>
+                  <td>
+                    {r.errors.length > 0
+                      ? r.errors.join('; ')
+                      : r.id != null
+                      ? `Imported (ID ${r.id})`
+                      : 'OK'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </section>
+  );
+}
+
+function ExportButtons({ token, path, filters, list, onError }) {
+  const [exporting, setExporting] = useState('');
+
+  const exportAs = async (format) => {
+    onError('');
+    setExporting(format);
+    try {
+      await downloadExport(token, `${API_BASE}${path}?${buildExportQuery(filters, list, format)}`);
+    } catch (err) {
+      onError(err.message);
+    } finally {
+      setExporting('');
+    }
+  };
+
+  return (
+    <>
+      <button type="button" className="btn-secondary" disabled={!!exporting} onClick={() => exportAs('csv')}>
+        {exporting === 'csv' ? 'Exporting...' : 'Export CSV'}
+      </button>
+      <button type="button" className="btn-secondary" disabled={!!exporting} onClick={() => exportAs('jsonl')}>
+        {exporting === 'jsonl' ? 'Exporting...' : 'Export JSON Lines'}
+      </button>
+    </>
+  );
+}
+
+function SortableHeader({ label, field, list, onChange }) {
+  const active = list.sort === field;
+  const nextOrder = active && list.order === 'asc' ? 'desc' : 'asc';
+
+  return (
+    <th
+      className={active ? 'sortable sorted' : 'sortable'}
+      onClick={() => onChange({ ...list, sort: field, order: nextOrder, offset: 0 })}
+    >
+      {label}
+      {active && (list.order === 'asc' ? ' ▲' : ' ▼')}
+    </th>
+  );
+}
+
+function Pagination({ total, list, onChange }) {
+  const { limit, offset } = list;
+  const page = Math.floor(offset / limit) + 1;
+  const pageCount = Math.max(1, Math.ceil(total / limit));
+
+  return (
+    <div className="pagination">
+      <span>
+        {total === 0
+          ? 'No results'
+          : `Showing ${offset + 1}-${Math.min(offset + limit, total)} of ${total}`}
+      </span>
+      <button
+        type="button"
+        className="btn-secondary"
+        disabled={offset === 0}
+        onClick={() => onChange({ ...list, offset: Math.max(0, offset - limit) })}
+      >
+        Previous
+      </button>
+      <span>
+        Page {page} of {pageCount}
+      </span>
+      <button
+        type="button"
+        className="btn-secondary"
+        disabled={offset + limit >= total}
+        onClick={() => onChange({ ...list, offset: offset + limit })}
+      >
+        Next
+      </button>
+      <select
+        value={limit}
+        onChange={(e) => onChange({ ...list, limit: Number(e.target.value), offset: 0 })}
+      >
+        {PAGE_SIZES.map((size) => (
+          <option key={size} value={size}>
+            {size} per page
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+function ChangePasswordModal({ token, onSessionRenewed, onClose }) {
+  const [oldPassword, setOldPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
 
     if (!oldPassword || !newPassword || !confirmPassword) {
       setError('All fields are required');
       return;
     }
 
-    if (newPassword !== confirmPassword) {
-      setError('New passwords do not match');
-      return;
-    }
+    if (newPassword !== confirmPassword) {
+      setError('New passwords do not match');
+      return;
+    }
+
+    if (!passwordRegex.test(newPassword)) {
+      setError('Password must be 8-16 chars, include an uppercase and a special character.');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const res = await apiFetch(`${API_BASE}/auth/change-password`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ oldPassword, newPassword }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || 'Failed to change password');
+      // Other devices are signed out; this one continues on the new session
+      onSessionRenewed(data);
+      setSuccess('Password changed successfully!');
+      setTimeout(onClose, 2000);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Change Password</h2>
+          <button className="close-btn" onClick={onClose}>✕</button>
+        </div>
+        <form onSubmit={handleSubmit} className="form">
+          <label>
+            Current Password
+            <input
+              type="password"
+              value={oldPassword}
+              onChange={(e) => setOldPassword(e.target.value)}
+              required
+            />
+          </label>
+          <label>
+            New Password
+            <input
+              type="password"
+              value={newPassword}
+              onChange={(e) => setNewPassword(e.target.value)}
+              required
+            />
+          </label>
+          <label>
+            Confirm New Password
+            <input
+              type="password"
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              required
+            />
+          </label>
+          {error && <div className="error">{error}</div>}
+          {success && <div className="success">{success}</div>}
+          <div className="form-buttons">
+            <button type="submit" disabled={loading}>
+              {loading ? 'Changing...' : 'Change Password'}
+            </button>
+            <button type="button" onClick={onClose} className="btn-secondary">
+              Cancel
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+// Sends only the fields that differ from the original record
+const changedFields = (original, form) =>
+  Object.fromEntries(Object.entries(form).filter(([k, v]) => v !== (original[k] ?? '')));
+
+// "vegan, Takeaway" -> ['vegan', 'Takeaway']; the server lowercases and de-duplicates
+const splitTags = (text) => text.split(',').map((t) => t.trim()).filter(Boolean);
+
+function EditUserModal({ token, user, onClose, onSaved }) {
+  const [form, setForm] = useState({
+    name: user.name,
+    email: user.email,
+    address: user.address ?? '',
+    role: user.role,
+    password: '',
+  });
+  const [errors, setErrors] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const update = (field) => (e) => setForm((f) => ({ ...f, [field]: e.target.value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const patch = changedFields(user, form);
+    if (Object.keys(patch).length === 0) {
+      onClose();
+      return;
+    }
+    setErrors([]);
+    setLoading(true);
+    try {
+      const res = await apiFetch(`${API_BASE}/admin/users/${user.id}`, {
+        method: 'PATCH',
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(patch),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        setErrors(data.errors || [data.message || 'Update failed']);
+        return;
+      }
+      onSaved(data);
+    } catch (err) {
+      setErrors([err.message]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Edit User</h2>
+          <button className="close-btn" onClick={onClose}>✕</button>
+        </div>
+        <form onSubmit={handleSubmit} className="form">
+          <label>
+            Name
+            <input value={form.name} onChange={update('name')} required />
+          </label>
+          <label>
+            Email
+            <input type="email" value={form.email} onChange={update('email')} required />
+          </label>
+          <label>
+            Address
+            <input value={form.address} onChange={update('address')} />
+          </label>
+          <label>
+            Role
+            <select value={form.role} onChange={update('role')}>
+              <option value="normal">Normal</option>
+              <option value="owner">Owner</option>
+              <option value="admin">Admin</option>
+            </select>
+          </label>
+          <label>
+            New Password (leave blank to keep)
+            <input type="password" value={form.password} onChange={update('password')} />
+          </label>
+          {errors.map((err) => (
+            <div key={err} className="error">
+              {err}
+            </div>
+          ))}
+          <div className="form-buttons">
+            <button type="submit" disabled={loading}>
+              {loading ? 'Saving...' : 'Save'}
+            </button>
+            <button type="button" onClick={onClose} className="btn-secondary">
+              Cancel
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+function EditStoreModal({ token, store, categories, onClose, onSaved }) {
+  // id fields and the tag list are edited as text
+  const asForm = (s) => ({
+    ...s,
+    owner_id: s.owner_id == null ? '' : String(s.owner_id),
+    category_id: s.category_id == null ? '' : String(s.category_id),
+    tags: s.tags.join(', '),
+    latitude: s.latitude == null ? '' : String(s.latitude),
+    longitude: s.longitude == null ? '' : String(s.longitude),
+  });
+  const [form, setForm] = useState(() => {
+    const { name, email, address, owner_id, category_id, tags, latitude, longitude } = asForm(store);
+    return {
+      name,
+      email: email ?? '',
+      address: address ?? '',
+      owner_id,
+      category_id,
+      tags,
+      latitude,
+      longitude,
+    };
+  });
+  const [errors, setErrors] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const update = (field) => (e) => setForm((f) => ({ ...f, [field]: e.target.value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const patch = changedFields(asForm(store), form);
+    if ('owner_id' in patch) {
+      patch.owner_id = patch.owner_id === '' ? null : Number(patch.owner_id);
+    }
+    if ('category_id' in patch) {
+      patch.category_id = patch.category_id === '' ? null : Number(patch.category_id);
+    }
+    if ('tags' in patch) patch.tags = splitTags(patch.tags);
+    // coordinates are always sent as a pair
+    if ('latitude' in patch || 'longitude' in patch) {
+      patch.latitude = toCoordinate(form.latitude);
+      patch.longitude = toCoordinate(form.longitude);
+    }
+    if (Object.keys(patch).length === 0) {
+      onClose();
+      return;
+    }
+    setErrors([]);
+    setLoading(true);
+    try {
+      const res = await apiFetch(`${API_BASE}/admin/stores/${store.id}`, {
+        method: 'PATCH',
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(patch),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        setErrors(data.errors || [data.message || 'Update failed']);
+        return;
+      }
+      onSaved(data);
+    } catch (err) {
+      setErrors([err.message]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Edit Store</h2>
+          <button className="close-btn" onClick={onClose}>✕</button>
+        </div>
+        <form onSubmit={handleSubmit} className="form">
+          <label>
+            Name
+            <input value={form.name} onChange={update('name')} required />
+          </label>
+          <label>
+            Email
+            <input type="email" value={form.email} onChange={update('email')} />
+          </label>
+          <label>
+            Address
+            <input value={form.address} onChange={update('address')} />
+          </label>
+          <label>
+            Owner User ID (blank for none)
+            <input value={form.owner_id} onChange={update('owner_id')} />
+          </label>
+          <label>
+            Category
+            <select value={form.category_id} onChange={update('category_id')}>
+              <option value="">No category</option>
+              {categories.map((c) => (
+                <option key={c.id} value={c.id}>
+                  {c.name}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Tags (comma separated)
+            <input value={form.tags} onChange={update('tags')} />
+          </label>
+          <label>
+            Latitude (blank for none)
+            <input value={form.latitude} onChange={update('latitude')} />
+          </label>
+          <label>
+            Longitude (blank for none)
+            <input value={form.longitude} onChange={update('longitude')} />
+          </label>
+          {errors.map((err) => (
+            <div key={err} className="error">
+              {err}
+            </div>
+          ))}
+          <div className="form-buttons">
+            <button type="submit" disabled={loading}>
+              {loading ? 'Saving...' : 'Save'}
+            </button>
+            <button type="button" onClick={onClose} className="btn-secondary">
+              Cancel
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+function OwnerRequestModal({ token, onClose, onSuccess }) {
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleRequest = async () => {
+    setError('');
+    setLoading(true);
+    try {
+      const res = await apiFetch(`${API_BASE}/user/request-owner`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || 'Failed to submit request');
+      onSuccess();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Become a Store Owner</h2>
+          <button className="close-btn" onClick={onClose}>✕</button>
+        </div>
+        <div className="modal-body">
+          <p>Request to upgrade your account to a Store Owner?</p>
+          <p>Your request will be reviewed by an administrator.</p>
+          {error && <div className="error">{error}</div>}
+          <div className="form-buttons">
+            <button onClick={handleRequest} disabled={loading}>
+              {loading ? 'Submitting...' : 'Submit Request'}
+            </button>
+            <button onClick={onClose} className="btn-secondary">
+              Cancel
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const CLAIM_STATUS_LABELS = {
+  pending: '⏳ Pending review',
+  approved: '✅ Approved',
+  rejected: '❌ Rejected',
+};
 
-    if (!passwordRegex.test(newPassword)) {
-      setError('Password must be 8-16 chars, include an uppercase and a special character.');
-      return;
-    }
+// The user's store claims, with a button to file a new one
+function StoreClaims({ token, onApproved }) {
+  const [claims, setClaims] = useState([]);
+  const [showModal, setShowModal] = useState(false);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    apiFetch(`${API_BASE}/user/store-claims`, {
+      headers: { Authorization: `Bearer ${token}` },
+    })
+      .then((res) => (res.ok ? res.json() : []))
+      .then(setClaims)
+      .catch(() => setClaims([]));
+  }, [token, reloadKey]);
+
+  return (
+    <section className="section">
+      <h3>Store Claims</h3>
+      {claims.length > 0 && (
+        <table>
+          <thead>
+            <tr>
+              <th>Store</th>
+              <th>Status</th>
+              <th>Submitted</th>
+            </tr>
+          </thead>
+          <tbody>
+            {claims.map((c) => (
+              <tr key={c.id}>
+                <td>
+                  {c.store_name}
+                  {c.store_id == null && ' (new store)'}
+                </td>
+                <td>
+                  {CLAIM_STATUS_LABELS[c.status]}
+                  {c.status === 'rejected' && c.reason && ` - ${c.reason}`}
+                </td>
+                <td>{new Date(c.created_at).toLocaleDateString()}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {claims.some((c) => c.status === 'approved') && onApproved && (
+        <p>
+          A claim was approved.{' '}
+          <button type="button" className="btn-link" onClick={onApproved}>
+            Refresh to see your stores
+          </button>
+        </p>
+      )}
+      <button onClick={() => setShowModal(true)} className="btn-owner-request">
+        Claim or Add a Store
+      </button>
+      {showModal && (
+        <StoreClaimModal
+          token={token}
+          onClose={() => setShowModal(false)}
+          onSuccess={() => {
+            setShowModal(false);
+            setReloadKey((k) => k + 1);
+          }}
+        />
+      )}
+    </section>
+  );
+}
+
+function StoreClaimModal({ token, onClose, onSuccess }) {
+  const [mode, setMode] = useState('existing');
+  const [search, setSearch] = useState('');
+  const [matches, setMatches] = useState([]);
+  const [storeId, setStoreId] = useState('');
+  const [form, setForm] = useState({ name: '', email: '', address: '', details: '' });
+  const [errors, setErrors] = useState([]);
+  const [loading, setLoading] = useState(false);
 
+  // Only stores without an owner can be claimed
+  useEffect(() => {
+    const query = new URLSearchParams({ q: search.trim(), limit: '20' });
+    apiFetch(`${API_BASE}/stores?${query}`, {
+      headers: { Authorization: `Bearer ${token}` },
+    })
+      .then((res) => (res.ok ? res.json() : { items: [] }))
+      .then((data) => setMatches(data.items.filter((st) => !st.has_owner)))
+      .catch(() => setMatches([]));
+  }, [token, search]);
+
+  const update = (field) => (e) => setForm((f) => ({ ...f, [field]: e.target.value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setErrors([]);
+    const body =
+      mode === 'existing'
+        ? { store_id: Number(storeId), details: form.details }
+        : form;
     setLoading(true);
     try {
-      const res = await fetch(`${API_BASE}/auth/change-password`, {
+      const res = await apiFetch(`${API_BASE}/user/store-claims`, {
         method: 'POST',
         headers: {
           Authorization: `Bearer ${token}`,
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ oldPassword, newPassword }),
+        body: JSON.stringify(body),
       });
       const data = await res.json();
-      if (!res.ok) throw new Error(data.message || 'Failed to change password');
-      setSuccess('Password changed successfully!');
-      setTimeout(onClose, 2000);
+      if (!res.ok) {
+        setErrors(data.errors || [data.message || 'Failed to submit claim']);
+        return;
+      }
+      onSuccess(data.claim);
     } catch (err) {
-      setError(err.message);
+      setErrors([err.message]);
     } finally {
       setLoading(false);
     }
@@ -1051,42 +3851,83 @@ function ChangePasswordModal({ token, onClose }) {
     <div className="modal-overlay" onClick={onClose}>
       <div className="modal-content" onClick={(e) => e.stopPropagation()}>
         <div className="modal-header">
-          <h2>Change Password</h2>
+          <h2>Claim a Store</h2>
           <button className="close-btn" onClick={onClose}>✕</button>
         </div>
+        <div className="auth-toggle">
+          <button
+            type="button"
+            className={mode === 'existing' ? 'active' : ''}
+            onClick={() => setMode('existing')}
+          >
+            Existing Store
+          </button>
+          <button
+            type="button"
+            className={mode === 'new' ? 'active' : ''}
+            onClick={() => setMode('new')}
+          >
+            New Store
+          </button>
+        </div>
         <form onSubmit={handleSubmit} className="form">
+          {mode === 'existing' ? (
+            <>
+              <label>
+                Search
+                <input
+                  type="search"
+                  value={search}
+                  onChange={(e) => setSearch(e.target.value)}
+                  placeholder="Store name or address"
+                />
+              </label>
+              <label>
+                Store
+                <select value={storeId} onChange={(e) => setStoreId(e.target.value)} required>
+                  <option value="">Select a store</option>
+                  {matches.map((st) => (
+                    <option key={st.id} value={st.id}>
+                      {st.name} - {st.address}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            </>
+          ) : (
+            <>
+              <label>
+                Store Name
+                <input value={form.name} onChange={update('name')} maxLength={60} required />
+              </label>
+              <label>
+                Store Email
+                <input type="email" value={form.email} onChange={update('email')} />
+              </label>
+              <label>
+                Address
+                <input value={form.address} onChange={update('address')} maxLength={400} />
+              </label>
+            </>
+          )}
           <label>
-            Current Password
-            <input
-              type="password"
-              value={oldPassword}
-              onChange={(e) => setOldPassword(e.target.value)}
-              required
-            />
-          </label>
-          <label>
-            New Password
-            <input
-              type="password"
-              value={newPassword}
-              onChange={(e) => setNewPassword(e.target.value)}
-              required
-            />
-          </label>
-          <label>
-            Confirm New Password
-            <input
-              type="password"
-              value={confirmPassword}
-              onChange={(e) => setConfirmPassword(e.target.value)}
+            Supporting Details
+            <textarea
+              value={form.details}
+              onChange={update('details')}
+              maxLength={1000}
+              placeholder="How are you connected to this store? e.g. business registration, your role"
               required
             />
           </label>
-          {error && <div className="error">{error}</div>}
-          {success && <div className="success">{success}</div>}
+          {errors.map((err) => (
+            <div key={err} className="error">
+              {err}
+            </div>
+          ))}
           <div className="form-buttons">
             <button type="submit" disabled={loading}>
-              {loading ? 'Changing...' : 'Change Password'}
+              {loading ? 'Submitting...' : 'Submit Claim'}
             </button>
             <button type="button" onClick={onClose} className="btn-secondary">
               Cancel
@@ -1098,20 +3939,347 @@ function ChangePasswordModal({ token, onClose }) {
   );
 }
 
-function OwnerRequestModal({ token, onClose, onSuccess }) {
+function StoreReviews({ token, storeId }) {
+  const [reviews, setReviews] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    apiFetch(`${API_BASE}/stores/${storeId}/reviews`, {
+      headers: { Authorization: `Bearer ${token}` },
+    })
+      .then(async (res) => {
+        const data = await res.json();
+        if (res.ok) setReviews(data);
+      })
+      .finally(() => setLoading(false));
+  }, [token, storeId]);
+
+  if (loading) return <p className="no-data">Loading reviews...</p>;
+  if (reviews.length === 0) return <p className="no-data">No written reviews yet</p>;
+
+  return (
+    <ul className="review-list">
+      {reviews.map((r) => (
+        <li key={r.id} className="review-item">
+          <div className="review-meta">
+            <strong>{r.user_name}</strong> · {r.rating}/5 ·{' '}
+            {new Date(r.updated_at).toLocaleDateString()}
+          </div>
+          {r.review_title && <h4>{r.review_title}</h4>}
+          <p>{r.review_body}</p>
+          <FlagButton token={token} ratingId={r.id} />
+          {r.reply_body && (
+            <div className="owner-reply">
+              <div className="review-meta">Reply from the owner</div>
+              <p>{r.reply_body}</p>
+            </div>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+// Photo URLs from the local storage backend are paths on the API server
+const photoSrc = (url) => new URL(url, API_BASE).href;
+
+// A store's photos as thumbnails linking to the full image. Editable
+// galleries (owners, admins) can add, reorder and delete photos.
+function PhotoGallery({ token, storeId, editable = false, onChange = () => {} }) {
+  const [photos, setPhotos] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    apiFetch(`${API_BASE}/stores/${storeId}/photos`, {
+      headers: { Authorization: `Bearer ${token}` },
+    })
+      .then(async (res) => {
+        const data = await res.json();
+        if (res.ok) setPhotos(data);
+      })
+      .finally(() => setLoading(false));
+  }, [token, storeId]);
+
+  // Runs one change; the response is either the new gallery or a message
+  const change = async (url, options, update) => {
+    setError('');
+    setBusy(true);
+    try {
+      const res = await apiFetch(`${API_BASE}/stores/${storeId}/photos${url}`, {
+        ...options,
+        headers: { Authorization: `Bearer ${token}`, ...options.headers },
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.errors?.join(' ') || data.message || 'Photo update failed');
+      setPhotos(update(data));
+      onChange();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const upload = (e) => {
+    const form = new FormData();
+    for (const file of e.target.files) form.append('photos', file);
+    e.target.value = '';
+    change('', { method: 'POST', body: form }, (added) => [...photos, ...added]);
+  };
+
+  const move = (index, step) => {
+    const ids = photos.map((p) => p.id);
+    [ids[index], ids[index + step]] = [ids[index + step], ids[index]];
+    change(
+      '/order',
+      {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ photo_ids: ids }),
+      },
+      (ordered) => ordered
+    );
+  };
+
+  const remove = (photo) => {
+    if (!window.confirm('Delete this photo?')) return;
+    change(`/${photo.id}`, { method: 'DELETE' }, () => photos.filter((p) => p.id !== photo.id));
+  };
+
+  if (loading) return <p className="no-data">Loading photos...</p>;
+
+  return (
+    <div>
+      {photos.length === 0 && <p className="no-data">No photos yet</p>}
+      <div className="photo-gallery">
+        {photos.map((p, i) => (
+          <figure key={p.id} className="photo">
+            <a href={photoSrc(p.url)} target="_blank" rel="noreferrer">
+              <img src={photoSrc(p.thumbnail_url)} alt={`Store photo ${i + 1}`} loading="lazy" />
+            </a>
+            {editable && (
+              <figcaption>
+                <button type="button" className="btn-link" disabled={busy || i === 0} onClick={() => move(i, -1)}>
+                  ◀
+                </button>
+                <button
+                  type="button"
+                  className="btn-link"
+                  disabled={busy || i === photos.length - 1}
+                  onClick={() => move(i, 1)}
+                >
+                  ▶
+                </button>
+                <button type="button" className="btn-link" disabled={busy} onClick={() => remove(p)}>
+                  Delete
+                </button>
+              </figcaption>
+            )}
+          </figure>
+        ))}
+      </div>
+      {editable && (
+        <label className="photo-upload">
+          {busy ? 'Saving...' : 'Add photos (JPEG, PNG or WebP, up to 5 MB each)'}
+          <input type="file" accept="image/jpeg,image/png,image/webp" multiple disabled={busy} onChange={upload} />
+        </label>
+      )}
+      {error && <div className="error">{error}</div>}
+    </div>
+  );
+}
+
+function FlagButton({ token, ratingId }) {
+  const [open, setOpen] = useState(false);
+  const [reason, setReason] = useState('');
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const submitFlag = async (e) => {
+    e.preventDefault();
+    setError('');
+    try {
+      const res = await apiFetch(`${API_BASE}/ratings/${ratingId}/flag`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ reason }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.errors?.join(', ') || data.message || 'Failed to flag review');
+      }
+      setMessage('Thanks, an administrator will review it.');
+      setOpen(false);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (message) return <div className="review-meta">{message}</div>;
+
+  if (!open) {
+    return (
+      <button type="button" className="btn-link" onClick={() => setOpen(true)}>
+        Report
+      </button>
+    );
+  }
+
+  return (
+    <form className="form-inline" onSubmit={submitFlag}>
+      <input
+        placeholder="Why should this be removed?"
+        value={reason}
+        onChange={(e) => setReason(e.target.value)}
+        maxLength={500}
+        required
+      />
+      <button type="submit">Send</button>
+      <button type="button" className="btn-secondary" onClick={() => setOpen(false)}>
+        Cancel
+      </button>
+      {error && <div className="error">{error}</div>}
+    </form>
+  );
+}
+
+function ReplyEditor({ token, rater, onSaved }) {
+  const [editing, setEditing] = useState(false);
+  const [body, setBody] = useState(rater.reply_body || '');
+  const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
+
+  const sendReply = async (method) => {
+    setError('');
+    setLoading(true);
+    try {
+      const res = await apiFetch(`${API_BASE}/owner/ratings/${rater.rating_id}/reply`, {
+        method,
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/json',
+        },
+        body: method === 'DELETE' ? undefined : JSON.stringify({ body }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.errors?.join(', ') || data.message || 'Failed to save reply');
+      }
+      if (method === 'DELETE') setBody('');
+      setEditing(false);
+      onSaved();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!editing) {
+    return (
+      <div className="owner-reply">
+        {rater.reply_body ? (
+          <>
+            <div className="review-meta">Your reply</div>
+            <p>{rater.reply_body}</p>
+            <button type="button" className="btn-link" onClick={() => setEditing(true)}>
+              Edit reply
+            </button>
+            <button
+              type="button"
+              className="btn-link"
+              onClick={() => sendReply('DELETE')}
+              disabled={loading}
+            >
+              Delete reply
+            </button>
+          </>
+        ) : (
+          <button type="button" className="btn-link" onClick={() => setEditing(true)}>
+            Reply publicly
+          </button>
+        )}
+        {error && <div className="error">{error}</div>}
+      </div>
+    );
+  }
+
+  return (
+    <div className="owner-reply">
+      <textarea
+        value={body}
+        onChange={(e) => setBody(e.target.value)}
+        maxLength={1000}
+        placeholder="Write a public reply"
+      />
+      {error && <div className="error">{error}</div>}
+      <div className="form-buttons">
+        <button
+          type="button"
+          onClick={() => sendReply(rater.reply_body ? 'PUT' : 'POST')}
+          disabled={loading}
+        >
+          {loading ? 'Saving...' : 'Save Reply'}
+        </button>
+        <button
+          type="button"
+          className="btn-secondary"
+          onClick={() => {
+            setBody(rater.reply_body || '');
+            setEditing(false);
+          }}
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function ReviewModal({ token, store, onClose, onSuccess }) {
+  const [rating, setRating] = useState(store.user_rating ?? '');
+  const [title, setTitle] = useState(store.user_review_title || '');
+  const [body, setBody] = useState(store.user_review_body || '');
   const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
 
-  const handleRequest = async () => {
+  const handleSubmit = async (e) => {
+    e.preventDefault();
     setError('');
+
+    if (!rating) {
+      setError('Please choose a rating');
+      return;
+    }
+
+    if (title.trim() && !body.trim()) {
+      setError('Please write a review to go with the title');
+      return;
+    }
+
     setLoading(true);
     try {
-      const res = await fetch(`${API_BASE}/user/request-owner`, {
+      const res = await apiFetch(`${API_BASE}/stores/${store.id}/rating`, {
         method: 'POST',
-        headers: { Authorization: `Bearer ${token}` },
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          rating: Number(rating),
+          review_title: title,
+          review_body: body,
+        }),
       });
       const data = await res.json();
-      if (!res.ok) throw new Error(data.message || 'Failed to submit request');
+      if (!res.ok) {
+        throw new Error(data.errors?.join(', ') || data.message || 'Failed to save review');
+      }
       onSuccess();
     } catch (err) {
       setError(err.message);
@@ -1124,22 +4292,49 @@ function OwnerRequestModal({ token, onClose, onSuccess }) {
     <div className="modal-overlay" onClick={onClose}>
       <div className="modal-content" onClick={(e) => e.stopPropagation()}>
         <div className="modal-header">
-          <h2>Become a Store Owner</h2>
+          <h2>Review {store.name}</h2>
           <button className="close-btn" onClick={onClose}>✕</button>
         </div>
-        <div className="modal-body">
-          <p>Request to upgrade your account to a Store Owner?</p>
-          <p>Your request will be reviewed by an administrator.</p>
+        <form onSubmit={handleSubmit} className="form">
+          <label>
+            Rating
+            <select value={rating} onChange={(e) => setRating(e.target.value)}>
+              <option value="">Select</option>
+              {[1, 2, 3, 4, 5].map((r) => (
+                <option key={r} value={r}>
+                  {r}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Title (optional)
+            <input
+              type="text"
+              value={title}
+              onChange={(e) => setTitle(e.target.value)}
+              maxLength={100}
+            />
+          </label>
+          <label>
+            Review
+            <textarea
+              value={body}
+              onChange={(e) => setBody(e.target.value)}
+              maxLength={2000}
+              placeholder="What did you like or dislike?"
+            />
+          </label>
           {error && <div className="error">{error}</div>}
           <div className="form-buttons">
-            <button onClick={handleRequest} disabled={loading}>
-              {loading ? 'Submitting...' : 'Submit Request'}
+            <button type="submit" disabled={loading}>
+              {loading ? 'Saving...' : 'Save Review'}
             </button>
-            <button onClick={onClose} className="btn-secondary">
+            <button type="button" onClick={onClose} className="btn-secondary">
               Cancel
             </button>
           </div>
-        </div>
+        </form>
       </div>
     </div>
   );